@@ -1,8 +1,8 @@
 """FastAPI backend that proxies HuggingFace translation models.
 
-The frontend sends plain English text to `/translate`, this service forwards
-it to the model defined by `HF_TRANSLATION_MODEL` and returns the Vietnamese
-output. Use an `.env` file (see `.env.example`) or environment variables to
+The frontend sends text to `/translate` with a source and target language.
+English to Vietnamese requests go to the model defined by `HF_TRANSLATION_MODEL`
+and Vietnamese to English requests go to `HF_TRANSLATION_MODEL_VI_EN`. Use an `.env` file (see `.env.example`) or environment variables to
 configure the HuggingFace API token before starting the server.
 """
 
@@ -20,8 +20,9 @@ from pydantic import BaseModel, Field
 load_dotenv()
 
 HF_MODEL_ID = os.getenv("HF_TRANSLATION_MODEL", "Helsinki-NLP/opus-mt-en-vi")
+HF_REVERSE_MODEL_ID = os.getenv("HF_TRANSLATION_MODEL_VI_EN", "Helsinki-NLP/opus-mt-vi-en")
 HF_ROUTER_BASE_URL = os.getenv("HF_ROUTER_BASE_URL", "https://router.huggingface.co/hf-inference/models")
-HF_API_URL = f"{HF_ROUTER_BASE_URL.rstrip('/')}/{HF_MODEL_ID}"
+MULTILINGUAL_MODEL_MARKERS = ("nllb", "mbart")
 DEFAULT_TIMEOUT = httpx.Timeout(20.0, connect=10.0)
 
 app = FastAPI(
@@ -63,7 +64,7 @@ async def close_http_client() -> None:
 
 @app.get("/health")
 async def health_check() -> dict[str, Any]:
-    return {"status": "ok", "model": HF_MODEL_ID}
+    return {"status": "ok", "model": HF_MODEL_ID, "reverse_model": HF_REVERSE_MODEL_ID}
 
 
 @app.post("/translate", response_model=TranslationResponse)
@@ -76,8 +77,12 @@ async def translate(payload: TranslationRequest) -> TranslationResponse:
     if http_client is None:
         raise HTTPException(status_code=500, detail="HTTP client is not ready yet")
     client: httpx.AsyncClient = http_client
+    if payload.source_lang == payload.target_lang:
+        raise HTTPException(status_code=400, detail="source_lang and target_lang must differ")
+
+    model_id = _select_model(payload.source_lang, payload.target_lang)
     translated_input, parameters = _prepare_model_payload(
-        HF_MODEL_ID,
+        model_id,
         payload.text,
         source_lang=payload.source_lang,
         target_lang=payload.target_lang,
@@ -92,7 +97,7 @@ async def translate(payload: TranslationRequest) -> TranslationResponse:
     }
 
     try:
-        response = await client.post(HF_API_URL, headers=headers, json=hf_payload)
+        response = await client.post(_model_url(model_id), headers=headers, json=hf_payload)
     except httpx.RequestError as exc:
         raise HTTPException(status_code=502, detail=f"Failed to reach HuggingFace: {exc}") from exc
 
@@ -109,7 +114,21 @@ async def translate(payload: TranslationRequest) -> TranslationResponse:
     if not translated_text:
         raise HTTPException(status_code=502, detail="HuggingFace did not return translated_text")
 
-    return TranslationResponse(translated_text=translated_text, model_id=HF_MODEL_ID)
+    return TranslationResponse(translated_text=translated_text, model_id=model_id)
+
+
+def _select_model(source_lang: str, target_lang: str) -> str:
+    """Pick the model for a direction; multilingual models handle both ways."""
+
+    if any(marker in HF_MODEL_ID.lower() for marker in MULTILINGUAL_MODEL_MARKERS):
+        return HF_MODEL_ID
+    if source_lang == "vi" and target_lang == "en":
+        return HF_REVERSE_MODEL_ID
+    return HF_MODEL_ID
+
+
+def _model_url(model_id: str) -> str:
+    return f"{HF_ROUTER_BASE_URL.rstrip('/')}/{model_id}"
 
 
 def _extract_error_detail(response: httpx.Response) -> str:
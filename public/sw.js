@@ -0,0 +1,111 @@
+const SHELL_CACHE = 'poi-map-shell-v1';
+const TILE_CACHE = 'poi-map-tiles-v1';
+// Tiles seen while browsing are kept apart from downloaded areas and capped, oldest first.
+const BROWSED_TILE_CACHE = 'poi-map-browsed-tiles-v1';
+const BROWSED_TILE_LIMIT = 2000;
+const BROWSED_TILE_TRIM_EVERY = 50;
+const SHELL_URLS = ['/', '/index.html', '/manifest.webmanifest', '/icons/icon.svg'];
+// The page registers this worker as /sw.js?tiles=<tile URL template>, so the tile host follows
+// VITE_TILE_URL_TEMPLATE; `{s}` stands for any subdomain.
+const DEFAULT_TILE_URL_TEMPLATE = 'https://tile.openstreetmap.org/{z}/{x}/{y}.png';
+
+const toTileHostPattern = (template) => {
+	const host = /^[a-z]+:\/\/([^/?#]+)/i.exec(template)?.[1] || '';
+	const escaped = host.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/\\\{s\\\}/g, '[a-z0-9-]+');
+	return new RegExp(`^${escaped}$`, 'i');
+};
+
+const TILE_HOST_PATTERN = toTileHostPattern(
+	new URL(self.location.href).searchParams.get('tiles') || DEFAULT_TILE_URL_TEMPLATE,
+);
+
+self.addEventListener('install', (event) => {
+	event.waitUntil(
+		caches
+			.open(SHELL_CACHE)
+			.then((cache) => cache.addAll(SHELL_URLS))
+			.then(() => self.skipWaiting()),
+	);
+});
+
+self.addEventListener('activate', (event) => {
+	const currentCaches = [SHELL_CACHE, TILE_CACHE, BROWSED_TILE_CACHE];
+	event.waitUntil(
+		caches
+			.keys()
+			.then((names) => Promise.all(names.filter((name) => !currentCaches.includes(name)).map((name) => caches.delete(name))))
+			.then(() => self.clients.claim()),
+	);
+});
+
+let browsedTilePuts = 0;
+
+// Cache keys come back in insertion order, so the first ones are the oldest.
+const trimBrowsedTiles = async (cache) => {
+	const keys = await cache.keys();
+	await Promise.all(keys.slice(0, Math.max(keys.length - BROWSED_TILE_LIMIT, 0)).map((key) => cache.delete(key)));
+};
+
+const cacheFirstTile = async (request) => {
+	const cached =
+		(await (await caches.open(TILE_CACHE)).match(request.url)) ||
+		(await (await caches.open(BROWSED_TILE_CACHE)).match(request.url));
+	if (cached) {
+		return cached;
+	}
+	const response = await fetch(request);
+	if (response.ok) {
+		const cache = await caches.open(BROWSED_TILE_CACHE);
+		cache.put(request.url, response.clone()).then(() => {
+			browsedTilePuts += 1;
+			if (browsedTilePuts % BROWSED_TILE_TRIM_EVERY === 0) {
+				return trimBrowsedTiles(cache);
+			}
+			return undefined;
+		}).catch((error) => console.warn('Unable to cache a map tile', error));
+	}
+	return response;
+};
+
+const networkFirstPage = async (request) => {
+	const cache = await caches.open(SHELL_CACHE);
+	try {
+		const response = await fetch(request);
+		if (response.ok) {
+			cache.put('/index.html', response.clone());
+		}
+		return response;
+	} catch (error) {
+		return (await cache.match('/index.html')) || Response.error();
+	}
+};
+
+const staleWhileRevalidate = async (request) => {
+	const cache = await caches.open(SHELL_CACHE);
+	const cached = await cache.match(request);
+	const network = fetch(request)
+		.then((response) => {
+			if (response.ok) {
+				cache.put(request, response.clone());
+			}
+			return response;
+		})
+		.catch(() => cached || Response.error());
+	return cached || network;
+};
+
+self.addEventListener('fetch', (event) => {
+	const { request } = event;
+	if (request.method !== 'GET') {
+		return;
+	}
+
+	const url = new URL(request.url);
+	if (TILE_HOST_PATTERN.test(url.host)) {
+		event.respondWith(cacheFirstTile(request));
+	} else if (request.mode === 'navigate') {
+		event.respondWith(networkFirstPage(request));
+	} else if (url.origin === self.location.origin) {
+		event.respondWith(staleWhileRevalidate(request));
+	}
+});
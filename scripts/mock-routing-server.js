@@ -0,0 +1,64 @@
+import { createServer } from 'node:http';
+
+const PORT = Number(process.env.PORT) || 5000;
+const SPEEDS = { foot: 1.4, bike: 4.2, car: 8.3 };
+
+const haversineDistance = (lat1, lon1, lat2, lon2) => {
+	const toRad = (value) => (value * Math.PI) / 180;
+	const a =
+		Math.sin(toRad(lat2 - lat1) / 2) ** 2 +
+		Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(toRad(lon2 - lon1) / 2) ** 2;
+	return 6371e3 * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+};
+
+const sendJson = (response, status, payload) => {
+	response.writeHead(status, {
+		'Content-Type': 'application/json',
+		'Access-Control-Allow-Origin': '*',
+	});
+	response.end(JSON.stringify(payload));
+};
+
+// Answers OSRM /route/v1 requests with an L-shaped path so the frontend can be tested without a real OSRM instance.
+const server = createServer((request, response) => {
+	const url = new URL(request.url, `http://localhost:${PORT}`);
+	const match = url.pathname.match(/^\/route\/v1\/([^/]+)\/([-\d.]+),([-\d.]+);([-\d.]+),([-\d.]+)$/);
+
+	if (!match) {
+		sendJson(response, 400, { code: 'InvalidUrl', message: 'Expected /route/v1/{profile}/{lon},{lat};{lon},{lat}' });
+		return;
+	}
+
+	const [, profile, fromLon, fromLat, toLon, toLat] = match;
+	const from = [Number(fromLon), Number(fromLat)];
+	const to = [Number(toLon), Number(toLat)];
+	const corner = [to[0], from[1]];
+	const firstLeg = haversineDistance(from[1], from[0], corner[1], corner[0]);
+	const secondLeg = haversineDistance(corner[1], corner[0], to[1], to[0]);
+	const speed = SPEEDS[profile] || SPEEDS.foot;
+
+	sendJson(response, 200, {
+		code: 'Ok',
+		routes: [
+			{
+				distance: firstLeg + secondLeg,
+				duration: (firstLeg + secondLeg) / speed,
+				geometry: { type: 'LineString', coordinates: [from, corner, to] },
+				legs: [
+					{
+						steps: [
+							{ distance: firstLeg, name: 'Mock Street', maneuver: { type: 'depart', modifier: 'straight' } },
+							// Heading east then north, or west then south, is a left turn.
+							{ distance: secondLeg, name: 'Mock Avenue', maneuver: { type: 'turn', modifier: to[0] > from[0] === to[1] > from[1] ? 'left' : 'right' } },
+							{ distance: 0, name: '', maneuver: { type: 'arrive' } },
+						],
+					},
+				],
+			},
+		],
+	});
+});
+
+server.listen(PORT, () => {
+	console.log(`Mock routing server listening on http://localhost:${PORT}`);
+});
@@ -1,126 +1,468 @@
-import { useEffect, useState } from 'react';
-import { onAuthStateChanged, signOut } from 'firebase/auth';
+import { useEffect, useMemo, useRef, useState } from 'react';
+import { onIdTokenChanged, signOut } from 'firebase/auth';
+import DirectionsPanel from './components/DirectionsPanel.jsx';
+import ExportMenu from './components/ExportMenu.jsx';
+import ImportedLayers from './components/ImportedLayers.jsx';
+import ItineraryPanel from './components/ItineraryPanel.jsx';
+import LanguageSwitcher from './components/LanguageSwitcher.jsx';
 import LocationForm from './components/LocationForm.jsx';
 import MapView from './components/MapView.jsx';
+import OfflineMaps from './components/OfflineMaps.jsx';
+import PoiDetails from './components/PoiDetails.jsx';
+import PoiFilters from './components/PoiFilters.jsx';
+import PoiList from './components/PoiList.jsx';
+import SavedPlaces from './components/SavedPlaces.jsx';
+import SearchHistory from './components/SearchHistory.jsx';
 import TranslationPopup from './components/TranslationPopup.jsx';
+import UserMenu from './components/UserMenu.jsx';
+import WeatherPanel from './components/WeatherPanel.jsx';
 import AuthPanel from './components/AuthPanel.jsx';
 import { auth } from './firebaseConfig.js';
+import { formatDateTime, formatTime, setLanguage } from './i18n/index.js';
+import { useI18n } from './i18n/useI18n.js';
+import { isGuest, needsEmailVerification, startGuestSession } from './services/auth.js';
+import {
+	GUEST_TRANSLATION_LIMIT,
+	recordGuestTranslation,
+	remainingGuestTranslations,
+} from './services/guestQuota.js';
+import { reverseGeocode } from './services/nominatim.js';
+import { saveItinerary, subscribeItinerary } from './services/itinerary.js';
+import { DEFAULT_POI_FILTERS, fetchNearbyPois } from './services/overpass.js';
+import { isAbortError } from './services/http.js';
+import {
+	clearOfflineSearches,
+	findOfflineSearch,
+	listOfflineSearches,
+	saveOfflineSearch,
+} from './services/offlineSearches.js';
+import { savePreferences, subscribePreferences } from './services/preferences.js';
+import { fetchRoute } from './services/routing.js';
+import { isTranslationConfigured, translateChunks, translateTexts } from './services/translation.js';
+import {
+	addTranslationHistoryEntry,
+	clearTranslationHistory,
+	deleteTranslationHistoryEntry,
+	setPhrasebookTopic,
+	subscribeTranslationHistory,
+} from './services/translationHistory.js';
+import { fetchWeather } from './services/weather.js';
+import {
+	deleteSavedPlace,
+	savePlace,
+	subscribeSavedPlaces,
+	toSavedPlaceId,
+	updateSavedPlace,
+} from './services/savedPlaces.js';
+import {
+	addSearchHistoryEntry,
+	clearSearchHistory,
+	deleteSearchHistoryEntry,
+	subscribeSearchHistory,
+} from './services/searchHistory.js';
+import { formatDistance } from './utils/geo.js';
+import { extractPoints, getFeatureBounds, withoutPoints } from './utils/importers.js';
+import { buildDeepLink, readDeepLink } from './utils/deepLink.js';
+import { optimizeStopOrder, toItineraryStop } from './utils/itinerary.js';
+import { getOpeningStatus, parseOpeningHours } from './utils/openingHours.js';
+import { localizePoi } from './utils/poi.js';
+import { joinTranslatedSegments, splitForTranslation } from './utils/textChunks.js';
 import './App.css';
 
-const NOMINATIM_ENDPOINT = 'https://nominatim.openstreetmap.org/search';
-const OVERPASS_ENDPOINT = 'https://overpass-api.de/api/interpreter';
-const WEATHER_ENDPOINT = 'https://api.open-meteo.com/v1/forecast';
-const normalizeBaseUrl = (rawUrl) => {
-	if (typeof rawUrl !== 'string') {
-		return '';
-	}
-	return rawUrl.endsWith('/') ? rawUrl.slice(0, -1) : rawUrl;
-};
-
-const TRANSLATION_API_BASE_URL = normalizeBaseUrl(import.meta.env.VITE_TRANSLATION_API_BASE_URL);
-const TRANSLATION_ENDPOINT = TRANSLATION_API_BASE_URL ? `${TRANSLATION_API_BASE_URL}/translate` : '';
-
-const haversineDistance = (lat1, lon1, lat2, lon2) => {
-	const toRad = (value) => (value * Math.PI) / 180;
-	const R = 6371e3;
-	const φ1 = toRad(lat1);
-	const φ2 = toRad(lat2);
-	const Δφ = toRad(lat2 - lat1);
-	const Δλ = toRad(lon2 - lon1);
-	const a = Math.sin(Δφ / 2) ** 2 + Math.cos(φ1) * Math.cos(φ2) * Math.sin(Δλ / 2) ** 2;
-	const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
-	return R * c;
-};
-
-const buildPoiLabel = (tags = {}) => {
-	if (tags.name) {
-		return tags.name;
-	}
-	if (tags['name:vi']) {
-		return tags['name:vi'];
-	}
-	if (tags['name:en']) {
-		return tags['name:en'];
-	}
-		if (tags.amenity) {
-			return tags.amenity;
-		}
-		if (tags.tourism) {
-			return tags.tourism;
-		}
-		if (tags.leisure) {
-			return tags.leisure;
-		}
-		return 'Point of interest';
-};
-
-const buildCategory = (tags = {}) => {
-	const candidates = ['tourism', 'amenity', 'historic', 'leisure', 'shop'];
-	const key = candidates.find((field) => tags[field]);
-		return key ? `${key}: ${tags[key]}` : 'Other';
-};
-
-const describeWeatherCode = (code) => {
-	const lookup = {
-		0: 'Clear sky',
-		1: 'Mainly clear',
-		2: 'Partly cloudy',
-		3: 'Overcast',
-		45: 'Fog',
-		48: 'Depositing rime fog',
-		51: 'Light drizzle',
-		53: 'Moderate drizzle',
-		55: 'Dense drizzle',
-		56: 'Light freezing drizzle',
-		57: 'Dense freezing drizzle',
-		61: 'Slight rain',
-		63: 'Moderate rain',
-		65: 'Heavy rain',
-		66: 'Light freezing rain',
-		67: 'Heavy freezing rain',
-		71: 'Slight snow fall',
-		73: 'Moderate snow fall',
-		75: 'Heavy snow fall',
-		77: 'Snow grains',
-		80: 'Rain showers: slight',
-		81: 'Rain showers: moderate',
-		82: 'Rain showers: violent',
-		85: 'Snow showers: slight',
-		86: 'Snow showers: heavy',
-		95: 'Thunderstorm',
-		96: 'Thunderstorm with slight hail',
-		99: 'Thunderstorm with heavy hail',
-	};
-	return lookup[code] || 'Weather data unavailable';
-};
+const FILTER_REQUERY_DELAY_MS = 600;
+const OPENING_STATUS_REFRESH_MS = 60 * 1000;
+const SIDEBAR_TABS = [
+	{ id: 'results', labelKey: 'tabs.results' },
+	{ id: 'saved', labelKey: 'tabs.saved' },
+	{ id: 'itinerary', labelKey: 'tabs.itinerary' },
+	{ id: 'history', labelKey: 'tabs.history' },
+	{ id: 'layers', labelKey: 'tabs.layers' },
+	{ id: 'offline', labelKey: 'tabs.offline' },
+];
+const LAYER_COLORS = ['#e11d48', '#0891b2', '#65a30d', '#d97706', '#9333ea', '#0f766e'];
+
+const formatCachedAt = (timestamp) =>
+	formatDateTime(timestamp, { hour: '2-digit', minute: '2-digit', day: '2-digit', month: '2-digit' });
 
 function App() {
+	const { language, t } = useI18n();
 	const [isLoading, setIsLoading] = useState(false);
+	const [isLocating, setIsLocating] = useState(false);
 		const [errorMessage, setErrorMessage] = useState('');
 		const [selectedPlace, setSelectedPlace] = useState(null);
 		const [pois, setPois] = useState([]);
 	const [weatherInfo, setWeatherInfo] = useState(null);
+	const [poisCache, setPoisCache] = useState(null);
+	const [filters, setFilters] = useState(DEFAULT_POI_FILTERS);
+	const [sidebarTab, setSidebarTab] = useState('results');
+	const [focusPoint, setFocusPoint] = useState(null);
+	const [savedPlaces, setSavedPlaces] = useState([]);
+	const [savedPlacesLoading, setSavedPlacesLoading] = useState(false);
+	const [savedPlacesError, setSavedPlacesError] = useState('');
+	const [searchHistory, setSearchHistory] = useState([]);
+	const [importedLayers, setImportedLayers] = useState([]);
+	const [itinerary, setItinerary] = useState([]);
+	const [itineraryError, setItineraryError] = useState('');
+	const [directionsTarget, setDirectionsTarget] = useState(null);
+	const [routingProfile, setRoutingProfile] = useState('walk');
+	const [route, setRoute] = useState(null);
+	const [isRouting, setIsRouting] = useState(false);
+	const [focusBounds, setFocusBounds] = useState(null);
+	const [restoreView, setRestoreView] = useState(null);
+	const [pendingDeepLink, setPendingDeepLink] = useState(readDeepLink);
+	const historyModeRef = useRef('replace');
+	// Bumped by every search and restore, so a restore that finishes late can tell it was overtaken.
+	const searchRunRef = useRef(0);
+	const searchFiltersRef = useRef(DEFAULT_POI_FILTERS);
+	const searchControllerRef = useRef(null);
+	const translationJobRef = useRef(null);
+	const [poiLoadFailed, setPoiLoadFailed] = useState(false);
+	const [isOnline, setIsOnline] = useState(() => navigator.onLine);
+	const [offlineSearches, setOfflineSearches] = useState([]);
+	const [offlineSnapshotAt, setOfflineSnapshotAt] = useState(null);
+	const [mapView, setMapView] = useState(null);
 	const [isTranslatorOpen, setIsTranslatorOpen] = useState(false);
 	const [isTranslating, setIsTranslating] = useState(false);
 	const [translationResult, setTranslationResult] = useState('');
 	const [translationError, setTranslationError] = useState('');
+	const [translationChunks, setTranslationChunks] = useState([]);
+	const [translationHistory, setTranslationHistory] = useState([]);
+	const [isPoiTranslationOn, setIsPoiTranslationOn] = useState(false);
+	const [poiTranslations, setPoiTranslations] = useState({});
+	const [isTranslatingPois, setIsTranslatingPois] = useState(false);
+	const [poiTranslationFailures, setPoiTranslationFailures] = useState(0);
+	const [detailPoiId, setDetailPoiId] = useState(null);
+	const [activePoi, setActivePoi] = useState(null);
+	const [hoveredPoiId, setHoveredPoiId] = useState(null);
+	const [isOpenNowOnly, setIsOpenNowOnly] = useState(false);
+	const [now, setNow] = useState(() => Date.now());
 	const [currentUser, setCurrentUser] = useState(null);
+	const [unverifiedUser, setUnverifiedUser] = useState(null);
 	const [authLoading, setAuthLoading] = useState(true);
+	const [, setAuthRevision] = useState(0);
+	const [isGuestUnavailable, setIsGuestUnavailable] = useState(false);
+	const [upgradeReason, setUpgradeReason] = useState(null);
+	const [guestTranslationsLeft, setGuestTranslationsLeft] = useState(GUEST_TRANSLATION_LIMIT);
+	const isGuestSession = isGuest(currentUser);
 
 	useEffect(() => {
-		const unsubscribe = onAuthStateChanged(auth, (firebaseUser) => {
-			setCurrentUser(firebaseUser);
+		// Password accounts stay locked out, with no access to their data, until the email is verified.
+		// ID token events also fire when a guest links a credential, which mutates the same user object,
+		// so the revision counter forces a render for it.
+		const unsubscribe = onIdTokenChanged(auth, (firebaseUser) => {
+			if (!firebaseUser) {
+				setCurrentUser(null);
+				setUnverifiedUser(null);
+				// Visitors browse as guests; the sign-in form only becomes a wall if anonymous auth is unavailable.
+				startGuestSession().catch((error) => {
+					console.warn('Unable to start a guest session', error);
+					setIsGuestUnavailable(true);
+					setAuthLoading(false);
+				});
+				return;
+			}
+			const isUnverified = needsEmailVerification(firebaseUser);
+			setCurrentUser(isUnverified ? null : firebaseUser);
+			setUnverifiedUser(isUnverified ? firebaseUser : null);
+			setAuthRevision((revision) => revision + 1);
+			setIsGuestUnavailable(false);
 			setAuthLoading(false);
 		});
 		return unsubscribe;
 	}, []);
 
+	useEffect(() => {
+		if (!isGuestSession) {
+			setUpgradeReason(null);
+			return;
+		}
+		setGuestTranslationsLeft(remainingGuestTranslations(currentUser.uid));
+	}, [currentUser, isGuestSession]);
+
+	const requestUpgrade = (reasonKey) => setUpgradeReason(reasonKey);
+
 	useEffect(() => {
 		if (!currentUser) {
 			setIsTranslatorOpen(false);
 		}
 	}, [currentUser]);
 
+	useEffect(() => {
+		if (!currentUser) {
+			return undefined;
+		}
+		return subscribePreferences(currentUser.uid, (preferences) => {
+			if (preferences.language) {
+				setLanguage(preferences.language);
+			}
+		});
+	}, [currentUser]);
+
+	const handleLanguageChange = (nextLanguage) => {
+		setLanguage(nextLanguage);
+		if (currentUser) {
+			savePreferences(currentUser.uid, { language: nextLanguage }).catch((error) => {
+				console.warn('Unable to save the language preference', error);
+			});
+		}
+	};
+
+	useEffect(() => {
+		const updateStatus = () => setIsOnline(navigator.onLine);
+		window.addEventListener('online', updateStatus);
+		window.addEventListener('offline', updateStatus);
+		return () => {
+			window.removeEventListener('online', updateStatus);
+			window.removeEventListener('offline', updateStatus);
+		};
+	}, []);
+
+	useEffect(() => {
+		if (!currentUser) {
+			setSavedPlaces([]);
+			return undefined;
+		}
+
+		setSavedPlacesLoading(true);
+		setSavedPlacesError('');
+		return subscribeSavedPlaces(
+			currentUser.uid,
+			(places) => {
+				setSavedPlaces(places);
+				setSavedPlacesLoading(false);
+			},
+			(error) => {
+				console.error('Failed to load saved places', error);
+				setSavedPlacesError(t('saved.loadFailed'));
+				setSavedPlacesLoading(false);
+			},
+		);
+	}, [currentUser]);
+
+	useEffect(() => {
+		setOfflineSearches(currentUser ? listOfflineSearches(currentUser.uid) : []);
+	}, [currentUser]);
+
+	useEffect(() => {
+		if (!currentUser) {
+			setSearchHistory([]);
+			return undefined;
+		}
+		return subscribeSearchHistory(currentUser.uid, setSearchHistory);
+	}, [currentUser]);
+
+	useEffect(() => {
+		if (!currentUser) {
+			setTranslationHistory([]);
+			return undefined;
+		}
+		return subscribeTranslationHistory(currentUser.uid, setTranslationHistory);
+	}, [currentUser]);
+
+	useEffect(() => {
+		if (!currentUser) {
+			setItinerary([]);
+			return undefined;
+		}
+		return subscribeItinerary(currentUser.uid, setItinerary, (error) => {
+			console.error('Failed to load itinerary', error);
+			setItineraryError(t('itinerary.loadFailed'));
+		});
+	}, [currentUser]);
+
+	useEffect(() => {
+		if (!directionsTarget || !selectedPlace) {
+			setRoute(null);
+			setIsRouting(false);
+			return undefined;
+		}
+
+		const controller = new AbortController();
+		setIsRouting(true);
+		fetchRoute(selectedPlace, directionsTarget, routingProfile, { signal: controller.signal })
+			.then((result) => {
+				setRoute(result);
+				setIsRouting(false);
+			})
+			.catch((error) => {
+				if (error.name !== 'AbortError') {
+					console.error('Failed to calculate route', error);
+					setIsRouting(false);
+				}
+			});
+		// An aborted request never settles above, so the spinner is cleared here; a new request sets it again.
+		return () => {
+			controller.abort();
+			setIsRouting(false);
+		};
+	}, [directionsTarget, routingProfile, selectedPlace]);
+
+	const handleTogglePoiTranslation = () => {
+		if (isGuestSession) {
+			requestUpgrade('upgrade.reason.translate');
+			return;
+		}
+		setIsPoiTranslationOn((current) => !current);
+	};
+
+	const handleRequestDirections = (poi) => {
+		setDirectionsTarget(poi);
+		setSidebarTab('results');
+	};
+
+	const localizedPois = useMemo(() => pois.map((poi) => localizePoi(poi, language)), [pois, language]);
+
+	useEffect(() => {
+		if (!isPoiTranslationOn || !isTranslationConfigured() || localizedPois.length === 0) {
+			return undefined;
+		}
+
+		const controller = new AbortController();
+		const texts = localizedPois.flatMap((poi) => [poi.name, poi.address]);
+		setIsTranslatingPois(true);
+		setPoiTranslationFailures(0);
+		translateTexts(texts, { target: language, signal: controller.signal })
+			.then(({ translations, failed }) => {
+				setPoiTranslations((current) => ({
+					...current,
+					[language]: { ...current[language], ...translations },
+				}));
+				setPoiTranslationFailures(failed);
+			})
+			.catch((error) => {
+				if (!isAbortError(error)) {
+					console.warn('Unable to translate POI names', error);
+				}
+			})
+			.finally(() => {
+				if (!controller.signal.aborted) {
+					setIsTranslatingPois(false);
+				}
+			});
+		return () => {
+			controller.abort();
+			setIsTranslatingPois(false);
+		};
+	}, [isPoiTranslationOn, localizedPois, language]);
+
+	// Translations sit beside the original text so both stay visible.
+	const displayedPois = useMemo(() => {
+		if (!isPoiTranslationOn) {
+			return localizedPois;
+		}
+		const dictionary = poiTranslations[language] || {};
+		return localizedPois.map((poi) => ({
+			...poi,
+			translatedName: dictionary[poi.name] || null,
+			translatedAddress: (poi.address && dictionary[poi.address]) || null,
+		}));
+	}, [isPoiTranslationOn, localizedPois, poiTranslations, language]);
+
+	const poiSchedules = useMemo(
+		() => new Map(pois.map((poi) => [poi.id, parseOpeningHours(poi.tags?.opening_hours)])),
+		[pois],
+	);
+
+	// "Open now" badges follow the clock while results are on screen.
+	useEffect(() => {
+		if (pois.length === 0) {
+			return undefined;
+		}
+		setNow(Date.now());
+		const timer = setInterval(() => setNow(Date.now()), OPENING_STATUS_REFRESH_MS);
+		return () => clearInterval(timer);
+	}, [pois]);
+
+	// Places without parseable opening hours cannot be shown as open, so the filter hides them too.
+	const visiblePois = useMemo(
+		() =>
+			isOpenNowOnly
+				? displayedPois.filter((poi) => getOpeningStatus(poiSchedules.get(poi.id), now)?.isOpen)
+				: displayedPois,
+		[isOpenNowOnly, displayedPois, poiSchedules, now],
+	);
+
+	const detailPoi = displayedPois.find((poi) => poi.id === detailPoiId) || null;
+
+	const handleShowDetails = (poi) => {
+		setDetailPoiId(poi.id);
+		setSidebarTab('results');
+	};
+
+	// Marker clicks switch to the results tab so the list can scroll to the matching entry.
+	const handleSelectPoiOnMap = (poiId) => {
+		setActivePoi({ id: poiId, source: 'map' });
+		setSidebarTab('results');
+	};
+
+	const savedPoiIds = useMemo(() => new Set(savedPlaces.map((place) => place.poiId)), [savedPlaces]);
+
+	const handleSavePoi = async (poi) => {
+		if (!currentUser) {
+			return;
+		}
+		if (isGuestSession) {
+			requestUpgrade('upgrade.reason.save');
+			return;
+		}
+		try {
+			if (savedPoiIds.has(poi.id)) {
+				await deleteSavedPlace(currentUser.uid, toSavedPlaceId(poi.id));
+			} else {
+				await savePlace(currentUser.uid, poi);
+			}
+		} catch (error) {
+			console.error('Failed to update saved places', error);
+			setErrorMessage(t('saved.toggleFailed'));
+		}
+	};
+
+	const itineraryIds = useMemo(() => new Set(itinerary.map((stop) => stop.id)), [itinerary]);
+
+	const updateItinerary = async (stops) => {
+		setItinerary(stops);
+		setItineraryError('');
+		if (!currentUser) {
+			return;
+		}
+		try {
+			await saveItinerary(currentUser.uid, stops);
+		} catch (error) {
+			console.error('Failed to save itinerary', error);
+			setItineraryError(t('itinerary.saveFailed'));
+		}
+	};
+
+	const handleToggleItineraryStop = (poi) => {
+		if (isGuestSession) {
+			requestUpgrade('upgrade.reason.itinerary');
+			return;
+		}
+		updateItinerary(
+			itineraryIds.has(poi.id)
+				? itinerary.filter((stop) => stop.id !== poi.id)
+				: [...itinerary, toItineraryStop(poi)],
+		);
+	};
+
+	const handleUpdateSavedPlace = async (placeId, changes) => {
+		try {
+			await updateSavedPlace(currentUser.uid, placeId, changes);
+		} catch (error) {
+			console.error('Failed to update saved place', error);
+			setSavedPlacesError(t('saved.updateFailed'));
+		}
+	};
+
+	const handleDeleteSavedPlace = async (placeId) => {
+		try {
+			await deleteSavedPlace(currentUser.uid, placeId);
+		} catch (error) {
+			console.error('Failed to delete saved place', error);
+			setSavedPlacesError(t('saved.deleteFailed'));
+		}
+	};
+
 	const handleSignOut = async () => {
 		try {
 			await signOut(auth);
@@ -129,226 +471,507 @@ function App() {
 		}
 	};
 
-	const handleSearch = async (userQuery) => {
-		if (!currentUser) {
-			setErrorMessage('Vui lòng đăng nhập để tìm kiếm địa điểm.');
-			return;
+	const showPois = ({ pois: formatted, cachedAt, fromCache }, activeFilters) => {
+		if (formatted.length === 0) {
+			setErrorMessage(t('results.noneWithin', { distance: formatDistance(activeFilters.radius) }));
 		}
-		const trimmed = userQuery.trim();
-		if (!trimmed) {
-			setErrorMessage('Please enter a location name.');
+		setPois(formatted);
+		setPoisCache(fromCache ? cachedAt : null);
+	};
+
+	const startRequest = () => {
+		searchControllerRef.current?.abort();
+		const controller = new AbortController();
+		searchControllerRef.current = controller;
+		return controller;
+	};
+
+	const finishRequest = (controller) => {
+		if (searchControllerRef.current === controller) {
+			searchControllerRef.current = null;
+			setIsLoading(false);
+		}
+	};
+
+	const showPoiError = (error) => {
+		setPoiLoadFailed(true);
+		setErrorMessage(
+			`${error.message || t('errors.poiFetch')} ${t('results.partialFailure')}`,
+		);
+	};
+
+	const refreshPois = async (place, activeFilters) => {
+		if (!navigator.onLine) {
+			setErrorMessage(t('offline.filtersUnavailable'));
 			return;
 		}
 
+		const controller = startRequest();
+		searchFiltersRef.current = activeFilters;
 		setIsLoading(true);
 		setErrorMessage('');
+		setPoiLoadFailed(false);
+		setOfflineSnapshotAt(null);
 		setPois([]);
-		setWeatherInfo(null);
 
 		try {
-			const geocodeUrl = `${NOMINATIM_ENDPOINT}?format=json&addressdetails=1&limit=1&countrycodes=vn&q=${encodeURIComponent(trimmed)}`;
-			const geocodeResponse = await fetch(geocodeUrl, {
-				headers: {
-					'Accept-Language': 'vi',
-					'User-Agent': 'poi-map-student-project/1.0 (contact: student-project@example.com)',
-				},
-			});
-
-			if (!geocodeResponse.ok) {
-			throw new Error('Unable to locate the place, please try again.');
+			const result = await fetchNearbyPois(place, activeFilters, { signal: controller.signal });
+			if (!controller.signal.aborted) {
+				showPois(result, activeFilters);
 			}
+		} catch (error) {
+			if (!isAbortError(error)) {
+				showPoiError(error);
+			}
+		} finally {
+			finishRequest(controller);
+		}
+	};
 
-			const geocodeData = await geocodeResponse.json();
+	useEffect(() => {
+		if (!selectedPlace || !currentUser || filters === searchFiltersRef.current) {
+			return undefined;
+		}
+		const timer = setTimeout(() => refreshPois(selectedPlace, filters), FILTER_REQUERY_DELAY_MS);
+		return () => clearTimeout(timer);
+	}, [filters]);
+
+	const showOfflineSearch = (snapshot) => {
+		searchControllerRef.current?.abort();
+		searchFiltersRef.current = snapshot.filters;
+		setFilters(snapshot.filters);
+		setErrorMessage('');
+		setPoiLoadFailed(false);
+		setDirectionsTarget(null);
+		setSelectedPlace(snapshot.place);
+		setWeatherInfo(snapshot.weather);
+		setPois(snapshot.pois);
+		setPoisCache(null);
+		setOfflineSnapshotAt(snapshot.savedAt);
+		setSidebarTab('results');
+	};
 
-			if (!Array.isArray(geocodeData) || geocodeData.length === 0) {
-			throw new Error('No matching location found in Vietnam.');
+	// Restores pass `record: false`: reopening a link is not a new search to keep in history or offline.
+	const handleSearch = async (place, activeFilters = filters, { historyMode = 'push', record = true } = {}) => {
+		searchRunRef.current += 1;
+		if (!currentUser) {
+			setErrorMessage(t('auth.loginToSearch'));
+			return;
+		}
+		if (!place) {
+			setErrorMessage(t('search.chooseSuggestion'));
+			return;
+		}
+		setActivePoi(null);
+		setHoveredPoiId(null);
+		setDetailPoiId(null);
+		if (!navigator.onLine) {
+			const snapshot = findOfflineSearch(currentUser.uid, place.lat, place.lon);
+			if (snapshot) {
+				historyModeRef.current = historyMode;
+				showOfflineSearch(snapshot);
+			} else {
+				setErrorMessage(t('offline.searchUnavailable'));
 			}
+			return;
+		}
 
-			const { lat, lon, display_name: displayName } = geocodeData[0];
-			const latitude = parseFloat(lat);
-			const longitude = parseFloat(lon);
+		const controller = startRequest();
+		const { signal } = controller;
+		searchFiltersRef.current = activeFilters;
+		setIsLoading(true);
+		setErrorMessage('');
+		setPoiLoadFailed(false);
+		setPois([]);
+		setWeatherInfo(null);
+		setOfflineSnapshotAt(null);
+		setDirectionsTarget(null);
+
+		try {
+			const { lat: latitude, lon: longitude, label } = place;
 
+			historyModeRef.current = historyMode;
 			setSelectedPlace({
 				lat: latitude,
 				lon: longitude,
-				label: displayName,
+				label,
 			});
 
-			const weatherUrl = `${WEATHER_ENDPOINT}?latitude=${latitude}&longitude=${longitude}&current_weather=true&timezone=auto`;
-
-			const overpassQuery = `
-				[out:json][timeout:25];
-				(
-					node(around:2000, ${latitude}, ${longitude})["tourism"];
-					node(around:2000, ${latitude}, ${longitude})["amenity"];
-					node(around:2000, ${latitude}, ${longitude})["historic"];
-					node(around:2000, ${latitude}, ${longitude})["leisure"];
-					way(around:2000, ${latitude}, ${longitude})["tourism"];
-					way(around:2000, ${latitude}, ${longitude})["amenity"];
-					way(around:2000, ${latitude}, ${longitude})["historic"];
-					way(around:2000, ${latitude}, ${longitude})["leisure"];
-				);
-				out center;
-			`;
-
-			const [weatherResponse, poiResponse] = await Promise.all([
-				fetch(weatherUrl),
-				fetch(OVERPASS_ENDPOINT, {
-					method: 'POST',
-					headers: {
-						'Content-Type': 'text/plain;charset=UTF-8',
-					},
-					body: overpassQuery,
-				}),
+			const [weatherResult, poiResult] = await Promise.allSettled([
+				fetchWeather(latitude, longitude, { signal }),
+				fetchNearbyPois({ lat: latitude, lon: longitude }, activeFilters, { signal }),
 			]);
 
-			if (!poiResponse.ok) {
-				throw new Error('Unable to fetch nearby points of interest.');
+			if (signal.aborted) {
+				return;
 			}
 
-			if (weatherResponse.ok) {
-				const weatherJson = await weatherResponse.json();
-				if (weatherJson?.current_weather) {
-					const { temperature, windspeed, winddirection, weathercode, time: observationTime } = weatherJson.current_weather;
-					setWeatherInfo({
-						temperature,
-						windSpeed: windspeed,
-						windDirection: winddirection,
-						description: describeWeatherCode(weathercode),
-						observationTime,
-					});
+			const weather = weatherResult.status === 'fulfilled' ? weatherResult.value : null;
+			setWeatherInfo(weather);
+			if (poiResult.status === 'rejected') {
+				const snapshot = findOfflineSearch(currentUser.uid, latitude, longitude);
+				if (snapshot) {
+					showOfflineSearch(snapshot);
 				} else {
-					setWeatherInfo(null);
+					showPoiError(poiResult.reason);
 				}
-			} else {
-				setWeatherInfo(null);
+				return;
 			}
 
-			const poiData = await poiResponse.json();
-			const elements = Array.isArray(poiData.elements) ? poiData.elements : [];
-
-			const formatted = elements
-				.map((element) => {
-					const { tags = {}, id, lat: nodeLat, lon: nodeLon, center } = element;
-					const resultLat = typeof nodeLat === 'number' ? nodeLat : center?.lat;
-					const resultLon = typeof nodeLon === 'number' ? nodeLon : center?.lon;
-
-					if (typeof resultLat !== 'number' || typeof resultLon !== 'number') {
-						return null;
-					}
-
-					const distance = haversineDistance(latitude, longitude, resultLat, resultLon);
-
-					return {
-						id,
-						name: buildPoiLabel(tags),
-						category: buildCategory(tags),
-						lat: resultLat,
-						lon: resultLon,
-						distance,
-						address: tags['addr:street'] || tags['addr:full'] || null,
-					};
-				})
-				.filter(Boolean)
-				.sort((a, b) => a.distance - b.distance)
-				.slice(0, 5);
-
-					if (formatted.length === 0) {
-						setErrorMessage('No notable places found within 2km of this location.');
-					}
-
-			setPois(formatted);
+			showPois(poiResult.value, activeFilters);
+			if (!record) {
+				return;
+			}
+			setOfflineSearches(
+				saveOfflineSearch(currentUser.uid, {
+					place: { query: place.query || '', lat: latitude, lon: longitude, label },
+					filters: activeFilters,
+					pois: poiResult.value.pois,
+					weather,
+				}),
+			);
+			setSearchHistory(addSearchHistoryEntry(currentUser.uid, { ...place, filters: activeFilters }));
 		} catch (error) {
-			setErrorMessage(error.message || 'Something went wrong, please try again.');
+			if (!isAbortError(error)) {
+				setErrorMessage(error.message || t('errors.generic'));
+			}
 		} finally {
-			setIsLoading(false);
+			finishRequest(controller);
+		}
+	};
+
+	const handleOpenOfflineSearch = (snapshot) => {
+		searchRunRef.current += 1;
+		historyModeRef.current = 'push';
+		showOfflineSearch(snapshot);
+	};
+
+	// Links without a search (the page as first opened) bring back the empty map.
+	const restoreDeepLink = async (link) => {
+		if (!link) {
+			searchRunRef.current += 1;
+			searchControllerRef.current?.abort();
+			setSelectedPlace(null);
+			setPois([]);
+			setWeatherInfo(null);
+			setErrorMessage('');
+			setDirectionsTarget(null);
+			setActivePoi(null);
+			setDetailPoiId(null);
+			return;
+		}
+		const linkFilters = link.filters || filters;
+		setFilters(linkFilters);
+		setIsOpenNowOnly(link.isOpenNowOnly);
+		setSidebarTab('results');
+		// handleSearch bumps the counter synchronously before its first await.
+		const run = searchRunRef.current + 1;
+		await handleSearch(link.place, linkFilters, { historyMode: 'replace', record: false });
+		if (searchRunRef.current !== run) {
+			return;
+		}
+		if (link.view) {
+			setRestoreView(link.view);
+		}
+		if (link.poiId) {
+			setActivePoi({ id: link.poiId, source: 'map' });
+			setDetailPoiId(link.poiId);
+		}
+	};
+
+	// Shared links wait for a session, since searching needs one.
+	useEffect(() => {
+		if (!currentUser || !pendingDeepLink) {
+			return;
+		}
+		setPendingDeepLink(null);
+		restoreDeepLink(pendingDeepLink);
+	}, [currentUser, pendingDeepLink]);
+
+	const restoreDeepLinkRef = useRef(restoreDeepLink);
+	restoreDeepLinkRef.current = restoreDeepLink;
+
+	useEffect(() => {
+		const handlePopState = () => restoreDeepLinkRef.current(readDeepLink());
+		window.addEventListener('popstate', handlePopState);
+		return () => window.removeEventListener('popstate', handlePopState);
+	}, []);
+
+	// Each new search is a browser history entry; panning, filtering or selecting a POI updates that entry in place.
+	useEffect(() => {
+		if (!selectedPlace) {
+			return;
+		}
+		const search = buildDeepLink({
+			place: selectedPlace,
+			filters,
+			isOpenNowOnly,
+			view: mapView,
+			poiId: activePoi?.id,
+		});
+		if (search === window.location.search) {
+			return;
+		}
+		const url = `${window.location.pathname}${search}${window.location.hash}`;
+		if (historyModeRef.current === 'push') {
+			window.history.pushState(null, '', url);
+		} else {
+			window.history.replaceState(null, '', url);
+		}
+		historyModeRef.current = 'replace';
+	}, [selectedPlace, filters, isOpenNowOnly, mapView, activePoi]);
+
+	const handleRerunSearch = (entry) => {
+		const entryFilters = entry.filters || filters;
+		setFilters(entryFilters);
+		setSidebarTab('results');
+		handleSearch({ query: entry.query, label: entry.label, lat: entry.lat, lon: entry.lon }, entryFilters);
+	};
+
+	const handleDeleteHistoryEntry = (entryId) => {
+		setSearchHistory(deleteSearchHistoryEntry(currentUser.uid, entryId));
+	};
+
+	const handleClearHistory = () => {
+		setSearchHistory(clearSearchHistory(currentUser.uid));
+	};
+
+	const handleAddLayer = ({ name, data }) => {
+		const layer = {
+			id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+			name,
+			data,
+			visible: true,
+			points: extractPoints(data.features),
+			shapes: { type: 'FeatureCollection', features: withoutPoints(data.features) },
+			bounds: getFeatureBounds(data.features),
+		};
+		setImportedLayers((current) => [...current, { ...layer, color: LAYER_COLORS[current.length % LAYER_COLORS.length] }]);
+		if (layer.bounds) {
+			setFocusBounds({ bounds: layer.bounds, at: Date.now() });
+		}
+	};
+
+	const handleToggleLayer = (layerId) => {
+		setImportedLayers((current) =>
+			current.map((layer) => (layer.id === layerId ? { ...layer, visible: !layer.visible } : layer)),
+		);
+	};
+
+	const handleRemoveLayer = (layerId) => {
+		setImportedLayers((current) => current.filter((layer) => layer.id !== layerId));
+	};
+
+	const handleSearchAtPoint = async (latitude, longitude) => {
+		if (!currentUser) {
+			setErrorMessage(t('auth.loginToSearch'));
+			return;
+		}
+
+		const controller = startRequest();
+		setIsLoading(true);
+		const fallbackLabel = `${latitude.toFixed(5)}, ${longitude.toFixed(5)}`;
+		let label = fallbackLabel;
+		try {
+			const place = await reverseGeocode(latitude, longitude, { signal: controller.signal });
+			label = place?.label || fallbackLabel;
+		} catch (error) {
+			if (!isAbortError(error)) {
+				console.warn('Reverse geocoding failed', error);
+			}
+		}
+
+		try {
+			if (!controller.signal.aborted) {
+				await handleSearch({ lat: latitude, lon: longitude, label });
+			}
+		} finally {
+			// handleSearch starts its own request online; offline it returns early and this one is still current.
+			finishRequest(controller);
+		}
+	};
+
+	const handleLocateMe = () => {
+		if (!navigator.geolocation) {
+			setErrorMessage(t('locate.unsupported'));
+			return;
+		}
+
+		setIsLocating(true);
+		setErrorMessage('');
+		navigator.geolocation.getCurrentPosition(
+			async (position) => {
+				setIsLocating(false);
+				await handleSearchAtPoint(position.coords.latitude, position.coords.longitude);
+			},
+			(error) => {
+				setIsLocating(false);
+				setErrorMessage(
+					error.code === error.PERMISSION_DENIED
+						? t('locate.denied')
+						: t('locate.failed'),
+				);
+			},
+			{ enableHighAccuracy: true, timeout: 15000, maximumAge: 60000 },
+		);
+	};
+
+	const finishTranslationJob = (job) => {
+		const chunks = job.segments.filter((segment) => !segment.isGap);
+		const failed = chunks.filter((chunk) => chunk.status === 'failed');
+		if (failed.length === chunks.length) {
+			setTranslationError(failed[0].error);
+			return;
+		}
+		// Partial failures stay on screen chunk by chunk until they are retried.
+		if (failed.length > 0) {
+			return;
+		}
+		const translatedText = joinTranslatedSegments(job.segments);
+		setTranslationResult(translatedText);
+		setTranslationHistory(
+			addTranslationHistoryEntry(currentUser.uid, {
+				sourceText: job.text,
+				translatedText,
+				source: job.source,
+				target: job.target,
+				modelId: chunks.find((chunk) => chunk.modelId)?.modelId,
+			}),
+		);
+	};
+
+	const runTranslationChunks = async (job, indexes) => {
+		setIsTranslating(true);
+		try {
+			await translateChunks(
+				indexes.map((index) => job.segments[index].text),
+				{
+					source: job.source,
+					target: job.target,
+					signal: job.controller.signal,
+					onChunk: (position, outcome) => {
+						const index = indexes[position];
+						job.segments[index] = { ...job.segments[index], ...outcome };
+						if (translationJobRef.current === job) {
+							setTranslationChunks([...job.segments]);
+						}
+					},
+				},
+			);
+		} catch (error) {
+			if (!isAbortError(error)) {
+				setTranslationError(error.message || t('translator.failed'));
+			}
+			return;
+		} finally {
+			if (translationJobRef.current === job) {
+				setIsTranslating(false);
+			}
+		}
+		if (translationJobRef.current === job) {
+			finishTranslationJob(job);
 		}
 	};
 
-	const handleTranslate = async (englishText) => {
+	const handleTranslate = async (text, { source, target }) => {
 		if (!currentUser) {
-			setTranslationError('Bạn cần đăng nhập trước khi sử dụng công cụ dịch.');
+			setTranslationError(t('translator.loginRequired'));
 			return;
 		}
-		const trimmed = englishText.trim();
+		const trimmed = text.trim();
 		if (!trimmed) {
-			setTranslationError('Please enter an English sentence to translate.');
+			setTranslationError(t('translator.emptyInput'));
 			setTranslationResult('');
 			return;
 		}
-		if (!TRANSLATION_ENDPOINT) {
-			setTranslationError('Translation service is not configured. Please set VITE_TRANSLATION_API_BASE_URL.');
+		if (!isTranslationConfigured()) {
+			setTranslationError(t('translator.notConfigured'));
 			setTranslationResult('');
 			return;
 		}
+		if (isGuestSession) {
+			if (remainingGuestTranslations(currentUser.uid) === 0) {
+				setTranslationError(t('upgrade.quotaReached', { count: GUEST_TRANSLATION_LIMIT }));
+				setTranslationResult('');
+				requestUpgrade('upgrade.reason.translate');
+				return;
+			}
+			setGuestTranslationsLeft(recordGuestTranslation(currentUser.uid));
+		}
 
-		setIsTranslating(true);
+		translationJobRef.current?.controller.abort();
+		const segments = splitForTranslation(trimmed).map((segment) =>
+			segment.isGap ? segment : { ...segment, status: 'pending' },
+		);
+		const job = { text: trimmed, source, target, segments, controller: new AbortController() };
+		translationJobRef.current = job;
 		setTranslationError('');
 		setTranslationResult('');
+		setTranslationChunks([...segments]);
+		await runTranslationChunks(job, segments.flatMap((segment, index) => (segment.isGap ? [] : [index])));
+	};
 
-		try {
-				const response = await fetch(TRANSLATION_ENDPOINT, {
-					method: 'POST',
-					headers: {
-						'Content-Type': 'application/json',
-						Accept: 'application/json',
-					},
-					body: JSON.stringify({
-						text: trimmed,
-						source_lang: 'en',
-						target_lang: 'vi',
-					}),
-				});
+	const handleRetryChunks = (indexes) => {
+		const job = translationJobRef.current;
+		if (!job) {
+			return;
+		}
+		indexes.forEach((index) => {
+			job.segments[index] = { ...job.segments[index], status: 'pending', error: '' };
+		});
+		setTranslationError('');
+		setTranslationChunks([...job.segments]);
+		runTranslationChunks(job, indexes);
+	};
 
-			if (!response.ok) {
-					const fallback = `Translation service returned status ${response.status}.`;
-					const errorText = await response.text();
-					let detail = '';
-					try {
-						const parsed = JSON.parse(errorText || '{}');
-						if (typeof parsed?.detail === 'string') {
-							detail = parsed.detail;
-						} else if (typeof parsed?.error === 'string') {
-							detail = parsed.error;
-						}
-					} catch {
-						/* ignore malformed payloads */
-					}
-					throw new Error(detail || fallback);
-			}
+	const handleRecallTranslation = (entry) => {
+		translationJobRef.current?.controller.abort();
+		translationJobRef.current = null;
+		setTranslationChunks([]);
+		setTranslationError('');
+		setTranslationResult(entry.translatedText);
+	};
 
-				const data = await response.json();
-				const translatedText = typeof data?.translated_text === 'string' ? data.translated_text.trim() : '';
-			if (!translatedText) {
-					throw new Error('Translation service did not return any translated text.');
-			}
+	const handlePhrasebookTopicChange = (entry, topic) => {
+		setTranslationHistory(setPhrasebookTopic(currentUser.uid, entry.id, topic));
+	};
 
-				setTranslationResult(translatedText);
-		} catch (error) {
-			setTranslationError(error.message || 'Unable to translate this sentence.');
-		} finally {
-			setIsTranslating(false);
-		}
+	const handleDeleteTranslation = (entryId) => {
+		setTranslationHistory(deleteTranslationHistoryEntry(currentUser.uid, entryId));
+	};
+
+	const handleClearTranslations = () => {
+		setTranslationHistory(clearTranslationHistory(currentUser.uid));
 	};
 
 	useEffect(() => {
 		if (!isTranslatorOpen) {
+			translationJobRef.current?.controller.abort();
+			translationJobRef.current = null;
+			setTranslationChunks([]);
 			setTranslationResult('');
 			setTranslationError('');
 			setIsTranslating(false);
 		}
 	}, [isTranslatorOpen]);
 
-	const weatherDate = weatherInfo?.observationTime ? new Date(weatherInfo.observationTime) : null;
-	const weatherTimeLabel = weatherDate && !Number.isNaN(weatherDate.getTime())
-		? weatherDate.toLocaleTimeString('vi-VN', { hour: '2-digit', minute: '2-digit' })
-		: 'Unknown time';
+	const renderGuestNotice = (reasonKey) => (
+		<div className="app__guest-note">
+			<p>{t(reasonKey)}</p>
+			<button type="button" className="app__poi-action" onClick={() => requestUpgrade(reasonKey)}>
+				{t('upgrade.cta')}
+			</button>
+		</div>
+	);
+
+	const weatherTimeLabel =
+		(weatherInfo?.observationTime && formatTime(weatherInfo.observationTime)) || t('weather.unknownTime');
 
 	if (authLoading) {
 		return (
 			<div className="app app--loading">
 				<main className="app__auth-loading">
-					<p>Đang kiểm tra phiên đăng nhập...</p>
+					<p>{t('auth.checkingSession')}</p>
 				</main>
 			</div>
 		);
@@ -358,62 +981,267 @@ function App() {
 		<div className="app">
 			<header className="app__header">
 				<div className="app__header-top">
-					{currentUser && (
+					<LanguageSwitcher onChange={handleLanguageChange} />
+					{isGuestSession && (
+						<div className="app__userbar">
+							<span className="app__guest-badge">{t('upgrade.guest')}</span>
+							<button
+								type="button"
+								className="app__signout-btn"
+								onClick={() => requestUpgrade('upgrade.reason.account')}
+							>
+								{t('upgrade.cta')}
+							</button>
+						</div>
+					)}
+					{currentUser && !isGuestSession && (
 						<div className="app__userbar">
-							<span className="app__userbar-email">{currentUser.email}</span>
+							<UserMenu key={currentUser.uid} user={currentUser} />
 							<button type="button" className="app__signout-btn" onClick={handleSignOut}>
-								Đăng xuất
+								{t('auth.signOut')}
 							</button>
 						</div>
 					)}
 				</div>
-						<h1>Vietnam Points of Interest</h1>
+						<h1>{t('app.title')}</h1>
 						<p>
-							Enter a place in Vietnam to discover five nearby points of interest on the OpenStreetMap
-							base map.
+							{t('app.intro')}
 						</p>
 			</header>
 			<main className={currentUser ? 'app__content' : 'app__content app__content--locked'}>
-				<LocationForm isLoading={isLoading} onSearch={handleSearch} isDisabled={!currentUser} />
+				<LocationForm
+					isLoading={isLoading}
+					isLocating={isLocating}
+					onSearch={handleSearch}
+					onLocate={handleLocateMe}
+					isDisabled={!currentUser}
+				/>
+				{!isOnline && (
+					<p className="app__offline-banner" role="status">
+						{t('offline.banner', { count: offlineSearches.length })}
+					</p>
+				)}
 				{errorMessage && <p className="app__error">{errorMessage}</p>}
 				<div className="app__layout">
-					<MapView center={selectedPlace} pois={pois} isLoading={isLoading} />
+					<MapView
+						center={selectedPlace}
+						pois={visiblePois}
+						savedPlaces={savedPlaces}
+						savedPoiIds={savedPoiIds}
+						itinerary={itinerary}
+						itineraryIds={itineraryIds}
+						route={route}
+						importedLayers={importedLayers}
+						focusPoint={focusPoint}
+						focusBounds={focusBounds}
+						restoreView={restoreView}
+						isLoading={isLoading}
+						onMapClick={(point) => handleSearchAtPoint(point.lat, point.lon)}
+						onViewChange={setMapView}
+						onSavePoi={handleSavePoi}
+						onToggleItineraryStop={handleToggleItineraryStop}
+						onRequestDirections={handleRequestDirections}
+						onShowDetails={handleShowDetails}
+						activePoi={activePoi}
+						hoveredPoiId={hoveredPoiId}
+						onSelectPoi={handleSelectPoiOnMap}
+						onSearchAtPoint={handleSearchAtPoint}
+						isTranslationOn={isPoiTranslationOn}
+						onToggleTranslation={isTranslationConfigured() ? handleTogglePoiTranslation : undefined}
+					/>
 					<section className="app__sidebar">
-							{weatherInfo && (
-								<section className="app__weather">
-									<h2>Current weather</h2>
-									<p className="app__weather-temp">{weatherInfo.temperature.toFixed(1)}°C</p>
-									<p>{weatherInfo.description}</p>
-									<p>Wind: {weatherInfo.windSpeed.toFixed(1)} km/h</p>
-									<p>Wind direction: {Math.round(weatherInfo.windDirection)}°</p>
-									<p>Updated at {weatherTimeLabel}</p>
-								</section>
-							)}
-									<h2>Results</h2>
-									{isLoading && <p>Loading data...</p>}
-									{!isLoading && selectedPlace && pois.length === 0 && !errorMessage && (
-										<p>No matching points of interest in this area.</p>
-						)}
-						<ul className="app__poi-list">
-							{pois.map((poi) => (
-								<li key={poi.id}>
-									<h3>{poi.name}</h3>
-									<p>{poi.category}</p>
-														<p>
-															{poi.distance < 1000
-																? `${poi.distance.toFixed(0)} m`
-																: `${(poi.distance / 1000).toFixed(2)} km`}
-															{' '}from the search center
-														</p>
-									{poi.address && <p>{poi.address}</p>}
-								</li>
+						<div className="app__tabs" role="tablist">
+							{SIDEBAR_TABS.map((tab) => (
+								<button
+									key={tab.id}
+									type="button"
+									role="tab"
+									aria-selected={sidebarTab === tab.id}
+									className={sidebarTab === tab.id ? 'app__tab app__tab--active' : 'app__tab'}
+									onClick={() => setSidebarTab(tab.id)}
+								>
+									{t(tab.labelKey)}
+									{tab.id === 'saved' && savedPlaces.length > 0 && ` (${savedPlaces.length})`}
+									{tab.id === 'itinerary' && itinerary.length > 0 && ` (${itinerary.length})`}
+								</button>
 							))}
-						</ul>
+						</div>
+						{sidebarTab === 'results' && (
+							<div role="tabpanel">
+								{weatherInfo && (
+									<WeatherPanel
+										weather={weatherInfo}
+										updatedLabel={weatherTimeLabel}
+										cachedLabel={weatherInfo.fromCache ? formatCachedAt(weatherInfo.cachedAt) : ''}
+									/>
+								)}
+								<DirectionsPanel
+									target={directionsTarget}
+									profileId={routingProfile}
+									route={route}
+									isLoading={isRouting}
+									onProfileChange={setRoutingProfile}
+									onClose={() => setDirectionsTarget(null)}
+								/>
+								<PoiDetails
+									poi={detailPoi}
+									schedule={detailPoi && poiSchedules.get(detailPoi.id)}
+									now={now}
+									isSaved={detailPoi && savedPoiIds.has(detailPoi.id)}
+									isInItinerary={detailPoi && itineraryIds.has(detailPoi.id)}
+									onSave={handleSavePoi}
+									onToggleItinerary={handleToggleItineraryStop}
+									onDirections={handleRequestDirections}
+									onClose={() => setDetailPoiId(null)}
+								/>
+								<PoiFilters filters={filters} onChange={setFilters} isDisabled={!currentUser} />
+								<div className="app__results-header">
+									<h2>{t('tabs.results')}</h2>
+									{pois.length > 0 && (
+										<button
+											type="button"
+											className="app__poi-action"
+											aria-pressed={isOpenNowOnly}
+											onClick={() => setIsOpenNowOnly((current) => !current)}
+										>
+											{t('results.openNow')}
+										</button>
+									)}
+									{pois.length > 0 && (
+										<button
+											type="button"
+											className="app__poi-action"
+											aria-pressed={isPoiTranslationOn}
+											onClick={handleTogglePoiTranslation}
+											disabled={!isTranslationConfigured()}
+											title={isTranslationConfigured() ? undefined : t('translator.notConfigured')}
+										>
+											{isPoiTranslationOn ? t('results.showOriginal') : t('results.translate')}
+										</button>
+									)}
+								</div>
+								{isPoiTranslationOn && isTranslatingPois && (
+									<p className="app__cache-note">{t('results.translating')}</p>
+								)}
+								{isPoiTranslationOn && !isTranslatingPois && poiTranslationFailures > 0 && (
+									<p className="app__cache-note">
+										{t('results.translateFailed', { count: poiTranslationFailures })}
+									</p>
+								)}
+								{isOpenNowOnly && visiblePois.length < displayedPois.length && (
+									<p className="app__cache-note">
+										{t('results.openNowHidden', { count: displayedPois.length - visiblePois.length })}
+									</p>
+								)}
+								{!isLoading && poiLoadFailed && selectedPlace && (
+									<button
+										type="button"
+										className="app__poi-action"
+										onClick={() => refreshPois(selectedPlace, filters)}
+									>
+										{t('results.retry')}
+									</button>
+								)}
+								{!isLoading && offlineSnapshotAt && (
+									<p className="app__cache-note">
+										{t('offline.savedAt', { time: formatCachedAt(offlineSnapshotAt) })}
+									</p>
+								)}
+								{!isLoading && poisCache && (
+									<p className="app__cache-note">{t('common.cachedAt', { time: formatCachedAt(poisCache) })}</p>
+								)}
+								{!isLoading && <ExportMenu center={selectedPlace} pois={localizedPois} />}
+								{isLoading && <p>{t('results.loading')}</p>}
+								{!isLoading && selectedPlace && pois.length === 0 && !errorMessage && (
+									<p>{t('results.empty')}</p>
+								)}
+								<PoiList
+									pois={visiblePois}
+									schedules={poiSchedules}
+									now={now}
+									savedPoiIds={savedPoiIds}
+									itineraryIds={itineraryIds}
+									activePoi={activePoi}
+									onHover={setHoveredPoiId}
+									onSelect={(poiId) => setActivePoi({ id: poiId, source: 'list' })}
+									onShowDetails={handleShowDetails}
+									onSave={handleSavePoi}
+									onToggleItinerary={handleToggleItineraryStop}
+									onDirections={handleRequestDirections}
+								/>
+							</div>
+						)}
+						{sidebarTab === 'saved' && (
+							<div role="tabpanel">
+								<h2>{t('tabs.saved')}</h2>
+								{isGuestSession && renderGuestNotice('upgrade.reason.save')}
+								<SavedPlaces
+									places={savedPlaces}
+									isLoading={savedPlacesLoading}
+									error={savedPlacesError}
+									onUpdate={handleUpdateSavedPlace}
+									onDelete={handleDeleteSavedPlace}
+									onShow={(place) => setFocusPoint({ lat: place.lat, lon: place.lon, at: Date.now() })}
+								/>
+							</div>
+						)}
+						{sidebarTab === 'itinerary' && (
+							<div role="tabpanel">
+								<h2>{t('tabs.itinerary')}</h2>
+								{isGuestSession && renderGuestNotice('upgrade.reason.itinerary')}
+								<ItineraryPanel
+									stops={itinerary}
+									error={itineraryError}
+									onChange={updateItinerary}
+									onOptimize={() => updateItinerary(optimizeStopOrder(itinerary))}
+									onShow={(stop) => setFocusPoint({ lat: stop.lat, lon: stop.lon, at: Date.now() })}
+								/>
+							</div>
+						)}
+						{sidebarTab === 'history' && (
+							<div role="tabpanel">
+								<h2>{t('history.title')}</h2>
+								{isGuestSession ? (
+									renderGuestNotice('upgrade.reason.history')
+								) : (
+									<SearchHistory
+										entries={searchHistory}
+										onRerun={handleRerunSearch}
+										onDelete={handleDeleteHistoryEntry}
+										onClear={handleClearHistory}
+									/>
+								)}
+							</div>
+						)}
+						{sidebarTab === 'layers' && (
+							<div role="tabpanel">
+								<h2>{t('layers.title')}</h2>
+								<ImportedLayers
+									layers={importedLayers}
+									onAdd={handleAddLayer}
+									onToggle={handleToggleLayer}
+									onZoom={(layer) => setFocusBounds({ bounds: layer.bounds, at: Date.now() })}
+									onRemove={handleRemoveLayer}
+								/>
+							</div>
+						)}
+						{sidebarTab === 'offline' && (
+							<div role="tabpanel">
+								<h2>{t('offline.title')}</h2>
+								<OfflineMaps
+									mapView={mapView}
+									isOnline={isOnline}
+									searches={offlineSearches}
+									onOpenSearch={handleOpenOfflineSearch}
+									onClearSearches={() => setOfflineSearches(clearOfflineSearches(currentUser.uid))}
+								/>
+							</div>
+						)}
 					</section>
 				</div>
 			</main>
 			<footer className="app__footer">
-			<small>Powered by OpenStreetMap, Overpass API, and HuggingFace translation.</small>
+			<small>{t('app.footer')}</small>
 			</footer>
 			<button
 				type="button"
@@ -421,7 +1249,7 @@ function App() {
 				onClick={() => currentUser && setIsTranslatorOpen(true)}
 				disabled={!currentUser}
 			>
-				Translate EN &gt; VI
+				{t('translator.open')}
 			</button>
 			<TranslationPopup
 				isOpen={isTranslatorOpen}
@@ -430,8 +1258,35 @@ function App() {
 				isLoading={isTranslating}
 				result={translationResult}
 				error={translationError}
+				chunks={translationChunks}
+				onRetryChunks={handleRetryChunks}
+				history={translationHistory}
+				onRecall={handleRecallTranslation}
+				onTopicChange={handlePhrasebookTopicChange}
+				onDeleteEntry={handleDeleteTranslation}
+				onClearHistory={handleClearTranslations}
+				guestNotice={
+					isGuestSession ? t('upgrade.translationsLeft', { count: guestTranslationsLeft }) : ''
+				}
+				onUpgrade={isGuestSession ? () => requestUpgrade('upgrade.reason.phrasebook') : undefined}
 			/>
-			{!currentUser && <AuthPanel />}
+			{(unverifiedUser || (!currentUser && isGuestUnavailable)) && (
+				<AuthPanel
+					pendingUser={unverifiedUser}
+					onVerified={(user) => {
+						setUnverifiedUser(null);
+						setCurrentUser(user);
+					}}
+				/>
+			)}
+			{isGuestSession && upgradeReason && (
+				<AuthPanel
+					key={upgradeReason}
+					isUpgrade
+					reason={t(upgradeReason)}
+					onClose={() => setUpgradeReason(null)}
+				/>
+			)}
 		</div>
 	);
 }
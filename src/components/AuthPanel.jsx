@@ -1,57 +1,191 @@
 import { useState } from 'react';
-import { createUserWithEmailAndPassword, signInWithEmailAndPassword } from 'firebase/auth';
+import { signOut } from 'firebase/auth';
 import { auth } from '../firebaseConfig.js';
+import { useI18n } from '../i18n/useI18n.js';
+import {
+	authErrorMessage,
+	refreshVerification,
+	registerWithEmail,
+	resendVerificationEmail,
+	sendPasswordReset,
+	signInWithEmail,
+	signInWithGoogle,
+} from '../services/auth.js';
 import './AuthPanel.css';
 
-function AuthPanel() {
-	const [mode, setMode] = useState('login');
+function VerifyEmailPanel({ user, onVerified }) {
+	const { t } = useI18n();
+	const [isBusy, setIsBusy] = useState(false);
+	const [message, setMessage] = useState('');
+	const [errorMessage, setErrorMessage] = useState('');
+
+	const run = async (action) => {
+		setIsBusy(true);
+		setMessage('');
+		setErrorMessage('');
+		try {
+			await action();
+		} catch (error) {
+			setErrorMessage(authErrorMessage(error));
+		} finally {
+			setIsBusy(false);
+		}
+	};
+
+	const handleContinue = () =>
+		run(async () => {
+			if (await refreshVerification(user)) {
+				onVerified?.(user);
+			} else {
+				setErrorMessage(t('auth.verify.notYet'));
+			}
+		});
+
+	const handleResend = () =>
+		run(async () => {
+			await resendVerificationEmail(user);
+			setMessage(t('auth.verify.resent', { email: user.email }));
+		});
+
+	return (
+		<div className="auth-panel">
+			<h2>{t('auth.verify.title')}</h2>
+			<p className="auth-panel__subtitle">{t('auth.verify.sent', { email: user.email })}</p>
+			{message && <p className="auth-panel__notice">{message}</p>}
+			{errorMessage && <p className="auth-panel__error">{errorMessage}</p>}
+			<div className="auth-panel__form">
+				<button type="button" className="auth-panel__primary" onClick={handleContinue} disabled={isBusy}>
+					{isBusy ? t('auth.submitting') : t('auth.verify.continue')}
+				</button>
+			</div>
+			<div className="auth-panel__switch">
+				<button type="button" onClick={handleResend} disabled={isBusy}>
+					{t('auth.verify.resend')}
+				</button>
+				<button type="button" onClick={() => signOut(auth)} disabled={isBusy}>
+					{t('auth.verify.otherAccount')}
+				</button>
+			</div>
+		</div>
+	);
+}
+
+function AuthPanel({ pendingUser, onVerified, isUpgrade = false, reason = '', onClose }) {
+	const { t } = useI18n();
+	const [mode, setMode] = useState(isUpgrade ? 'register' : 'login');
 	const [email, setEmail] = useState('');
 	const [password, setPassword] = useState('');
 	const [confirmPassword, setConfirmPassword] = useState('');
 	const [isSubmitting, setIsSubmitting] = useState(false);
 	const [errorMessage, setErrorMessage] = useState('');
+	const [notice, setNotice] = useState('');
+
+	const switchMode = (nextMode) => {
+		setMode(nextMode);
+		setErrorMessage('');
+		setNotice('');
+	};
 
 	const handleSubmit = async (event) => {
 		event.preventDefault();
 		setErrorMessage('');
+		setNotice('');
 
-		if (!email.trim() || !password.trim()) {
-			setErrorMessage('Vui lòng nhập email và mật khẩu.');
+		if (mode === 'reset') {
+			if (!email.trim()) {
+				setErrorMessage(t('auth.error.invalidEmail'));
+				return;
+			}
+		} else if (!email.trim() || !password.trim()) {
+			setErrorMessage(t('auth.missingCredentials'));
 			return;
 		}
 
 		if (mode === 'register' && password !== confirmPassword) {
-			setErrorMessage('Mật khẩu xác nhận không khớp.');
+			setErrorMessage(t('auth.passwordMismatch'));
 			return;
 		}
 
 		setIsSubmitting(true);
 
 		try {
+			if (mode === 'reset') {
+				await sendPasswordReset(email.trim());
+				// Firebase does not reveal whether the address has an account, so neither do we.
+				setNotice(t('auth.reset.sent', { email: email.trim() }));
+				setMode('login');
+				return;
+			}
 			if (mode === 'register') {
-				await createUserWithEmailAndPassword(auth, email, password);
+				await registerWithEmail(email.trim(), password);
 			} else {
-				await signInWithEmailAndPassword(auth, email, password);
+				await signInWithEmail(email.trim(), password);
 			}
 			setEmail('');
 			setPassword('');
 			setConfirmPassword('');
 		} catch (error) {
-			setErrorMessage(error.message || 'Không thể xử lý yêu cầu.');
+			setErrorMessage(authErrorMessage(error));
 		} finally {
 			setIsSubmitting(false);
 		}
 	};
 
+	const handleGoogle = async () => {
+		setErrorMessage('');
+		setNotice('');
+		setIsSubmitting(true);
+		try {
+			await signInWithGoogle();
+		} catch (error) {
+			setErrorMessage(authErrorMessage(error));
+		} finally {
+			setIsSubmitting(false);
+		}
+	};
+
+	if (pendingUser) {
+		return (
+			<div className="auth-overlay">
+				<VerifyEmailPanel user={pendingUser} onVerified={onVerified} />
+			</div>
+		);
+	}
+
+	const titles = {
+		login: t('auth.loginTitle'),
+		register: isUpgrade ? t('auth.upgrade.title') : t('auth.registerTitle'),
+		reset: t('auth.reset.title'),
+	};
+	const subtitles = {
+		login: isUpgrade ? t('auth.upgrade.loginNote') : t('auth.subtitle'),
+		register: isUpgrade ? t('auth.upgrade.keepData') : t('auth.subtitle'),
+		reset: t('auth.reset.subtitle'),
+	};
+	const submitLabels = {
+		login: t('auth.login'),
+		register: t('auth.register'),
+		reset: t('auth.reset.submit'),
+	};
+
 	return (
 		<div className="auth-overlay">
 			<div className="auth-panel">
-				<h2>{mode === 'login' ? 'Đăng nhập để tiếp tục' : 'Tạo tài khoản mới'}</h2>
-				<p className="auth-panel__subtitle">
-					Bạn cần đăng nhập để sử dụng bản đồ, tìm kiếm địa điểm và dịch văn bản.
-				</p>
+				<h2>{titles[mode]}</h2>
+				{reason && <p className="auth-panel__reason">{reason}</p>}
+				<p className="auth-panel__subtitle">{subtitles[mode]}</p>
+				{notice && <p className="auth-panel__notice">{notice}</p>}
+				{mode !== 'reset' && (
+					<>
+						<button type="button" className="auth-panel__google" onClick={handleGoogle} disabled={isSubmitting}>
+							<span aria-hidden="true">G</span>
+							{t('auth.google')}
+						</button>
+						<p className="auth-panel__divider">{t('auth.or')}</p>
+					</>
+				)}
 				<form onSubmit={handleSubmit} className="auth-panel__form">
-					<label htmlFor="auth-email">Email</label>
+					<label htmlFor="auth-email">{t('auth.email')}</label>
 					<input
 						id="auth-email"
 						type="email"
@@ -60,18 +194,22 @@ function AuthPanel() {
 						autoComplete="email"
 						required
 					/>
-					<label htmlFor="auth-password">Mật khẩu</label>
-					<input
-						id="auth-password"
-						type="password"
-						value={password}
-						onChange={(event) => setPassword(event.target.value)}
-						autoComplete={mode === 'login' ? 'current-password' : 'new-password'}
-						required
-					/>
+					{mode !== 'reset' && (
+						<>
+							<label htmlFor="auth-password">{t('auth.password')}</label>
+							<input
+								id="auth-password"
+								type="password"
+								value={password}
+								onChange={(event) => setPassword(event.target.value)}
+								autoComplete={mode === 'login' ? 'current-password' : 'new-password'}
+								required
+							/>
+						</>
+					)}
 					{mode === 'register' && (
 						<>
-							<label htmlFor="auth-confirm">Xác nhận mật khẩu</label>
+							<label htmlFor="auth-confirm">{t('auth.confirmPassword')}</label>
 							<input
 								id="auth-confirm"
 								type="password"
@@ -82,19 +220,29 @@ function AuthPanel() {
 							/>
 						</>
 					)}
+					{mode === 'login' && (
+						<button type="button" className="auth-panel__link" onClick={() => switchMode('reset')}>
+							{t('auth.reset.link')}
+						</button>
+					)}
 					{errorMessage && <p className="auth-panel__error">{errorMessage}</p>}
 					<button type="submit" disabled={isSubmitting}>
-						{isSubmitting ? 'Đang xử lý...' : mode === 'login' ? 'Đăng nhập' : 'Đăng ký'}
+						{isSubmitting ? t('auth.submitting') : submitLabels[mode]}
 					</button>
 				</form>
 				<div className="auth-panel__switch">
 					{mode === 'login' ? (
-						<button type="button" onClick={() => setMode('register')}>
-							Chưa có tài khoản? Đăng ký ngay
+						<button type="button" onClick={() => switchMode('register')}>
+							{t('auth.switchToRegister')}
 						</button>
 					) : (
-						<button type="button" onClick={() => setMode('login')}>
-							Đã có tài khoản? Quay lại đăng nhập
+						<button type="button" onClick={() => switchMode('login')}>
+							{t('auth.switchToLogin')}
+						</button>
+					)}
+					{onClose && (
+						<button type="button" onClick={onClose} disabled={isSubmitting}>
+							{t('auth.upgrade.stayGuest')}
 						</button>
 					)}
 				</div>
@@ -0,0 +1,67 @@
+import { useI18n } from '../i18n/useI18n.js';
+import { ROUTING_PROFILES, describeStep } from '../services/routing.js';
+import { formatDistance } from '../utils/geo.js';
+import { formatDuration } from '../utils/time.js';
+import './DirectionsPanel.css';
+
+function DirectionsPanel({ target, profileId, route, isLoading, onProfileChange, onClose }) {
+	const { t } = useI18n();
+
+	if (!target) {
+		return null;
+	}
+
+	return (
+		<section className="directions" aria-live="polite">
+			<header className="directions__header">
+				<h2>{t('directions.title', { name: target.name })}</h2>
+				<button type="button" className="directions__close" onClick={onClose} aria-label={t('directions.close')}>
+					×
+				</button>
+			</header>
+			<div className="directions__profiles" role="radiogroup" aria-label={t('directions.travelMode')}>
+				{ROUTING_PROFILES.map((profile) => (
+					<button
+						key={profile.id}
+						type="button"
+						role="radio"
+						aria-checked={profile.id === profileId}
+						className={profile.id === profileId ? 'directions__profile directions__profile--active' : 'directions__profile'}
+						onClick={() => onProfileChange?.(profile.id)}
+						disabled={isLoading}
+					>
+						{t(profile.labelKey)}
+					</button>
+				))}
+			</div>
+			{isLoading && <p>{t('directions.calculating')}</p>}
+			{!isLoading && route && (
+				<>
+					<p className="directions__summary">
+						{formatDistance(route.distance)} ·{' '}
+						{route.source === 'straight'
+							? t('directions.approximately', { duration: formatDuration(route.duration) })
+							: formatDuration(route.duration)}
+					</p>
+					{route.source === 'straight' && (
+						<p className="directions__fallback">
+							{t('directions.fallback')} {route.reason}
+						</p>
+					)}
+					{route.steps.length > 0 && (
+						<ol className="directions__steps">
+							{route.steps.map((step, index) => (
+								<li key={index}>
+									<span>{describeStep(step)}</span>
+									{step.distance > 0 && <small>{formatDistance(step.distance)}</small>}
+								</li>
+							))}
+						</ol>
+					)}
+				</>
+			)}
+		</section>
+	);
+}
+
+export default DirectionsPanel;
@@ -0,0 +1,41 @@
+import { useI18n } from '../i18n/useI18n.js';
+import { EXPORT_FORMATS, downloadFile } from '../utils/exporters.js';
+import './ExportMenu.css';
+
+const buildFilename = (label, extension) => {
+	const slug = (label || 'search')
+		.split(',')[0]
+		.normalize('NFD')
+		.replace(/[\u0300-\u036f]/g, '')
+		.replace(/đ/gi, 'd')
+		.replace(/[^a-z0-9]+/gi, '-')
+		.replace(/^-+|-+$/g, '')
+		.toLowerCase();
+	const date = new Date().toISOString().slice(0, 10);
+	return `poi-${slug || 'search'}-${date}.${extension}`;
+};
+
+function ExportMenu({ center, pois }) {
+	const { t } = useI18n();
+
+	if (!center || pois.length === 0) {
+		return null;
+	}
+
+	const handleExport = (format) => {
+		downloadFile(format.serialize(center, pois), buildFilename(center.label, format.extension), format.mimeType);
+	};
+
+	return (
+		<div className="export-menu">
+			<span className="export-menu__label">{t('export.label')}</span>
+			{EXPORT_FORMATS.map((format) => (
+				<button key={format.id} type="button" onClick={() => handleExport(format)}>
+					{format.label}
+				</button>
+			))}
+		</div>
+	);
+}
+
+export default ExportMenu;
@@ -0,0 +1,90 @@
+import { useRef, useState } from 'react';
+import { useI18n } from '../i18n/useI18n.js';
+import { parseGeoFile } from '../utils/importers.js';
+import './ImportedLayers.css';
+
+function ImportedLayers({ layers, onAdd, onToggle, onZoom, onRemove }) {
+	const { t } = useI18n();
+	const [isDragging, setIsDragging] = useState(false);
+	const [errors, setErrors] = useState([]);
+	const inputRef = useRef(null);
+
+	const importFiles = async (fileList) => {
+		const results = await Promise.allSettled(Array.from(fileList).map(parseGeoFile));
+		setErrors(results.filter((result) => result.status === 'rejected').map((result) => result.reason.message));
+		results
+			.filter((result) => result.status === 'fulfilled')
+			.forEach((result) => onAdd?.(result.value));
+	};
+
+	const handleDrop = (event) => {
+		event.preventDefault();
+		setIsDragging(false);
+		if (event.dataTransfer.files.length > 0) {
+			importFiles(event.dataTransfer.files);
+		}
+	};
+
+	return (
+		<>
+			<div
+				className={isDragging ? 'imported-layers__dropzone imported-layers__dropzone--active' : 'imported-layers__dropzone'}
+				onDragOver={(event) => {
+					event.preventDefault();
+					setIsDragging(true);
+				}}
+				onDragLeave={() => setIsDragging(false)}
+				onDrop={handleDrop}
+			>
+				<p>{t('layers.dropHint')}</p>
+				<button type="button" onClick={() => inputRef.current?.click()}>
+					{t('layers.chooseFiles')}
+				</button>
+				<input
+					ref={inputRef}
+					type="file"
+					accept=".geojson,.json,.gpx,.kml"
+					multiple
+					hidden
+					onChange={(event) => {
+						importFiles(event.target.files);
+						event.target.value = '';
+					}}
+				/>
+			</div>
+			{errors.map((message) => (
+				<p key={message} className="imported-layers__error">
+					{message}
+				</p>
+			))}
+			{layers.length === 0 ? (
+				<p>{t('layers.empty')}</p>
+			) : (
+				<ul className="imported-layers">
+					{layers.map((layer) => (
+						<li key={layer.id} className="imported-layers__item">
+							<label className="imported-layers__toggle">
+								<input type="checkbox" checked={layer.visible} onChange={() => onToggle?.(layer.id)} />
+								<span className="imported-layers__swatch" style={{ background: layer.color }} />
+								<span>
+									{layer.name}
+									<small>{t('layers.featureCount', { count: layer.data.features.length })}</small>
+								</span>
+							</label>
+							<div className="imported-layers__actions">
+								<button type="button" onClick={() => onZoom?.(layer)} disabled={!layer.bounds}>
+									{t('layers.zoom')}
+								</button>
+								<button type="button" onClick={() => onRemove?.(layer.id)}>
+									{t('common.remove')}
+								</button>
+							</div>
+						</li>
+					))}
+				</ul>
+			)}
+		</>
+	);
+}
+
+export default ImportedLayers;
@@ -0,0 +1,124 @@
+import { useState } from 'react';
+import { useI18n } from '../i18n/useI18n.js';
+import { formatDistance } from '../utils/geo.js';
+import { computeLegs, totalDistance } from '../utils/itinerary.js';
+import './ItineraryPanel.css';
+
+const moveItem = (items, fromIndex, toIndex) => {
+	const next = [...items];
+	const [moved] = next.splice(fromIndex, 1);
+	next.splice(toIndex, 0, moved);
+	return next;
+};
+
+function ItineraryPanel({ stops, error, onChange, onOptimize, onShow }) {
+	const { t } = useI18n();
+	const [dragIndex, setDragIndex] = useState(null);
+	const [dropIndex, setDropIndex] = useState(null);
+
+	if (stops.length === 0) {
+		return (
+			<>
+				{error && <p className="itinerary__error">{error}</p>}
+				<p>{t('itinerary.empty')}</p>
+			</>
+		);
+	}
+
+	const legs = computeLegs(stops);
+
+	const handleDrop = (event, index) => {
+		event.preventDefault();
+		if (dragIndex !== null && dragIndex !== index) {
+			onChange?.(moveItem(stops, dragIndex, index));
+		}
+		setDragIndex(null);
+		setDropIndex(null);
+	};
+
+	const itemClassName = (index) =>
+		[
+			'itinerary__stop',
+			index === dragIndex ? 'itinerary__stop--dragging' : '',
+			index === dropIndex && index !== dragIndex ? 'itinerary__stop--drop-target' : '',
+		]
+			.filter(Boolean)
+			.join(' ');
+
+	return (
+		<>
+			{error && <p className="itinerary__error">{error}</p>}
+			<p className="itinerary__summary">
+				{t('itinerary.summary', { count: stops.length, distance: formatDistance(totalDistance(stops)) })}
+			</p>
+			<ol className="itinerary">
+				{stops.map((stop, index) => (
+					<li
+						key={stop.id}
+						className={itemClassName(index)}
+						draggable
+						onDragStart={(event) => {
+							event.dataTransfer.effectAllowed = 'move';
+							setDragIndex(index);
+						}}
+						onDragOver={(event) => {
+							event.preventDefault();
+							setDropIndex(index);
+						}}
+						onDragEnd={() => {
+							setDragIndex(null);
+							setDropIndex(null);
+						}}
+						onDrop={(event) => handleDrop(event, index)}
+					>
+						<span className="itinerary__handle" aria-hidden="true">
+							⋮⋮
+						</span>
+						<span className="itinerary__index">{index + 1}</span>
+						<button type="button" className="itinerary__name" onClick={() => onShow?.(stop)}>
+							{stop.name}
+							{index > 0 && (
+								<small>{t('itinerary.legDistance', { distance: formatDistance(legs[index - 1].distance) })}</small>
+							)}
+						</button>
+						<div className="itinerary__actions">
+							<button
+								type="button"
+								onClick={() => onChange?.(moveItem(stops, index, index - 1))}
+								disabled={index === 0}
+								aria-label={t('itinerary.moveUp', { name: stop.name })}
+							>
+								↑
+							</button>
+							<button
+								type="button"
+								onClick={() => onChange?.(moveItem(stops, index, index + 1))}
+								disabled={index === stops.length - 1}
+								aria-label={t('itinerary.moveDown', { name: stop.name })}
+							>
+								↓
+							</button>
+							<button
+								type="button"
+								onClick={() => onChange?.(stops.filter((item) => item.id !== stop.id))}
+								aria-label={t('itinerary.remove', { name: stop.name })}
+							>
+								×
+							</button>
+						</div>
+					</li>
+				))}
+			</ol>
+			<div className="itinerary__toolbar">
+				<button type="button" onClick={onOptimize} disabled={stops.length < 3}>
+					{t('itinerary.optimize')}
+				</button>
+				<button type="button" className="itinerary__clear" onClick={() => onChange?.([])}>
+					{t('itinerary.clear')}
+				</button>
+			</div>
+		</>
+	);
+}
+
+export default ItineraryPanel;
@@ -0,0 +1,22 @@
+import { LANGUAGES } from '../i18n/index.js';
+import { useI18n } from '../i18n/useI18n.js';
+import './LanguageSwitcher.css';
+
+function LanguageSwitcher({ onChange }) {
+	const { language, t } = useI18n();
+
+	return (
+		<label className="language-switcher">
+			<span className="language-switcher__label">{t('language.label')}</span>
+			<select value={language} onChange={(event) => onChange?.(event.target.value)}>
+				{LANGUAGES.map((item) => (
+					<option key={item.id} value={item.id}>
+						{item.label}
+					</option>
+				))}
+			</select>
+		</label>
+	);
+}
+
+export default LanguageSwitcher;
@@ -1,32 +1,183 @@
-import { useState } from 'react';
+import { useEffect, useRef, useState } from 'react';
+import { useI18n } from '../i18n/useI18n.js';
+import { searchPlaces } from '../services/nominatim.js';
 import './LocationForm.css';
 
-function LocationForm({ onSearch, isLoading, isDisabled }) {
+const SUGGESTION_DELAY_MS = 400;
+const MIN_QUERY_LENGTH = 2;
+
+function LocationForm({ onSearch, onLocate, isLoading, isLocating, isDisabled }) {
+	const { t } = useI18n();
 	const [value, setValue] = useState('');
+	const [suggestions, setSuggestions] = useState([]);
+	const [isOpen, setIsOpen] = useState(false);
+	const [activeIndex, setActiveIndex] = useState(-1);
+	const [isFetching, setIsFetching] = useState(false);
+	const [hint, setHint] = useState('');
+	const chosenLabelRef = useRef('');
+	const requestRef = useRef(null);
+
+	const lookup = async (query) => {
+		requestRef.current?.abort();
+		const controller = new AbortController();
+		requestRef.current = controller;
+		setIsFetching(true);
+		setHint('');
+
+		try {
+			const candidates = await searchPlaces(query, { signal: controller.signal });
+			setSuggestions(candidates);
+			setActiveIndex(candidates.length > 0 ? 0 : -1);
+			setIsOpen(true);
+			if (candidates.length === 0) {
+				setHint(t('search.noMatch'));
+			}
+		} catch (error) {
+			if (error.name !== 'AbortError') {
+				setSuggestions([]);
+				setHint(error.message || t('search.suggestionsFailed'));
+			}
+		} finally {
+			if (requestRef.current === controller) {
+				requestRef.current = null;
+				setIsFetching(false);
+			}
+		}
+	};
+
+	useEffect(() => {
+		const trimmed = value.trim();
+		if (trimmed.length < MIN_QUERY_LENGTH || value === chosenLabelRef.current) {
+			requestRef.current?.abort();
+			setSuggestions([]);
+			setIsOpen(false);
+			return undefined;
+		}
+
+		const timer = setTimeout(() => lookup(trimmed), SUGGESTION_DELAY_MS);
+		return () => clearTimeout(timer);
+	}, [value]);
+
+	useEffect(() => () => requestRef.current?.abort(), []);
+
+	const chooseCandidate = (candidate) => {
+		const typedQuery = value.trim();
+		chosenLabelRef.current = candidate.name;
+		setValue(candidate.name);
+		setSuggestions([]);
+		setIsOpen(false);
+		setActiveIndex(-1);
+		setHint('');
+		onSearch?.({ ...candidate, query: typedQuery });
+	};
 
 	const handleSubmit = (event) => {
 		event.preventDefault();
-		if (!isDisabled) {
-			onSearch?.(value);
+		if (isDisabled) {
+			return;
+		}
+		if (isOpen && suggestions[activeIndex]) {
+			chooseCandidate(suggestions[activeIndex]);
+			return;
+		}
+		const trimmed = value.trim();
+		if (!trimmed) {
+			setHint(t('search.emptyQuery'));
+			return;
+		}
+		if (suggestions.length > 0) {
+			setIsOpen(true);
+			setActiveIndex((current) => (current >= 0 ? current : 0));
+			setHint(t('search.chooseSuggestion'));
+			return;
 		}
+		chosenLabelRef.current = '';
+		lookup(trimmed);
 	};
 
+	const handleKeyDown = (event) => {
+		if (event.key === 'ArrowDown' || event.key === 'ArrowUp') {
+			if (suggestions.length === 0) {
+				return;
+			}
+			event.preventDefault();
+			const step = event.key === 'ArrowDown' ? 1 : -1;
+			setIsOpen(true);
+			setActiveIndex((current) => (current + step + suggestions.length) % suggestions.length);
+		} else if (event.key === 'Escape' && isOpen) {
+			event.preventDefault();
+			setIsOpen(false);
+		}
+	};
+
+	const showList = isOpen && suggestions.length > 0;
+	const activeOptionId = showList && activeIndex >= 0 ? `location-option-${activeIndex}` : undefined;
+
 	return (
 		<form className="location-form" onSubmit={handleSubmit}>
-			<label htmlFor="location-input">Location in Vietnam</label>
+			<label htmlFor="location-input">{t('search.label')}</label>
 			<div className="location-form__controls">
-				<input
-					id="location-input"
-					type="text"
-					placeholder="e.g. Ho Chi Minh City"
-					value={value}
-					onChange={(event) => setValue(event.target.value)}
-					disabled={isLoading || isDisabled}
-				/>
-				<button type="submit" disabled={isLoading || isDisabled}>
-					{isLoading ? 'Searching...' : 'Search'}
+				<div className="location-form__field">
+					<input
+						id="location-input"
+						type="text"
+						placeholder={t('search.placeholder')}
+						value={value}
+						onChange={(event) => {
+							chosenLabelRef.current = '';
+							setValue(event.target.value);
+						}}
+						onKeyDown={handleKeyDown}
+						onFocus={() => suggestions.length > 0 && setIsOpen(true)}
+						onBlur={() => setIsOpen(false)}
+						disabled={isDisabled}
+						autoComplete="off"
+						role="combobox"
+						aria-autocomplete="list"
+						aria-expanded={showList}
+						aria-controls="location-suggestions"
+						aria-activedescendant={activeOptionId}
+					/>
+					{showList && (
+						<ul id="location-suggestions" className="location-form__suggestions" role="listbox">
+							{suggestions.map((candidate, index) => (
+								<li
+									key={candidate.id}
+									id={`location-option-${index}`}
+									role="option"
+									aria-selected={index === activeIndex}
+									className={
+										index === activeIndex
+											? 'location-form__option location-form__option--active'
+											: 'location-form__option'
+									}
+									onMouseDown={(event) => event.preventDefault()}
+									onMouseEnter={() => setActiveIndex(index)}
+									onClick={() => chooseCandidate(candidate)}
+								>
+									<span className="location-form__option-name">{candidate.name}</span>
+									<span className="location-form__option-area">{candidate.area || candidate.label}</span>
+								</li>
+							))}
+						</ul>
+					)}
+				</div>
+				<button type="submit" disabled={isDisabled}>
+					{isLoading ? t('search.searching') : t('search.submit')}
 				</button>
+				{onLocate && (
+					<button
+						type="button"
+						className="location-form__locate"
+						onClick={onLocate}
+						disabled={isDisabled || isLocating}
+					>
+						{isLocating ? t('search.locating') : t('search.nearMe')}
+					</button>
+				)}
 			</div>
+			{isFetching && <p className="location-form__hint">{t('search.lookingUp')}</p>}
+			{!isFetching && hint && <p className="location-form__hint">{hint}</p>}
 		</form>
 	);
 }
@@ -1,10 +1,29 @@
-import { useEffect } from 'react';
-import { MapContainer, TileLayer, Marker, Popup, useMap } from 'react-leaflet';
+import { createContext, useContext, useEffect, useMemo, useRef, useState } from 'react';
+import {
+	CircleMarker,
+	GeoJSON,
+	LayerGroup,
+	LayersControl,
+	MapContainer,
+	Marker,
+	Polyline,
+	Popup,
+	TileLayer,
+	Tooltip,
+	useMap,
+	useMapEvents,
+} from 'react-leaflet';
 import L from 'leaflet';
+import MarkerClusterGroup from 'react-leaflet-cluster';
 import 'leaflet/dist/leaflet.css';
 import markerIcon2xUrl from 'leaflet/dist/images/marker-icon-2x.png?url';
 import markerIconUrl from 'leaflet/dist/images/marker-icon.png?url';
 import markerShadowUrl from 'leaflet/dist/images/marker-shadow.png?url';
+import { useI18n } from '../i18n/useI18n.js';
+import { TILE_ATTRIBUTION, TILE_URL_TEMPLATE } from '../services/offlineTiles.js';
+import { formatDistance } from '../utils/geo.js';
+import { savedCategoryLabel } from '../utils/poi.js';
+import { CATEGORY_STYLES, getPoiIcon, getSavedPlaceIcon } from '../utils/poiIcons.js';
 import './MapView.css';
 
 delete L.Icon.Default.prototype._getIconUrl;
@@ -14,6 +33,12 @@ L.Icon.Default.mergeOptions({
 	shadowUrl: markerShadowUrl,
 });
 
+const VIETNAM_VIEW = { lat: 16.0471, lon: 106.3, zoom: 6 };
+
+// Popup contents read saved/itinerary state and the App callbacks from here, so the result markers
+// themselves only rebuild when the results change.
+const PoiPopupContext = createContext(null);
+
 function MapUpdater({ center }) {
 	const map = useMap();
 
@@ -26,53 +51,447 @@ function MapUpdater({ center }) {
 	return null;
 }
 
-function MapView({ center, pois, isLoading }) {
-	if (!center) {
-		return (
-			<div className="map-view map-view__placeholder">
-				<p>Search for a place to load the map.</p>
-			</div>
-		);
-	}
+function MapFocus({ point }) {
+	const map = useMap();
+
+	useEffect(() => {
+		if (point) {
+			map.setView([point.lat, point.lon], Math.max(map.getZoom(), 17), { animate: true });
+		}
+	}, [point, map]);
+
+	return null;
+}
+
+function MapRestoreView({ view }) {
+	const map = useMap();
+
+	useEffect(() => {
+		if (view) {
+			map.setView([view.lat, view.lon], view.zoom, { animate: false });
+		}
+	}, [view, map]);
+
+	return null;
+}
+
+function MapFitBounds({ target }) {
+	const map = useMap();
+
+	useEffect(() => {
+		if (target?.bounds) {
+			map.fitBounds(target.bounds, { padding: [32, 32], maxZoom: 17 });
+		}
+	}, [target, map]);
+
+	return null;
+}
+
+function ImportedLayer({ layer, onSearchAtPoint }) {
+	const { t } = useI18n();
 
 	return (
-		<div className="map-view">
-			<MapContainer center={[center.lat, center.lon]} zoom={15} scrollWheelZoom style={{ height: '100%', width: '100%' }}>
-				<MapUpdater center={center} />
-				<TileLayer
-					attribution="&copy; OpenStreetMap contributors"
-					url="https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png"
+		<>
+			{layer.shapes.features.length > 0 && (
+				<GeoJSON
+					data={layer.shapes}
+					style={{ color: layer.color, weight: 4, opacity: 0.85 }}
+					pointToLayer={(feature, latlng) => L.circleMarker(latlng, { radius: 6, color: layer.color })}
 				/>
-				<Marker position={[center.lat, center.lon]}>
+			)}
+			{layer.points.map((point) => (
+				<CircleMarker
+					key={point.id}
+					center={[point.lat, point.lon]}
+					radius={7}
+					pathOptions={{ color: '#ffffff', weight: 2, fillColor: layer.color, fillOpacity: 0.95 }}
+				>
 					<Popup>
-						<strong>Search center</strong>
+						<strong>{point.name || layer.name}</strong>
+						{point.description && (
+							<>
+								<br />
+								{point.description}
+							</>
+						)}
+						{onSearchAtPoint && (
+							<div className="map-view__popup-actions">
+								<button type="button" onClick={() => onSearchAtPoint(point.lat, point.lon)}>
+									{t('map.searchAroundPoint')}
+								</button>
+							</div>
+						)}
+					</Popup>
+				</CircleMarker>
+			))}
+		</>
+	);
+}
+
+function MapClickHandler({ onMapClick }) {
+	useMapEvents({
+		click(event) {
+			onMapClick?.({ lat: event.latlng.lat, lon: event.latlng.lng });
+		},
+	});
+
+	return null;
+}
+
+function MapViewTracker({ onViewChange }) {
+	const map = useMap();
+
+	const report = () => {
+		const bounds = map.getBounds();
+		const mapCenter = map.getCenter();
+		onViewChange?.({
+			zoom: map.getZoom(),
+			center: { lat: mapCenter.lat, lon: mapCenter.lng },
+			bounds: {
+				south: bounds.getSouth(),
+				west: bounds.getWest(),
+				north: bounds.getNorth(),
+				east: bounds.getEast(),
+			},
+		});
+	};
+
+	useMapEvents({ moveend: report });
+
+	useEffect(() => {
+		report();
+	}, [map]);
+
+	return null;
+}
+
+function PoiPopupContent({ poi }) {
+	const { t } = useI18n();
+	const {
+		savedPoiIds,
+		itineraryIds,
+		isTranslationOn,
+		onSavePoi,
+		onToggleItineraryStop,
+		onRequestDirections,
+		onShowDetails,
+		onToggleTranslation,
+	} = useContext(PoiPopupContext);
+
+	return (
+		<>
+			<strong>{poi.name}</strong>
+			{poi.translatedName && (
+				<>
+					<br />
+					<em>{poi.translatedName}</em>
+				</>
+			)}
+			<br />
+			{poi.category}
+			<br />
+			{t('map.distanceFromCenter', { distance: formatDistance(poi.distance) })}
+			{poi.address && (
+				<>
+					<br />
+					{poi.address}
+				</>
+			)}
+			{poi.translatedAddress && (
+				<>
+					<br />
+					<em>{poi.translatedAddress}</em>
+				</>
+			)}
+			{onSavePoi && (
+				<div className="map-view__popup-actions">
+					{onShowDetails && (
+						<button type="button" onClick={() => onShowDetails(poi)}>
+							{t('poi.details')}
+						</button>
+					)}
+					<button type="button" onClick={() => onSavePoi(poi)}>
+						{savedPoiIds?.has(poi.id) ? t('poi.saved') : t('poi.save')}
+					</button>
+					{onToggleItineraryStop && (
+						<button type="button" onClick={() => onToggleItineraryStop(poi)}>
+							{itineraryIds?.has(poi.id) ? t('poi.inItinerary') : t('poi.addToItinerary')}
+						</button>
+					)}
+					{onRequestDirections && (
+						<button type="button" onClick={() => onRequestDirections(poi)}>
+							{t('poi.directions')}
+						</button>
+					)}
+					{onToggleTranslation && (
+						<button type="button" aria-pressed={isTranslationOn} onClick={onToggleTranslation}>
+							{isTranslationOn ? t('results.showOriginal') : t('results.translate')}
+						</button>
+					)}
+				</div>
+			)}
+		</>
+	);
+}
+
+function MapLegend({ pois }) {
+	const { t } = useI18n();
+	const counts = pois.reduce((result, poi) => {
+		result[poi.categoryKey] = (result[poi.categoryKey] || 0) + 1;
+		return result;
+	}, {});
+	const keys = Object.keys(CATEGORY_STYLES).filter((key) => counts[key]);
+
+	if (keys.length === 0) {
+		return null;
+	}
+
+	return (
+		<ul className="map-view__legend" aria-label={t('map.legend')}>
+			{keys.map((key) => (
+				<li key={key}>
+					<span className="map-view__legend-swatch" style={{ background: CATEGORY_STYLES[key].color }}>
+						{CATEGORY_STYLES[key].glyph}
+					</span>
+					{t(CATEGORY_STYLES[key].labelKey)} ({counts[key]})
+				</li>
+			))}
+		</ul>
+	);
+}
+
+function MapView({
+	center,
+	pois,
+	savedPlaces = [],
+	savedPoiIds,
+	itinerary = [],
+	itineraryIds,
+	route,
+	importedLayers = [],
+	focusPoint,
+	focusBounds,
+	restoreView,
+	isLoading,
+	onMapClick,
+	onViewChange,
+	onSavePoi,
+	onToggleItineraryStop,
+	onRequestDirections,
+	onShowDetails,
+	onSearchAtPoint,
+	isTranslationOn = false,
+	onToggleTranslation,
+	activePoi,
+	hoveredPoiId,
+	onSelectPoi,
+}) {
+	const { language, t } = useI18n();
+	const initialView = center ? { ...center, zoom: 15 } : VIETNAM_VIEW;
+	const [fitTarget, setFitTarget] = useState(null);
+	const mapRef = useRef(null);
+	const clusterRef = useRef(null);
+	const markerRefs = useRef(new Map());
+	const positionsRef = useRef(new Map());
+	const highlightedIdsRef = useRef(new Set());
+	const onSelectPoiRef = useRef(onSelectPoi);
+	onSelectPoiRef.current = onSelectPoi;
+
+	// Selecting a result in the list expands its cluster if needed and opens its popup.
+	useEffect(() => {
+		const marker = markerRefs.current.get(activePoi?.id);
+		const cluster = clusterRef.current;
+		if (activePoi?.source !== 'list' || !marker || !cluster || !mapRef.current?.hasLayer(cluster)) {
+			return;
+		}
+		cluster.zoomToShowLayer(marker, () => marker.openPopup());
+	}, [activePoi]);
+
+	// Hovering only opens popups of markers already on screen, so the map never moves under the pointer.
+	useEffect(() => {
+		const marker = markerRefs.current.get(hoveredPoiId);
+		const map = mapRef.current;
+		if (marker && map?.hasLayer(marker) && map.getBounds().contains(marker.getLatLng())) {
+			marker.openPopup();
+		}
+	}, [hoveredPoiId]);
+
+	const handleFitResults = () => {
+		const points = center ? [center, ...pois] : pois;
+		setFitTarget({ bounds: points.map((point) => [point.lat, point.lon]), at: Date.now() });
+	};
+
+	// A new position array makes react-leaflet call setLatLng, which the cluster answers by removing and
+	// re-adding the marker, so positions are reused for as long as a result stays put.
+	const poiMarkers = useMemo(() => {
+		const previousPositions = positionsRef.current;
+		positionsRef.current = new Map();
+		return pois.map((poi) => {
+			const previous = previousPositions.get(poi.id);
+			const position = previous?.[0] === poi.lat && previous?.[1] === poi.lon ? previous : [poi.lat, poi.lon];
+			positionsRef.current.set(poi.id, position);
+			return (
+				<Marker
+					key={poi.id}
+					ref={(marker) => {
+						if (marker) {
+							markerRefs.current.set(poi.id, marker);
+						} else {
+							markerRefs.current.delete(poi.id);
+						}
+					}}
+					position={position}
+					icon={getPoiIcon(poi)}
+					eventHandlers={{ click: () => onSelectPoiRef.current?.(poi.id) }}
+				>
+					<Popup>
+						<PoiPopupContent poi={poi} />
+					</Popup>
+				</Marker>
+			);
+		});
+	}, [pois]);
+
+	// Only the markers whose highlight changed get a new icon; the rest of the cluster is left alone.
+	useEffect(() => {
+		const highlightedIds = new Set([activePoi?.id, hoveredPoiId].filter(Boolean));
+		new Set([...highlightedIdsRef.current, ...highlightedIds]).forEach((id) => {
+			const marker = markerRefs.current.get(id);
+			const poi = pois.find((item) => item.id === id);
+			if (marker && poi) {
+				marker.setIcon(getPoiIcon(poi, highlightedIds.has(id)));
+				marker.setZIndexOffset(id === activePoi?.id ? 1000 : 0);
+			}
+		});
+		highlightedIdsRef.current = highlightedIds;
+	}, [activePoi, hoveredPoiId, pois]);
+
+	const popupContext = {
+		savedPoiIds,
+		itineraryIds,
+		isTranslationOn,
+		onSavePoi,
+		onToggleItineraryStop,
+		onRequestDirections,
+		onShowDetails,
+		onToggleTranslation,
+	};
+
+	const savedMarkers = useMemo(
+		() =>
+			savedPlaces.map((place) => (
+				<Marker key={place.id} position={[place.lat, place.lon]} icon={getSavedPlaceIcon()}>
+					<Popup>
+						<strong>{place.customName || place.name}</strong>
 						<br />
-						{center.label}
+						{savedCategoryLabel(place)}
+						{place.tags?.length > 0 && (
+							<>
+								<br />
+								{place.tags.join(', ')}
+							</>
+						)}
 					</Popup>
 				</Marker>
-				{pois.map((poi) => (
-					<Marker key={poi.id} position={[poi.lat, poi.lon]}>
+			)),
+		[savedPlaces, language],
+	);
+
+	return (
+		<div className="map-view">
+			<MapContainer
+				center={[initialView.lat, initialView.lon]}
+				zoom={initialView.zoom}
+				scrollWheelZoom
+				style={{ height: '100%', width: '100%' }}
+				ref={mapRef}
+			>
+				<MapUpdater center={center} />
+				<MapFocus point={focusPoint} />
+				<MapFitBounds target={focusBounds} />
+				<MapFitBounds target={fitTarget} />
+				<MapRestoreView view={restoreView} />
+				<MapClickHandler onMapClick={onMapClick} />
+				<MapViewTracker onViewChange={onViewChange} />
+				<TileLayer
+					attribution={TILE_ATTRIBUTION}
+					url={TILE_URL_TEMPLATE}
+					crossOrigin="anonymous"
+				/>
+				{center && (
+					<Marker position={[center.lat, center.lon]}>
 						<Popup>
-							<strong>{poi.name}</strong>
-							<br />
-							{poi.category}
+							<strong>{t('map.searchCenter')}</strong>
 							<br />
-							{poi.distance < 1000
-								? `${poi.distance.toFixed(0)} m`
-								: `${(poi.distance / 1000).toFixed(2)} km`} from center
-							{poi.address && (
-								<>
-									<br />
-									{poi.address}
-								</>
-							)}
+							{center.label}
 						</Popup>
 					</Marker>
+				)}
+				{/* Overlay names are only read when the control mounts, so remount it when the language changes. */}
+				<LayersControl key={language} position="topleft">
+					<LayersControl.Overlay checked name={t('map.layer.results')}>
+						<PoiPopupContext.Provider value={popupContext}>
+							<MarkerClusterGroup
+								ref={clusterRef}
+								chunkedLoading
+								maxClusterRadius={50}
+								showCoverageOnHover={false}
+								disableClusteringAtZoom={18}
+							>
+								{poiMarkers}
+							</MarkerClusterGroup>
+						</PoiPopupContext.Provider>
+					</LayersControl.Overlay>
+					<LayersControl.Overlay checked name={t('map.layer.saved')}>
+						<LayerGroup>{savedMarkers}</LayerGroup>
+					</LayersControl.Overlay>
+				</LayersControl>
+				{route?.geometry.length > 1 && (
+					<Polyline
+						positions={route.geometry}
+						pathOptions={
+							route.source === 'straight'
+								? { color: '#dc2626', weight: 3, dashArray: '4 8' }
+								: { color: '#dc2626', weight: 5, opacity: 0.8 }
+						}
+					/>
+				)}
+				{itinerary.length > 1 && (
+					<Polyline
+						positions={itinerary.map((stop) => [stop.lat, stop.lon])}
+						pathOptions={{ color: '#0f766e', weight: 4, dashArray: '8 6' }}
+					/>
+				)}
+				{itinerary.map((stop, index) => (
+					<CircleMarker
+						key={`itinerary-${stop.id}`}
+						center={[stop.lat, stop.lon]}
+						radius={10}
+						pathOptions={{ color: '#ffffff', weight: 2, fillColor: '#0f766e', fillOpacity: 1 }}
+					>
+						<Tooltip permanent direction="center" className="map-view__stop-label">
+							{index + 1}
+						</Tooltip>
+					</CircleMarker>
 				))}
+				{importedLayers
+					.filter((layer) => layer.visible)
+					.map((layer) => (
+						<ImportedLayer key={layer.id} layer={layer} onSearchAtPoint={onSearchAtPoint} />
+					))}
 			</MapContainer>
+			<MapLegend pois={pois} />
+			{pois.length > 0 && (
+				<button type="button" className="map-view__fit" onClick={handleFitResults}>
+					{t('map.fitResults')}
+				</button>
+			)}
+			{!center && !isLoading && (
+				<p className="map-view__hint">{t('map.hint')}</p>
+			)}
 			{isLoading && (
 				<div className="map-view__overlay">
-					<p>Loading map data...</p>
+					<p>{t('map.loading')}</p>
 				</div>
 			)}
 		</div>
@@ -0,0 +1,190 @@
+import { useEffect, useRef, useState } from 'react';
+import { formatDateTime, formatNumber } from '../i18n/index.js';
+import { useI18n } from '../i18n/useI18n.js';
+import {
+	TILE_BUDGET_OPTIONS_MB,
+	TILE_ZOOM_RANGE,
+	clearOfflineTiles,
+	downloadTiles,
+	estimateTileDownload,
+	getOfflineTileCount,
+	isOfflineTilesSupported,
+	isTileDownloadAllowed,
+} from '../services/offlineTiles.js';
+import { OFFLINE_SEARCH_LIMIT } from '../services/offlineSearches.js';
+import './OfflineMaps.css';
+
+const MB = 1024 * 1024;
+
+const formatMegabytes = (bytes) =>
+	`${formatNumber(bytes / MB, { minimumFractionDigits: 1, maximumFractionDigits: 1 })} MB`;
+
+const zoomOptions = Array.from(
+	{ length: TILE_ZOOM_RANGE.max - TILE_ZOOM_RANGE.min + 1 },
+	(_, index) => TILE_ZOOM_RANGE.min + index,
+);
+
+function OfflineMaps({ mapView, isOnline, searches, onOpenSearch, onClearSearches }) {
+	const { t } = useI18n();
+	const [maxZoom, setMaxZoom] = useState(16);
+	const [budgetMb, setBudgetMb] = useState(TILE_BUDGET_OPTIONS_MB[1]);
+	const [progress, setProgress] = useState(null);
+	const [isDownloading, setIsDownloading] = useState(false);
+	const [message, setMessage] = useState('');
+	const [storedTiles, setStoredTiles] = useState(0);
+	const controllerRef = useRef(null);
+
+	const canDownload = isTileDownloadAllowed();
+	const minZoom = mapView ? Math.max(TILE_ZOOM_RANGE.min, Math.min(Math.round(mapView.zoom), maxZoom)) : maxZoom;
+	const estimate = canDownload && mapView ? estimateTileDownload(mapView.bounds, minZoom, maxZoom) : null;
+	const budgetBytes = budgetMb * MB;
+
+	useEffect(() => {
+		getOfflineTileCount().then(setStoredTiles);
+		return () => controllerRef.current?.abort();
+	}, []);
+
+	if (!isOfflineTilesSupported()) {
+		return <p>{t('offline.unsupported')}</p>;
+	}
+
+	const handleDownload = async () => {
+		const controller = new AbortController();
+		controllerRef.current = controller;
+		setIsDownloading(true);
+		setMessage('');
+		setProgress({ done: 0, total: estimate.count, bytes: 0, failed: 0 });
+
+		try {
+			const result = await downloadTiles(mapView.bounds, {
+				minZoom,
+				maxZoom,
+				budgetBytes,
+				signal: controller.signal,
+				onProgress: setProgress,
+			});
+			setMessage(
+				result.truncated
+					? t('offline.budgetReached', { done: result.done, total: result.total })
+					: t('offline.downloaded', { count: result.total - result.failed, size: formatMegabytes(result.bytes) }),
+			);
+		} catch (error) {
+			setMessage(error.name === 'AbortError' ? t('offline.cancelled') : error.message);
+		} finally {
+			controllerRef.current = null;
+			setIsDownloading(false);
+			setStoredTiles(await getOfflineTileCount());
+		}
+	};
+
+	const handleClearTiles = async () => {
+		await clearOfflineTiles();
+		setStoredTiles(0);
+		setMessage(t('offline.cleared'));
+	};
+
+	return (
+		<>
+			<section className="offline-maps">
+				<h3>{t('offline.tilesTitle')}</h3>
+				{canDownload ? (
+					<p className="offline-maps__note">{t('offline.tilesHint', { zoom: minZoom })}</p>
+				) : (
+					<p className="offline-maps__note">{t('offline.downloadUnavailable')}</p>
+				)}
+				{canDownload && (
+					<div className="offline-maps__controls">
+						<label>
+							{t('offline.maxZoom')}
+							<select
+								value={maxZoom}
+								onChange={(event) => setMaxZoom(Number(event.target.value))}
+								disabled={isDownloading}
+							>
+								{zoomOptions.map((zoom) => (
+									<option key={zoom} value={zoom}>
+										{zoom}
+									</option>
+								))}
+							</select>
+						</label>
+						<label>
+							{t('offline.budget')}
+							<select
+								value={budgetMb}
+								onChange={(event) => setBudgetMb(Number(event.target.value))}
+								disabled={isDownloading}
+							>
+								{TILE_BUDGET_OPTIONS_MB.map((size) => (
+									<option key={size} value={size}>
+										{size} MB
+									</option>
+								))}
+							</select>
+						</label>
+					</div>
+				)}
+				{estimate && (
+					<p className={estimate.bytes > budgetBytes ? 'offline-maps__warning' : 'offline-maps__note'}>
+						{t('offline.estimate', { count: estimate.count, size: formatMegabytes(estimate.bytes) })}
+						{estimate.bytes > budgetBytes && ` — ${t('offline.overBudget')}`}
+					</p>
+				)}
+				<div className="offline-maps__actions">
+					{isDownloading ? (
+						<button type="button" onClick={() => controllerRef.current?.abort()}>
+							{t('common.cancel')}
+						</button>
+					) : (
+						canDownload && (
+							<button
+								type="button"
+								onClick={handleDownload}
+								disabled={!isOnline || !estimate || estimate.bytes > budgetBytes}
+							>
+								{t('offline.download')}
+							</button>
+						)
+					)}
+					<button type="button" onClick={handleClearTiles} disabled={isDownloading || storedTiles === 0}>
+						{t('offline.clearTiles')}
+					</button>
+				</div>
+				{isDownloading && progress && (
+					<progress className="offline-maps__progress" value={progress.done} max={progress.total} />
+				)}
+				{message && <p className="offline-maps__note">{message}</p>}
+				<p className="offline-maps__note">{t('offline.storedTiles', { count: storedTiles })}</p>
+			</section>
+			<section className="offline-maps">
+				<h3>{t('offline.searchesTitle')}</h3>
+				<p className="offline-maps__note">
+					{t('offline.searchesHint', { count: OFFLINE_SEARCH_LIMIT })}
+				</p>
+				{searches.length === 0 ? (
+					<p>{t('offline.searchesEmpty')}</p>
+				) : (
+					<>
+						<ul className="offline-maps__searches">
+							{searches.map((snapshot) => (
+								<li key={snapshot.id}>
+									<button type="button" onClick={() => onOpenSearch?.(snapshot)}>
+										{snapshot.place.label}
+									</button>
+									<small>
+										{t('offline.placeCount', { count: snapshot.pois.length })} · {formatDateTime(snapshot.savedAt)}
+									</small>
+								</li>
+							))}
+						</ul>
+						<button type="button" className="offline-maps__clear" onClick={onClearSearches}>
+							{t('offline.clearSearches')}
+						</button>
+					</>
+				)}
+			</section>
+		</>
+	);
+}
+
+export default OfflineMaps;
@@ -0,0 +1,38 @@
+import { useI18n } from '../i18n/useI18n.js';
+import { formatClock, getOpeningStatus, weekdayName } from '../utils/openingHours.js';
+import './OpeningStatus.css';
+
+function OpeningStatus({ schedule, now }) {
+	const { t } = useI18n();
+	const status = getOpeningStatus(schedule, now);
+
+	if (!status) {
+		return null;
+	}
+
+	let label;
+	if (status.isOpen) {
+		if (schedule.isAlwaysOpen) {
+			label = t('hours.alwaysOpen');
+		} else {
+			label = status.closesAt === null ? t('hours.openNow') : t('hours.closesAt', { time: formatClock(status.closesAt) });
+		}
+	} else if (status.opensAt === null) {
+		label = t('hours.closed');
+	} else if (status.opensDay === null) {
+		label = t('hours.opensAt', { time: formatClock(status.opensAt) });
+	} else {
+		label = t('hours.opensOn', { day: weekdayName(status.opensDay, 'short'), time: formatClock(status.opensAt) });
+	}
+
+	return (
+		<span
+			className={status.isOpen ? 'opening-status opening-status--open' : 'opening-status opening-status--closed'}
+			title={t('hours.vietnamTime')}
+		>
+			{label}
+		</span>
+	);
+}
+
+export default OpeningStatus;
@@ -0,0 +1,168 @@
+import OpeningStatus from './OpeningStatus.jsx';
+import { osmCuisineLabels } from '../i18n/osmCategories.js';
+import { useI18n } from '../i18n/useI18n.js';
+import { formatDistance } from '../utils/geo.js';
+import { formatClock, vietnamWeekday, weekdayName } from '../utils/openingHours.js';
+import { buildFullAddress, splitTagValues, toWebsiteUrl, toWikidataUrl, toWikipediaUrl } from '../utils/poi.js';
+import './PoiDetails.css';
+
+const WHEELCHAIR_KEYS = {
+	yes: 'details.wheelchair.yes',
+	designated: 'details.wheelchair.yes',
+	limited: 'details.wheelchair.limited',
+	no: 'details.wheelchair.no',
+};
+
+function PoiDetails({
+	poi,
+	schedule,
+	now,
+	isSaved,
+	isInItinerary,
+	onSave,
+	onToggleItinerary,
+	onDirections,
+	onClose,
+}) {
+	const { language, t } = useI18n();
+
+	if (!poi) {
+		return null;
+	}
+
+	const tags = poi.tags || {};
+	const address = buildFullAddress(tags);
+	const phones = splitTagValues(tags.phone || tags['contact:phone']);
+	const website = tags.website || tags['contact:website'] || tags.url;
+	const cuisines = tags.cuisine ? osmCuisineLabels(tags.cuisine, language) : [];
+	const wheelchairKey = WHEELCHAIR_KEYS[tags.wheelchair];
+	const wikipediaUrl = toWikipediaUrl(tags.wikipedia);
+	const wikidataUrl = toWikidataUrl(tags.wikidata);
+	const today = vietnamWeekday(now);
+
+	const formatRange = (range) => {
+		if (range.openEnd) {
+			return t('hours.from', { time: formatClock(range.start) });
+		}
+		if (range.start === 0 && range.end >= 24 * 60) {
+			return t('hours.allDay');
+		}
+		return `${formatClock(range.start)}–${formatClock(range.end)}`;
+	};
+
+	return (
+		<section className="poi-details" aria-labelledby="poi-details-title">
+			<header className="poi-details__header">
+				<div>
+					<h2 id="poi-details-title">{poi.name}</h2>
+					{poi.translatedName && <p className="poi-details__translation">{poi.translatedName}</p>}
+					<p className="poi-details__category">
+						{poi.category} · {formatDistance(poi.distance)}
+					</p>
+				</div>
+				<button type="button" className="poi-details__close" onClick={onClose} aria-label={t('details.close')}>
+					×
+				</button>
+			</header>
+			<OpeningStatus schedule={schedule} now={now} />
+			<dl className="poi-details__facts">
+				{address && (
+					<>
+						<dt>{t('details.address')}</dt>
+						<dd>
+							{address}
+							{poi.translatedAddress && <span className="poi-details__translation">{poi.translatedAddress}</span>}
+						</dd>
+					</>
+				)}
+				{phones.length > 0 && (
+					<>
+						<dt>{t('details.phone')}</dt>
+						<dd>
+							{phones.map((phone) => (
+								<a key={phone} href={`tel:${phone.replace(/[^\d+]/g, '')}`}>
+									{phone}
+								</a>
+							))}
+						</dd>
+					</>
+				)}
+				{website && (
+					<>
+						<dt>{t('details.website')}</dt>
+						<dd>
+							<a href={toWebsiteUrl(website)} target="_blank" rel="noopener noreferrer">
+								{website.replace(/^https?:\/\//i, '')}
+							</a>
+						</dd>
+					</>
+				)}
+				{cuisines.length > 0 && (
+					<>
+						<dt>{t('details.cuisine')}</dt>
+						<dd>{cuisines.join(', ')}</dd>
+					</>
+				)}
+				{tags.wheelchair && (
+					<>
+						<dt>{t('details.wheelchair')}</dt>
+						<dd>{wheelchairKey ? t(wheelchairKey) : tags.wheelchair}</dd>
+					</>
+				)}
+				{(wikipediaUrl || wikidataUrl) && (
+					<>
+						<dt>{t('details.learnMore')}</dt>
+						<dd>
+							{wikipediaUrl && (
+								<a href={wikipediaUrl} target="_blank" rel="noopener noreferrer">
+									Wikipedia
+								</a>
+							)}
+							{wikidataUrl && (
+								<a href={wikidataUrl} target="_blank" rel="noopener noreferrer">
+									Wikidata
+								</a>
+							)}
+						</dd>
+					</>
+				)}
+			</dl>
+			{tags.opening_hours && (
+				<div className="poi-details__hours">
+					<h3>{t('hours.title')}</h3>
+					{schedule ? (
+						<table>
+							<tbody>
+								{schedule.week.map((ranges, day) => (
+									<tr key={day} className={day === today ? 'poi-details__today' : undefined}>
+										<th scope="row">{weekdayName(day)}</th>
+										<td>{ranges.length === 0 ? t('hours.closed') : ranges.map(formatRange).join(', ')}</td>
+									</tr>
+								))}
+							</tbody>
+						</table>
+					) : (
+						<p className="poi-details__raw">{tags.opening_hours}</p>
+					)}
+					<p className="poi-details__note">{schedule ? t('hours.vietnamTime') : t('hours.unparsed')}</p>
+				</div>
+			)}
+			{!address && phones.length === 0 && !website && !tags.opening_hours && (
+				<p className="poi-details__note">{t('details.noInfo')}</p>
+			)}
+			<div className="poi-details__actions">
+				<button type="button" onClick={() => onSave?.(poi)}>
+					{isSaved ? t('poi.saved') : t('poi.save')}
+				</button>
+				<button type="button" onClick={() => onToggleItinerary?.(poi)}>
+					{isInItinerary ? t('poi.inItinerary') : t('poi.addToItinerary')}
+				</button>
+				<button type="button" onClick={() => onDirections?.(poi)}>
+					{t('poi.directions')}
+				</button>
+			</div>
+		</section>
+	);
+}
+
+export default PoiDetails;
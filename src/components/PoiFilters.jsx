@@ -0,0 +1,94 @@
+import { formatNumber } from '../i18n/index.js';
+import { useI18n } from '../i18n/useI18n.js';
+import {
+	DEFAULT_POI_FILTERS,
+	POI_CATEGORY_GROUPS,
+	RADIUS_OPTIONS,
+	RESULT_LIMIT_OPTIONS,
+	categoryId,
+} from '../services/overpass.js';
+import { formatDistance } from '../utils/geo.js';
+import './PoiFilters.css';
+
+const formatRadius = (meters) => (meters < 1000 ? formatDistance(meters) : `${formatNumber(meters / 1000)} km`);
+
+function PoiFilters({ filters, onChange, isDisabled }) {
+	const { t } = useI18n();
+	const update = (patch) => onChange?.({ ...filters, ...patch });
+
+	const toggleCategory = (id) => {
+		const categories = filters.categories.includes(id)
+			? filters.categories.filter((item) => item !== id)
+			: [...filters.categories, id];
+		update({ categories });
+	};
+
+	return (
+		<details className="poi-filters">
+			<summary>
+				{t('filters.title')}
+				<span className="poi-filters__summary">
+					{formatRadius(filters.radius)} · {t('filters.resultCount', { count: filters.limit })} ·{' '}
+					{t('filters.categoryCount', { count: filters.categories.length })}
+				</span>
+			</summary>
+			<fieldset className="poi-filters__body" disabled={isDisabled}>
+				<div className="poi-filters__row">
+					<label htmlFor="poi-filter-radius">{t('filters.radius')}</label>
+					<select
+						id="poi-filter-radius"
+						value={filters.radius}
+						onChange={(event) => update({ radius: Number(event.target.value) })}
+					>
+						{RADIUS_OPTIONS.map((radius) => (
+							<option key={radius} value={radius}>
+								{formatRadius(radius)}
+							</option>
+						))}
+					</select>
+				</div>
+				<div className="poi-filters__row">
+					<label htmlFor="poi-filter-limit">{t('filters.limit')}</label>
+					<select
+						id="poi-filter-limit"
+						value={filters.limit}
+						onChange={(event) => update({ limit: Number(event.target.value) })}
+					>
+						{RESULT_LIMIT_OPTIONS.map((limit) => (
+							<option key={limit} value={limit}>
+								{limit}
+							</option>
+						))}
+					</select>
+				</div>
+				{POI_CATEGORY_GROUPS.map((group) => (
+					<div key={group.labelKey} className="poi-filters__group">
+						<h3>{t(group.labelKey)}</h3>
+						{group.options.map((option) => {
+							const id = categoryId(option);
+							return (
+								<label key={id} className="poi-filters__option">
+									<input
+										type="checkbox"
+										checked={filters.categories.includes(id)}
+										onChange={() => toggleCategory(id)}
+									/>
+									{t(option.labelKey)}
+									<code>{id}</code>
+								</label>
+							);
+						})}
+					</div>
+				))}
+				{filters.categories.length === 0 && (
+					<p className="poi-filters__warning">{t('filters.noCategory')}</p>
+				)}
+				<button type="button" className="poi-filters__reset" onClick={() => onChange?.(DEFAULT_POI_FILTERS)}>
+					{t('filters.reset')}
+				</button>
+			</fieldset>
+		</details>
+	);
+}
+
+export default PoiFilters;
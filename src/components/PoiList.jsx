@@ -0,0 +1,128 @@
+import { useEffect, useRef } from 'react';
+import OpeningStatus from './OpeningStatus.jsx';
+import { useI18n } from '../i18n/useI18n.js';
+import { formatDistance } from '../utils/geo.js';
+import './PoiList.css';
+
+// Arrow keys move between results; the other keys keep their default behaviour.
+const NAVIGATION_KEYS = ['ArrowDown', 'ArrowUp', 'Home', 'End'];
+
+function PoiList({
+	pois,
+	schedules,
+	now,
+	savedPoiIds,
+	itineraryIds,
+	activePoi,
+	onHover,
+	onSelect,
+	onShowDetails,
+	onSave,
+	onToggleItinerary,
+	onDirections,
+}) {
+	const { t } = useI18n();
+	const itemRefs = useRef(new Map());
+	const activeIndex = pois.findIndex((poi) => poi.id === activePoi?.id);
+	// A single tab stop: the active entry, or the first one before anything is selected.
+	const focusableIndex = Math.max(activeIndex, 0);
+
+	// Marker clicks bring the matching entry into view; list selections are already visible.
+	useEffect(() => {
+		if (activePoi?.source === 'map') {
+			itemRefs.current.get(activePoi.id)?.scrollIntoView({ block: 'nearest', behavior: 'smooth' });
+		}
+	}, [activePoi]);
+
+	const moveTo = (index) => {
+		const poi = pois[index];
+		if (poi) {
+			onSelect(poi.id);
+			itemRefs.current.get(poi.id)?.focus();
+		}
+	};
+
+	const handleKeyDown = (event, index) => {
+		// Keys pressed on the buttons inside an entry belong to those buttons.
+		if (event.target !== event.currentTarget) {
+			return;
+		}
+		if (event.key === 'Enter') {
+			event.preventDefault();
+			onShowDetails(pois[index]);
+			return;
+		}
+		if (!NAVIGATION_KEYS.includes(event.key)) {
+			return;
+		}
+		event.preventDefault();
+		const targets = {
+			ArrowDown: Math.min(index + 1, pois.length - 1),
+			ArrowUp: Math.max(index - 1, 0),
+			Home: 0,
+			End: pois.length - 1,
+		};
+		moveTo(targets[event.key]);
+	};
+
+	if (pois.length === 0) {
+		return null;
+	}
+
+	return (
+		<ul className="poi-list" aria-label={t('results.listLabel')} onMouseLeave={() => onHover(null)}>
+			{pois.map((poi, index) => {
+				const isActive = poi.id === activePoi?.id;
+				return (
+					<li
+						key={poi.id}
+						ref={(element) => {
+							if (element) {
+								itemRefs.current.set(poi.id, element);
+							} else {
+								itemRefs.current.delete(poi.id);
+							}
+						}}
+						className={isActive ? 'poi-list__item poi-list__item--active' : 'poi-list__item'}
+						tabIndex={index === focusableIndex ? 0 : -1}
+						aria-current={isActive ? 'true' : undefined}
+						aria-posinset={index + 1}
+						aria-setsize={pois.length}
+						aria-labelledby={`poi-list-name-${index}`}
+						onMouseEnter={() => onHover(poi.id)}
+						onClick={(event) => {
+							if (!event.target.closest('button, a')) {
+								onSelect(poi.id);
+							}
+						}}
+						onKeyDown={(event) => handleKeyDown(event, index)}
+					>
+						<h3 id={`poi-list-name-${index}`}>{poi.name}</h3>
+						{poi.translatedName && <p className="poi-list__translation">{poi.translatedName}</p>}
+						<p>{poi.category}</p>
+						<OpeningStatus schedule={schedules.get(poi.id)} now={now} />
+						<p>{t('results.distance', { distance: formatDistance(poi.distance) })}</p>
+						{poi.address && <p>{poi.address}</p>}
+						{poi.translatedAddress && <p className="poi-list__translation">{poi.translatedAddress}</p>}
+						<div className="poi-list__actions">
+							<button type="button" className="app__poi-action" onClick={() => onShowDetails(poi)}>
+								{t('poi.details')}
+							</button>
+							<button type="button" className="app__poi-action" onClick={() => onSave(poi)}>
+								{savedPoiIds.has(poi.id) ? t('poi.saved') : t('poi.save')}
+							</button>
+							<button type="button" className="app__poi-action" onClick={() => onToggleItinerary(poi)}>
+								{itineraryIds.has(poi.id) ? t('poi.inItinerary') : t('poi.addToItinerary')}
+							</button>
+							<button type="button" className="app__poi-action" onClick={() => onDirections(poi)}>
+								{t('poi.directions')}
+							</button>
+						</div>
+					</li>
+				);
+			})}
+		</ul>
+	);
+}
+
+export default PoiList;
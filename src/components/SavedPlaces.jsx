@@ -0,0 +1,109 @@
+import { useState } from 'react';
+import { useI18n } from '../i18n/useI18n.js';
+import { savedCategoryLabel } from '../utils/poi.js';
+import './SavedPlaces.css';
+
+const parseTags = (rawValue) =>
+	rawValue
+		.split(',')
+		.map((tag) => tag.trim())
+		.filter((tag, index, tags) => tag && tags.indexOf(tag) === index);
+
+function SavedPlaceItem({ place, onUpdate, onDelete, onShow }) {
+	const { t } = useI18n();
+	const [isEditing, setIsEditing] = useState(false);
+	const [customName, setCustomName] = useState(place.customName || '');
+	const [tagsValue, setTagsValue] = useState((place.tags || []).join(', '));
+
+	const handleSubmit = async (event) => {
+		event.preventDefault();
+		await onUpdate?.(place.id, { customName: customName.trim(), tags: parseTags(tagsValue) });
+		setIsEditing(false);
+	};
+
+	const handleCancel = () => {
+		setCustomName(place.customName || '');
+		setTagsValue((place.tags || []).join(', '));
+		setIsEditing(false);
+	};
+
+	if (isEditing) {
+		return (
+			<li className="saved-places__item">
+				<form className="saved-places__form" onSubmit={handleSubmit}>
+					<label htmlFor={`saved-name-${place.id}`}>{t('saved.name')}</label>
+					<input
+						id={`saved-name-${place.id}`}
+						type="text"
+						value={customName}
+						placeholder={place.name}
+						onChange={(event) => setCustomName(event.target.value)}
+					/>
+					<label htmlFor={`saved-tags-${place.id}`}>{t('saved.tags')}</label>
+					<input
+						id={`saved-tags-${place.id}`}
+						type="text"
+						value={tagsValue}
+						placeholder={t('saved.tagsPlaceholder')}
+						onChange={(event) => setTagsValue(event.target.value)}
+					/>
+					<div className="saved-places__actions">
+						<button type="button" onClick={handleCancel}>
+							{t('common.cancel')}
+						</button>
+						<button type="submit">{t('common.save')}</button>
+					</div>
+				</form>
+			</li>
+		);
+	}
+
+	return (
+		<li className="saved-places__item">
+			<h3>{place.customName || place.name}</h3>
+			{place.customName && <p className="saved-places__original">{place.name}</p>}
+			<p>{savedCategoryLabel(place)}</p>
+			{place.address && <p>{place.address}</p>}
+			{place.tags?.length > 0 && (
+				<ul className="saved-places__tags">
+					{place.tags.map((tag) => (
+						<li key={tag}>{tag}</li>
+					))}
+				</ul>
+			)}
+			<div className="saved-places__actions">
+				<button type="button" onClick={() => onShow?.(place)}>
+					{t('saved.showOnMap')}
+				</button>
+				<button type="button" onClick={() => setIsEditing(true)}>
+					{t('common.edit')}
+				</button>
+				<button type="button" className="saved-places__delete" onClick={() => onDelete?.(place.id)}>
+					{t('common.delete')}
+				</button>
+			</div>
+		</li>
+	);
+}
+
+function SavedPlaces({ places, isLoading, error, onUpdate, onDelete, onShow }) {
+	const { t } = useI18n();
+
+	if (isLoading) {
+		return <p>{t('saved.loading')}</p>;
+	}
+
+	return (
+		<>
+			{error && <p className="saved-places__error">{error}</p>}
+			{!error && places.length === 0 && <p>{t('saved.empty')}</p>}
+			<ul className="saved-places">
+				{places.map((place) => (
+					<SavedPlaceItem key={place.id} place={place} onUpdate={onUpdate} onDelete={onDelete} onShow={onShow} />
+				))}
+			</ul>
+		</>
+	);
+}
+
+export default SavedPlaces;
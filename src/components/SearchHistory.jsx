@@ -0,0 +1,51 @@
+import { formatDateTime } from '../i18n/index.js';
+import { useI18n } from '../i18n/useI18n.js';
+import { formatDistance } from '../utils/geo.js';
+import './SearchHistory.css';
+
+function SearchHistory({ entries, isDisabled, onRerun, onDelete, onClear }) {
+	const { t } = useI18n();
+
+	if (entries.length === 0) {
+		return <p>{t('history.empty')}</p>;
+	}
+
+	return (
+		<>
+			<ul className="search-history">
+				{entries.map((entry) => (
+					<li key={entry.id} className="search-history__item">
+						<button
+							type="button"
+							className="search-history__rerun"
+							onClick={() => onRerun?.(entry)}
+							disabled={isDisabled}
+							title={t('history.rerun')}
+						>
+							<span className="search-history__label">{entry.query || entry.label}</span>
+							{entry.query && <span className="search-history__meta">{entry.label}</span>}
+							<span className="search-history__meta">
+								{formatDateTime(entry.searchedAt)}
+								{entry.filters &&
+									` · ${formatDistance(entry.filters.radius)} · ${t('filters.resultCount', { count: entry.filters.limit })}`}
+							</span>
+						</button>
+						<button
+							type="button"
+							className="search-history__delete"
+							onClick={() => onDelete?.(entry.id)}
+							aria-label={t('history.remove', { name: entry.query || entry.label })}
+						>
+							×
+						</button>
+					</li>
+				))}
+			</ul>
+			<button type="button" className="search-history__clear" onClick={onClear}>
+				{t('history.clear')}
+			</button>
+		</>
+	);
+}
+
+export default SearchHistory;
@@ -0,0 +1,123 @@
+import { useState } from 'react';
+import { formatDateTime } from '../i18n/index.js';
+import { useI18n } from '../i18n/useI18n.js';
+import { PHRASEBOOK_TOPICS } from '../services/translationHistory.js';
+import { foldText } from '../utils/language.js';
+import './TranslationHistory.css';
+
+function HistoryEntry({ entry, onUse, onTopicChange, onDelete }) {
+	const { t } = useI18n();
+
+	return (
+		<li className="translation-history__item">
+			<button type="button" className="translation-history__use" onClick={() => onUse?.(entry)}>
+				<span className="translation-history__source">{entry.sourceText}</span>
+				<span className="translation-history__result">{entry.translatedText}</span>
+				<span className="translation-history__meta">
+					{entry.source.toUpperCase()} → {entry.target.toUpperCase()} · {formatDateTime(entry.translatedAt)}
+					{entry.modelId && ` · ${entry.modelId}`}
+				</span>
+			</button>
+			<div className="translation-history__actions">
+				<span className="translation-history__star" aria-hidden="true">
+					{entry.starred ? '★' : '☆'}
+				</span>
+				<select
+					value={entry.topic || ''}
+					onChange={(event) => onTopicChange?.(entry, event.target.value)}
+					aria-label={t('phrasebook.topicFor', { text: entry.sourceText })}
+				>
+					<option value="">{entry.starred ? t('phrasebook.remove') : t('phrasebook.add')}</option>
+					{PHRASEBOOK_TOPICS.map((topic) => (
+						<option key={topic.id} value={topic.id}>
+							{t(topic.labelKey)}
+						</option>
+					))}
+				</select>
+				{onDelete && (
+					<button
+						type="button"
+						className="translation-history__delete"
+						onClick={() => onDelete(entry.id)}
+						aria-label={t('translationHistory.remove', { text: entry.sourceText })}
+					>
+						×
+					</button>
+				)}
+			</div>
+		</li>
+	);
+}
+
+function TranslationHistory({ entries, mode = 'history', onUse, onTopicChange, onDelete, onClear }) {
+	const { t } = useI18n();
+	const [search, setSearch] = useState('');
+
+	const needle = foldText(search.trim());
+	const visibleEntries = entries
+		.filter((entry) => mode === 'history' || entry.starred)
+		.filter(
+			(entry) =>
+				!needle || foldText(entry.sourceText).includes(needle) || foldText(entry.translatedText).includes(needle),
+		);
+	const isPhrasebook = mode === 'phrasebook';
+	const hasEntries = entries.some((entry) => !isPhrasebook || entry.starred);
+
+	if (!hasEntries) {
+		return (
+			<div className="translation-history__panel">
+				<p className="translation-history__empty">
+					{t(isPhrasebook ? 'phrasebook.empty' : 'translationHistory.empty')}
+				</p>
+			</div>
+		);
+	}
+
+	const topicGroups = PHRASEBOOK_TOPICS.map((topic) => ({
+		topic,
+		items: visibleEntries.filter((entry) => (entry.topic || 'other') === topic.id),
+	})).filter(({ items }) => items.length > 0);
+
+	const renderEntries = (items) => (
+		<ul className="translation-history">
+			{items.map((entry) => (
+				<HistoryEntry
+					key={entry.id}
+					entry={entry}
+					onUse={onUse}
+					onTopicChange={onTopicChange}
+					onDelete={isPhrasebook ? undefined : onDelete}
+				/>
+			))}
+		</ul>
+	);
+
+	return (
+		<div className="translation-history__panel">
+			<input
+				type="search"
+				className="translation-history__search"
+				value={search}
+				onChange={(event) => setSearch(event.target.value)}
+				placeholder={t('translationHistory.search')}
+				aria-label={t('translationHistory.search')}
+			/>
+			{visibleEntries.length === 0 && <p className="translation-history__empty">{t('translationHistory.noMatch')}</p>}
+			{isPhrasebook
+				? topicGroups.map(({ topic, items }) => (
+						<section key={topic.id} className="translation-history__group">
+							<h3>{t(topic.labelKey)}</h3>
+							{renderEntries(items)}
+						</section>
+					))
+				: renderEntries(visibleEntries)}
+			{!isPhrasebook && entries.some((entry) => !entry.starred) && (
+				<button type="button" className="translation-history__clear" onClick={onClear}>
+					{t('translationHistory.clear')}
+				</button>
+			)}
+		</div>
+	);
+}
+
+export default TranslationHistory;
@@ -1,22 +1,230 @@
-import { useEffect, useState } from 'react';
+import { useEffect, useRef, useState } from 'react';
+import { useI18n } from '../i18n/useI18n.js';
+import TranslationHistory from './TranslationHistory.jsx';
+import {
+	findVoice,
+	isDictationSupported,
+	isSpeechOutputSupported,
+	speakText,
+	startDictation,
+	subscribeVoices,
+} from '../services/speech.js';
+import { TRANSLATION_LANGUAGES, otherLanguage } from '../services/translation.js';
+import { PHRASEBOOK_TOPICS, toTranslationEntryId } from '../services/translationHistory.js';
+import { detectTextLanguage } from '../utils/language.js';
 import './TranslationPopup.css';
 
-function TranslationPopup({ isOpen, onClose, onTranslate, isLoading, result, error }) {
+const TRANSLATOR_VIEWS = [
+	{ id: 'translate', labelKey: 'translator.view.translate' },
+	{ id: 'history', labelKey: 'translator.view.history' },
+	{ id: 'phrasebook', labelKey: 'translator.view.phrasebook' },
+];
+
+const DICTATION_ERROR_KEYS = {
+	'not-allowed': 'translator.speech.micDenied',
+	'service-not-allowed': 'translator.speech.micDenied',
+	'audio-capture': 'translator.speech.noMicrophone',
+	'no-speech': 'translator.speech.noSpeech',
+	network: 'translator.speech.network',
+};
+
+function TranslationPopup({
+	isOpen,
+	onClose,
+	onTranslate,
+	isLoading,
+	result,
+	error,
+	chunks = [],
+	onRetryChunks,
+	history = [],
+	onRecall,
+	onTopicChange,
+	onDeleteEntry,
+	onClearHistory,
+	guestNotice = '',
+	onUpgrade,
+}) {
+	const { t } = useI18n();
+	const [view, setView] = useState('translate');
 	const [inputValue, setInputValue] = useState('');
+	const [source, setSource] = useState('auto');
+	const [target, setTarget] = useState('vi');
+	const [lastRequest, setLastRequest] = useState(null);
+	const [copyStatus, setCopyStatus] = useState('');
+	const [voices, setVoices] = useState([]);
+	const [isListening, setIsListening] = useState(false);
+	const [isSpeaking, setIsSpeaking] = useState(false);
+	const [speechError, setSpeechError] = useState('');
+	const dictationRef = useRef(null);
+	const stopSpeakingRef = useRef(null);
+
+	const stopSpeech = () => {
+		dictationRef.current?.abort();
+		stopSpeakingRef.current?.();
+	};
+
+	useEffect(() => subscribeVoices(setVoices), []);
+
+	useEffect(() => stopSpeech, []);
 
 	useEffect(() => {
 		if (!isOpen) {
+			stopSpeech();
+			setView('translate');
 			setInputValue('');
+			setLastRequest(null);
+			setSpeechError('');
 		}
 	}, [isOpen]);
 
+	useEffect(() => {
+		stopSpeakingRef.current?.();
+		setCopyStatus('');
+	}, [result]);
+
 	if (!isOpen) {
 		return null;
 	}
 
+	const detectedLanguage = inputValue.trim() ? detectTextLanguage(inputValue) : null;
+	const resolvedSource = source === 'auto' ? detectedLanguage || otherLanguage(target) : source;
+	const resolvedTarget = resolvedSource === target ? otherLanguage(resolvedSource) : target;
+	const languageName = (language) => t(`translator.language.${language}`);
+
+	const translate = (request) => {
+		setLastRequest(request);
+		onTranslate?.(request.text, request);
+	};
+
 	const handleSubmit = (event) => {
 		event.preventDefault();
-		onTranslate?.(inputValue);
+		translate({ text: inputValue, source: resolvedSource, target: resolvedTarget });
+	};
+
+	const handleSourceChange = (value) => {
+		setSource(value);
+		if (value === target) {
+			setTarget(otherLanguage(value));
+		}
+	};
+
+	const handleTargetChange = (value) => {
+		setTarget(value);
+		if (value === source) {
+			setSource(otherLanguage(value));
+		}
+	};
+
+	const handleSwap = () => {
+		setSource(resolvedTarget);
+		setTarget(resolvedSource);
+		if (result) {
+			setInputValue(result);
+		}
+	};
+
+	const handleUseEntry = (entry) => {
+		setInputValue(entry.sourceText);
+		setSource(entry.source);
+		setTarget(entry.target);
+		setLastRequest({ text: entry.sourceText, source: entry.source, target: entry.target });
+		setView('translate');
+		onRecall?.(entry);
+	};
+
+	const resultEntry =
+		lastRequest &&
+		history.find(
+			(entry) => entry.id === toTranslationEntryId(lastRequest.text.trim(), lastRequest.source, lastRequest.target),
+		);
+
+	const handleDictate = () => {
+		if (isListening) {
+			dictationRef.current?.stop();
+			return;
+		}
+		const baseText = inputValue.trim();
+		setSpeechError('');
+		setIsListening(true);
+		dictationRef.current = startDictation(resolvedSource, {
+			onTranscript: (transcript) => setInputValue(baseText ? `${baseText} ${transcript}` : transcript),
+			onEnd: () => {
+				dictationRef.current = null;
+				setIsListening(false);
+			},
+			onError: (code) => {
+				if (code !== 'aborted') {
+					setSpeechError(t(DICTATION_ERROR_KEYS[code] || 'translator.speech.failed'));
+				}
+			},
+		});
+	};
+
+	const resultLanguage = lastRequest?.target || resolvedTarget;
+	const resultVoice = findVoice(voices, resultLanguage);
+	let speakUnavailable = '';
+	if (!isSpeechOutputSupported()) {
+		speakUnavailable = t('translator.speech.outputUnsupported');
+	} else if (!resultVoice) {
+		speakUnavailable = t('translator.speech.noVoice', { language: languageName(resultLanguage) });
+	}
+
+	const handleSpeak = () => {
+		if (isSpeaking) {
+			stopSpeakingRef.current?.();
+			return;
+		}
+		setIsSpeaking(true);
+		stopSpeakingRef.current = speakText(result, resultVoice, {
+			onEnd: () => {
+				stopSpeakingRef.current = null;
+				setIsSpeaking(false);
+			},
+		});
+	};
+
+	const chunkSegments = chunks.filter((chunk) => !chunk.isGap);
+	const isLongText = chunkSegments.length > 1;
+	const translatedCount = chunkSegments.filter((chunk) => chunk.status === 'done').length;
+	const failedIndexes = chunks.flatMap((chunk, index) => (!chunk.isGap && chunk.status === 'failed' ? [index] : []));
+
+	const renderChunk = (chunk, index) => {
+		if (chunk.isGap) {
+			return chunk.text;
+		}
+		if (chunk.status === 'done') {
+			return <span key={index}>{chunk.translatedText}</span>;
+		}
+		if (chunk.status === 'failed') {
+			return (
+				<span key={index} className="translator-chunk translator-chunk--failed" title={chunk.error}>
+					{chunk.text}
+					<button
+						type="button"
+						onClick={() => onRetryChunks?.([index])}
+						disabled={isLoading}
+						aria-label={t('translator.retryChunk', { text: chunk.text })}
+					>
+						↻
+					</button>
+				</span>
+			);
+		}
+		return (
+			<span key={index} className="translator-chunk translator-chunk--pending">
+				{chunk.text}
+			</span>
+		);
+	};
+
+	const handleCopy = async () => {
+		try {
+			await navigator.clipboard.writeText(result);
+			setCopyStatus('copied');
+		} catch {
+			setCopyStatus('failed');
+		}
 	};
 
 	return (
@@ -28,39 +236,203 @@ function TranslationPopup({ isOpen, onClose, onTranslate, isLoading, result, err
 		>
 			<div className="translator-modal" onClick={(event) => event.stopPropagation()}>
 				<header className="translator-header">
-					<h2>Translate English to Vietnamese</h2>
-					<button type="button" className="translator-close" onClick={onClose} aria-label="Close translator">
+					<h2>{t('translator.title')}</h2>
+					<button type="button" className="translator-close" onClick={onClose} aria-label={t('translator.close')}>
 						X
 					</button>
 				</header>
-				<form onSubmit={handleSubmit} className="translator-form">
-					<label htmlFor="translator-input">English sentence</label>
-					<textarea
-						id="translator-input"
-						value={inputValue}
-						onChange={(event) => setInputValue(event.target.value)}
-						placeholder="Enter your sentence here"
-						rows={4}
-						required
-					/>
-					<div className="translator-actions">
-						<button type="button" onClick={() => setInputValue('')} disabled={isLoading}>
-							Clear
+				<div className="translator-views" role="tablist">
+					{TRANSLATOR_VIEWS.map((item) => (
+						<button
+							key={item.id}
+							type="button"
+							role="tab"
+							aria-selected={view === item.id}
+							className={view === item.id ? 'translator-view translator-view--active' : 'translator-view'}
+							onClick={() => setView(item.id)}
+						>
+							{t(item.labelKey)}
 						</button>
-						<button type="submit" disabled={isLoading}>
-							{isLoading ? 'Translating...' : 'Translate'}
+					))}
+				</div>
+				{view !== 'translate' && onUpgrade && (
+					<div className="translator-upgrade">
+						<p>{t('upgrade.reason.phrasebook')}</p>
+						<button type="button" onClick={onUpgrade}>
+							{t('upgrade.cta')}
 						</button>
 					</div>
-				</form>
-				<section className="translator-result">
-					{error && <p className="translator-error">{error}</p>}
-					{result && !error && (
-						<>
-							<h3>Vietnamese</h3>
-							<p>{result}</p>
-						</>
-					)}
-				</section>
+				)}
+				{view !== 'translate' && !onUpgrade && (
+					<TranslationHistory
+						key={view}
+						entries={history}
+						mode={view}
+						onUse={handleUseEntry}
+						onTopicChange={onTopicChange}
+						onDelete={onDeleteEntry}
+						onClear={onClearHistory}
+					/>
+				)}
+				{view === 'translate' && (
+					<>
+						<form onSubmit={handleSubmit} className="translator-form">
+							<div className="translator-languages">
+								<select
+									aria-label={t('translator.sourceLanguage')}
+									value={source}
+									onChange={(event) => handleSourceChange(event.target.value)}
+									disabled={isLoading}
+								>
+									<option value="auto">
+										{detectedLanguage && source === 'auto'
+											? t('translator.autoDetected', { language: languageName(detectedLanguage) })
+											: t('translator.autoDetect')}
+									</option>
+									{TRANSLATION_LANGUAGES.map((language) => (
+										<option key={language} value={language}>
+											{languageName(language)}
+										</option>
+									))}
+								</select>
+								<button
+									type="button"
+									className="translator-swap"
+									onClick={handleSwap}
+									disabled={isLoading}
+									aria-label={t('translator.swap')}
+									title={t('translator.swap')}
+								>
+									⇄
+								</button>
+								<select
+									aria-label={t('translator.targetLanguage')}
+									value={resolvedTarget}
+									onChange={(event) => handleTargetChange(event.target.value)}
+									disabled={isLoading}
+								>
+									{TRANSLATION_LANGUAGES.map((language) => (
+										<option key={language} value={language}>
+											{languageName(language)}
+										</option>
+									))}
+								</select>
+							</div>
+							<label htmlFor="translator-input">
+								{t('translator.inputLabel', { language: languageName(resolvedSource) })}
+							</label>
+							<textarea
+								id="translator-input"
+								value={inputValue}
+								onChange={(event) => setInputValue(event.target.value)}
+								placeholder={t('translator.placeholder')}
+								rows={4}
+								required
+							/>
+							<div className="translator-actions">
+								<button
+									type="button"
+									className={isListening ? 'translator-dictate translator-dictate--active' : 'translator-dictate'}
+									onClick={handleDictate}
+									disabled={isLoading || !isDictationSupported()}
+									aria-pressed={isListening}
+									title={
+										isDictationSupported()
+											? t('translator.speech.dictate', { language: languageName(resolvedSource) })
+											: t('translator.speech.dictationUnsupported')
+									}
+								>
+									{isListening ? t('translator.speech.listening') : `🎤 ${t('translator.speech.dictateShort')}`}
+								</button>
+								<button type="button" onClick={() => setInputValue('')} disabled={isLoading}>
+									{t('translator.clear')}
+								</button>
+								<button type="submit" disabled={isLoading}>
+									{isLoading ? t('translator.translating') : t('translator.translate')}
+								</button>
+							</div>
+							{!isDictationSupported() && (
+								<p className="translator-hint">{t('translator.speech.dictationUnsupported')}</p>
+							)}
+							{speechError && <p className="translator-hint translator-hint--error">{speechError}</p>}
+							{guestNotice && <p className="translator-hint">{guestNotice}</p>}
+						</form>
+						<section className="translator-result">
+							{isLongText && !error && !result && (
+								<>
+									<div className="translator-progress">
+										<progress max={chunkSegments.length} value={translatedCount} />
+										<span>
+											{t('translator.progress', { done: translatedCount, total: chunkSegments.length })}
+										</span>
+									</div>
+									<p className="translator-output">{chunks.map(renderChunk)}</p>
+									{failedIndexes.length > 0 && !isLoading && (
+										<div className="translator-error">
+											<p>{t('translator.chunksFailed', { count: failedIndexes.length })}</p>
+											<button type="button" onClick={() => onRetryChunks?.(failedIndexes)}>
+												{t('translator.retryFailed')}
+											</button>
+										</div>
+									)}
+								</>
+							)}
+							{error && (
+								<div className="translator-error">
+									<p>{error}</p>
+									{lastRequest && (
+										<button type="button" onClick={() => translate(lastRequest)} disabled={isLoading}>
+											{t('translator.retry')}
+										</button>
+									)}
+								</div>
+							)}
+							{result && !error && (
+								<>
+									<div className="translator-result-header">
+										<h3>{languageName(resultLanguage)}</h3>
+										<div className="translator-result-tools">
+											<button
+												type="button"
+												onClick={handleSpeak}
+												disabled={Boolean(speakUnavailable)}
+												aria-pressed={isSpeaking}
+												title={speakUnavailable || undefined}
+											>
+												{isSpeaking ? t('translator.speech.stop') : `🔊 ${t('translator.speech.speak')}`}
+											</button>
+											<button type="button" onClick={handleCopy}>
+												{copyStatus === 'copied' ? t('translator.copied') : t('translator.copy')}
+											</button>
+										</div>
+									</div>
+									<p className="translator-output">{result}</p>
+									{speakUnavailable && <p className="translator-hint">{speakUnavailable}</p>}
+									{resultEntry && !onUpgrade && (
+										<label className="translator-phrasebook">
+											<span aria-hidden="true">{resultEntry.starred ? '★' : '☆'}</span>
+											<select
+												value={resultEntry.topic || ''}
+												onChange={(event) => onTopicChange?.(resultEntry, event.target.value)}
+												aria-label={t('phrasebook.topicFor', { text: resultEntry.sourceText })}
+											>
+												<option value="">
+													{resultEntry.starred ? t('phrasebook.remove') : t('phrasebook.add')}
+												</option>
+												{PHRASEBOOK_TOPICS.map((topic) => (
+													<option key={topic.id} value={topic.id}>
+														{t(topic.labelKey)}
+													</option>
+												))}
+											</select>
+										</label>
+									)}
+									{copyStatus === 'failed' && <p className="translator-hint">{t('translator.copyFailed')}</p>}
+								</>
+							)}
+						</section>
+					</>
+				)}
 			</div>
 		</div>
 	);
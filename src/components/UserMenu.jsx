@@ -0,0 +1,134 @@
+import { useState } from 'react';
+import { useI18n } from '../i18n/useI18n.js';
+import { authErrorMessage, changePassword, hasPasswordProvider, updateDisplayName } from '../services/auth.js';
+import './UserMenu.css';
+
+function UserMenu({ user }) {
+	const { t } = useI18n();
+	const [isOpen, setIsOpen] = useState(false);
+	const [displayName, setDisplayName] = useState(user.displayName || '');
+	const [savedName, setSavedName] = useState(user.displayName || '');
+	const [currentPassword, setCurrentPassword] = useState('');
+	const [nextPassword, setNextPassword] = useState('');
+	const [confirmPassword, setConfirmPassword] = useState('');
+	const [busyForm, setBusyForm] = useState('');
+	const [status, setStatus] = useState({ form: '', message: '', isError: false });
+
+	const report = (form, message, isError = false) => setStatus({ form, message, isError });
+
+	const handleNameSubmit = async (event) => {
+		event.preventDefault();
+		const trimmed = displayName.trim();
+		setBusyForm('name');
+		try {
+			await updateDisplayName(user, trimmed);
+			setSavedName(trimmed);
+			report('name', t('profile.nameSaved'));
+		} catch (error) {
+			report('name', authErrorMessage(error), true);
+		} finally {
+			setBusyForm('');
+		}
+	};
+
+	const handlePasswordSubmit = async (event) => {
+		event.preventDefault();
+		if (nextPassword !== confirmPassword) {
+			report('password', t('auth.passwordMismatch'), true);
+			return;
+		}
+		setBusyForm('password');
+		try {
+			await changePassword(user, currentPassword, nextPassword);
+			setCurrentPassword('');
+			setNextPassword('');
+			setConfirmPassword('');
+			report('password', t('profile.passwordSaved'));
+		} catch (error) {
+			report('password', authErrorMessage(error), true);
+		} finally {
+			setBusyForm('');
+		}
+	};
+
+	const renderStatus = (form) =>
+		status.form === form &&
+		status.message && (
+			<p className={status.isError ? 'user-menu__status user-menu__status--error' : 'user-menu__status'}>
+				{status.message}
+			</p>
+		);
+
+	return (
+		<div className="user-menu">
+			<button
+				type="button"
+				className="user-menu__toggle"
+				onClick={() => setIsOpen((current) => !current)}
+				aria-expanded={isOpen}
+				aria-controls="user-menu-panel"
+			>
+				{savedName || user.email}
+			</button>
+			{isOpen && (
+				<div id="user-menu-panel" className="user-menu__panel">
+					<p className="user-menu__email">{user.email}</p>
+					<form className="user-menu__form" onSubmit={handleNameSubmit}>
+						<label htmlFor="profile-name">{t('profile.displayName')}</label>
+						<input
+							id="profile-name"
+							type="text"
+							value={displayName}
+							onChange={(event) => setDisplayName(event.target.value)}
+							autoComplete="name"
+							maxLength={60}
+						/>
+						{renderStatus('name')}
+						<button type="submit" disabled={busyForm === 'name' || displayName.trim() === savedName}>
+							{busyForm === 'name' ? t('auth.submitting') : t('profile.saveName')}
+						</button>
+					</form>
+					{hasPasswordProvider(user) ? (
+						<form className="user-menu__form" onSubmit={handlePasswordSubmit}>
+							<label htmlFor="profile-current-password">{t('profile.currentPassword')}</label>
+							<input
+								id="profile-current-password"
+								type="password"
+								value={currentPassword}
+								onChange={(event) => setCurrentPassword(event.target.value)}
+								autoComplete="current-password"
+								required
+							/>
+							<label htmlFor="profile-new-password">{t('profile.newPassword')}</label>
+							<input
+								id="profile-new-password"
+								type="password"
+								value={nextPassword}
+								onChange={(event) => setNextPassword(event.target.value)}
+								autoComplete="new-password"
+								required
+							/>
+							<label htmlFor="profile-confirm-password">{t('auth.confirmPassword')}</label>
+							<input
+								id="profile-confirm-password"
+								type="password"
+								value={confirmPassword}
+								onChange={(event) => setConfirmPassword(event.target.value)}
+								autoComplete="new-password"
+								required
+							/>
+							{renderStatus('password')}
+							<button type="submit" disabled={busyForm === 'password'}>
+								{busyForm === 'password' ? t('auth.submitting') : t('profile.changePassword')}
+							</button>
+						</form>
+					) : (
+						<p className="user-menu__hint">{t('profile.googleManaged')}</p>
+					)}
+				</div>
+			)}
+		</div>
+	);
+}
+
+export default UserMenu;
@@ -0,0 +1,211 @@
+import { useEffect, useState } from 'react';
+import { formatDate } from '../i18n/index.js';
+import { useI18n } from '../i18n/useI18n.js';
+import { describeWeatherCode, findWeatherAlerts, getWeatherIcon } from '../services/weather.js';
+import {
+	DEFAULT_WEATHER_UNITS,
+	TEMPERATURE_UNITS,
+	WIND_SPEED_UNITS,
+	convertTemperature,
+	formatTemperature,
+	formatWindSpeed,
+} from '../utils/units.js';
+import './WeatherPanel.css';
+
+const UNITS_STORAGE_KEY = 'poi-map:weather-units';
+const CHART_HOUR_WIDTH = 14;
+const CHART_HEIGHT = 150;
+const CHART_PADDING = { top: 16, bottom: 22 };
+
+const readUnits = () => {
+	try {
+		return { ...DEFAULT_WEATHER_UNITS, ...JSON.parse(localStorage.getItem(UNITS_STORAGE_KEY) || '{}') };
+	} catch {
+		return DEFAULT_WEATHER_UNITS;
+	}
+};
+
+// Open-Meteo returns local times without an offset, so the hour is read straight from the string.
+const formatHour = (time) => time.slice(11, 16);
+
+const formatDay = (date) => formatDate(`${date}T00:00`, { weekday: 'short', day: '2-digit', month: '2-digit' });
+
+const formatAlertTime = (time) => (time.length > 10 ? `${formatDay(time.slice(0, 10))} ${formatHour(time)}` : formatDay(time));
+
+function UnitToggle({ label, options, value, onChange }) {
+	return (
+		<div className="weather-panel__toggle" role="group" aria-label={label}>
+			{options.map((option) => (
+				<button
+					key={option.id}
+					type="button"
+					aria-pressed={value === option.id}
+					className={value === option.id ? 'weather-panel__unit weather-panel__unit--active' : 'weather-panel__unit'}
+					onClick={() => onChange(option.id)}
+				>
+					{option.label}
+				</button>
+			))}
+		</div>
+	);
+}
+
+function HourlyChart({ hours, units }) {
+	const { t } = useI18n();
+	const temperatures = hours.map((hour) => convertTemperature(hour.temperature ?? 0, units.temperature));
+	const minTemperature = Math.min(...temperatures);
+	const temperatureRange = Math.max(1, Math.max(...temperatures) - minTemperature);
+	const maxWind = Math.max(1, ...hours.map((hour) => hour.windSpeed ?? 0));
+	const plotHeight = CHART_HEIGHT - CHART_PADDING.top - CHART_PADDING.bottom;
+	const width = hours.length * CHART_HOUR_WIDTH;
+
+	const x = (index) => index * CHART_HOUR_WIDTH + CHART_HOUR_WIDTH / 2;
+	const yTemperature = (value) =>
+		CHART_PADDING.top + plotHeight - ((value - minTemperature) / temperatureRange) * plotHeight;
+	const yWind = (value) => CHART_PADDING.top + plotHeight - ((value ?? 0) / maxWind) * plotHeight;
+
+	return (
+		<div className="weather-panel__chart">
+			<svg width={width} height={CHART_HEIGHT} role="img" aria-label={t('weather.hourlyChart')}>
+				{hours.map((hour, index) => {
+					const barHeight = ((hour.precipitationProbability ?? 0) / 100) * plotHeight;
+					return (
+						<g key={hour.time}>
+							<title>
+								{[
+									formatHour(hour.time),
+									describeWeatherCode(hour.code),
+									formatTemperature(hour.temperature, units.temperature, 1),
+									t('weather.rainChance', { value: hour.precipitationProbability ?? 0 }),
+									formatWindSpeed(hour.windSpeed, units.windSpeed, 1),
+								].join(' · ')}
+							</title>
+							<rect
+								className="weather-panel__bar"
+								x={index * CHART_HOUR_WIDTH + 2}
+								y={CHART_PADDING.top + plotHeight - barHeight}
+								width={CHART_HOUR_WIDTH - 4}
+								height={barHeight}
+							/>
+							{index % 6 === 0 && (
+								<text className="weather-panel__axis" x={x(index)} y={CHART_HEIGHT - 6} textAnchor="middle">
+									{formatHour(hour.time)}
+								</text>
+							)}
+						</g>
+					);
+				})}
+				<polyline
+					className="weather-panel__wind-line"
+					points={hours.map((hour, index) => `${x(index)},${yWind(hour.windSpeed)}`).join(' ')}
+				/>
+				<polyline
+					className="weather-panel__temp-line"
+					points={temperatures.map((value, index) => `${x(index)},${yTemperature(value)}`).join(' ')}
+				/>
+			</svg>
+		</div>
+	);
+}
+
+function WeatherPanel({ weather, updatedLabel, cachedLabel }) {
+	const { t } = useI18n();
+	const [units, setUnits] = useState(readUnits);
+
+	useEffect(() => {
+		localStorage.setItem(UNITS_STORAGE_KEY, JSON.stringify(units));
+	}, [units]);
+
+	const hourly = weather.hourly || [];
+	const daily = weather.daily || [];
+	const alerts = findWeatherAlerts({ hourly, daily });
+
+	return (
+		<section className="app__weather weather-panel">
+			<div className="weather-panel__header">
+				<h2>{t('weather.title')}</h2>
+				<div className="weather-panel__units">
+					<UnitToggle
+						label={t('weather.temperatureUnit')}
+						options={TEMPERATURE_UNITS}
+						value={units.temperature}
+						onChange={(temperature) => setUnits((current) => ({ ...current, temperature }))}
+					/>
+					<UnitToggle
+						label={t('weather.windUnit')}
+						options={WIND_SPEED_UNITS}
+						value={units.windSpeed}
+						onChange={(windSpeed) => setUnits((current) => ({ ...current, windSpeed }))}
+					/>
+				</div>
+			</div>
+			{alerts.length > 0 && (
+				<div className="weather-panel__alert" role="alert">
+					<strong>⚠ {t('weather.alertTitle')}</strong>
+					<ul>
+						{alerts.map((alert) => (
+							<li key={`${alert.scope}-${alert.time}`}>
+								{t(alert.scope === 'hourly' ? 'weather.alertFrom' : 'weather.alertOn', {
+									description: describeWeatherCode(alert.code),
+									time: formatAlertTime(alert.time),
+								})}
+								{alert.count > 1 && ` (${t('weather.alertHours', { count: alert.count })})`}
+							</li>
+						))}
+					</ul>
+				</div>
+			)}
+			<div className="weather-panel__current">
+				<span className="weather-panel__icon" aria-hidden="true">
+					{getWeatherIcon(weather.code)}
+				</span>
+				<div>
+					<p className="app__weather-temp">{formatTemperature(weather.temperature, units.temperature, 1)}</p>
+					<p>{describeWeatherCode(weather.code)}</p>
+				</div>
+			</div>
+			<p>
+				{t('weather.wind', {
+					speed: formatWindSpeed(weather.windSpeed, units.windSpeed, 1),
+					direction: Math.round(weather.windDirection),
+				})}
+			</p>
+			<p>{t('weather.updatedAt', { time: updatedLabel })}</p>
+			{cachedLabel && <p className="app__cache-note">{t('common.cachedAt', { time: cachedLabel })}</p>}
+			{hourly.length > 0 && (
+				<>
+					<h3>{t('weather.next48h')}</h3>
+					<HourlyChart hours={hourly} units={units} />
+					<p className="weather-panel__legend">
+						<span className="weather-panel__legend-temp">{t('weather.legend.temperature')}</span>
+						<span className="weather-panel__legend-rain">{t('weather.legend.rain')}</span>
+						<span className="weather-panel__legend-wind">{t('weather.legend.wind')}</span>
+					</p>
+				</>
+			)}
+			{daily.length > 0 && (
+				<>
+					<h3>{t('weather.next7d')}</h3>
+					<table className="weather-panel__daily">
+						<tbody>
+							{daily.map((day) => (
+								<tr key={day.date}>
+									<th scope="row">{formatDay(day.date)}</th>
+									<td title={describeWeatherCode(day.code)}>{getWeatherIcon(day.code)}</td>
+									<td>
+										{formatTemperature(day.temperatureMin, units.temperature)} /{' '}
+										{formatTemperature(day.temperatureMax, units.temperature)}
+									</td>
+									<td>💧 {day.precipitationProbability ?? 0}%</td>
+									<td>{formatWindSpeed(day.windSpeed, units.windSpeed)}</td>
+								</tr>
+							))}
+						</tbody>
+					</table>
+				</>
+			)}
+		</section>
+	);
+}
+
+export default WeatherPanel;
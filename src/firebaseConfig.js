@@ -1,5 +1,6 @@
 import { initializeApp } from 'firebase/app';
-import { getAuth } from 'firebase/auth';
+import { connectAuthEmulator, getAuth } from 'firebase/auth';
+import { connectFirestoreEmulator, getFirestore } from 'firebase/firestore';
 
 const firebaseConfig = {
 	apiKey: import.meta.env.VITE_FIREBASE_API_KEY,
@@ -18,3 +19,15 @@ if (requiredKeys.length > 0) {
 
 const app = initializeApp(firebaseConfig);
 export const auth = getAuth(app);
+export const db = getFirestore(app);
+
+const firestoreEmulatorHost = import.meta.env.VITE_FIRESTORE_EMULATOR_HOST;
+if (firestoreEmulatorHost) {
+	const [host, port] = firestoreEmulatorHost.split(':');
+	connectFirestoreEmulator(db, host, Number(port) || 8080);
+}
+
+const authEmulatorHost = import.meta.env.VITE_AUTH_EMULATOR_HOST;
+if (authEmulatorHost) {
+	connectAuthEmulator(auth, `http://${authEmulatorHost}`, { disableWarnings: true });
+}
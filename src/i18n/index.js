@@ -0,0 +1,88 @@
+import en from './messages/en.js';
+import vi from './messages/vi.js';
+
+export const LANGUAGES = [
+	{ id: 'vi', label: 'Tiếng Việt', locale: 'vi-VN' },
+	{ id: 'en', label: 'English', locale: 'en-US' },
+];
+
+const CATALOGS = { vi, en };
+const FALLBACK_LANGUAGE = 'en';
+const STORAGE_KEY = 'poi-map:language';
+const listeners = new Set();
+
+const isSupported = (language) => Object.prototype.hasOwnProperty.call(CATALOGS, language);
+
+const detectLanguage = () => {
+	try {
+		const stored = localStorage.getItem(STORAGE_KEY);
+		if (isSupported(stored)) {
+			return stored;
+		}
+	} catch {
+		/* storage unavailable, fall back to the browser language */
+	}
+	return typeof navigator !== 'undefined' && navigator.language?.toLowerCase().startsWith('en') ? 'en' : 'vi';
+};
+
+let currentLanguage = detectLanguage();
+
+export const getLanguage = () => currentLanguage;
+
+export const getLocale = (language = currentLanguage) =>
+	LANGUAGES.find((item) => item.id === language)?.locale || LANGUAGES[0].locale;
+
+export const setLanguage = (language) => {
+	if (!isSupported(language) || language === currentLanguage) {
+		return;
+	}
+	currentLanguage = language;
+	try {
+		localStorage.setItem(STORAGE_KEY, language);
+	} catch (error) {
+		console.warn('Unable to remember the selected language', error);
+	}
+	if (typeof document !== 'undefined') {
+		document.documentElement.lang = language;
+	}
+	listeners.forEach((listener) => listener(language));
+};
+
+export const subscribeLanguage = (listener) => {
+	listeners.add(listener);
+	return () => listeners.delete(listener);
+};
+
+// Catalog entries are plain strings or `{ one, other }` plural forms; `{name}` placeholders are filled from params.
+export const t = (key, params = {}) => {
+	const entry = CATALOGS[currentLanguage][key] ?? CATALOGS[FALLBACK_LANGUAGE][key];
+	if (entry === undefined) {
+		return key;
+	}
+	const template =
+		typeof entry === 'string'
+			? entry
+			: entry[new Intl.PluralRules(getLocale()).select(params.count ?? 0)] ?? entry.other;
+	return template.replace(/\{(\w+)\}/g, (match, name) => (params[name] === undefined ? match : String(params[name])));
+};
+
+export const formatNumber = (value, options) => new Intl.NumberFormat(getLocale(), options).format(value);
+
+const toDate = (value) => (value instanceof Date ? value : new Date(value));
+
+const isValidDate = (date) => !Number.isNaN(date.getTime());
+
+export const formatDate = (value, options) => {
+	const date = toDate(value);
+	return isValidDate(date) ? date.toLocaleDateString(getLocale(), options) : '';
+};
+
+export const formatTime = (value, options = { hour: '2-digit', minute: '2-digit' }) => {
+	const date = toDate(value);
+	return isValidDate(date) ? date.toLocaleTimeString(getLocale(), options) : '';
+};
+
+export const formatDateTime = (value, options = { dateStyle: 'short', timeStyle: 'short' }) => {
+	const date = toDate(value);
+	return isValidDate(date) ? date.toLocaleString(getLocale(), options) : '';
+};
@@ -0,0 +1,449 @@
+const en = {
+	'app.title': 'Vietnam Points of Interest',
+	'app.intro':
+		'Enter a place in Vietnam, click anywhere on the map or use your location to discover nearby points of interest on the OpenStreetMap base map.',
+	'app.footer': 'Powered by OpenStreetMap, Overpass API, and HuggingFace translation.',
+	'language.label': 'Language',
+
+	'common.cancel': 'Cancel',
+	'common.save': 'Save',
+	'common.edit': 'Edit',
+	'common.delete': 'Delete',
+	'common.remove': 'Remove',
+	'common.cachedAt': 'Cached at {time}',
+
+	'errors.generic': 'Something went wrong, please try again.',
+	'errors.requestStatus': 'Request failed with status {status}.',
+	'errors.placeLookup': 'Unable to locate the place, please try again.',
+	'errors.pointLookup': 'Unable to look up this point, please try again.',
+	'errors.poiFetch': 'Unable to fetch nearby points of interest.',
+
+	'time.minutes': { one: '{count} min', other: '{count} min' },
+	'time.hours': { one: '{count} h', other: '{count} h' },
+	'time.hoursMinutes': '{hours} h {minutes} min',
+
+	'auth.loginTitle': 'Sign in to continue',
+	'auth.registerTitle': 'Create a new account',
+	'auth.subtitle': 'You need to sign in to use the map, search for places and translate text.',
+	'auth.email': 'Email',
+	'auth.password': 'Password',
+	'auth.confirmPassword': 'Confirm password',
+	'auth.login': 'Sign in',
+	'auth.register': 'Sign up',
+	'auth.submitting': 'Processing...',
+	'auth.switchToRegister': 'No account yet? Sign up now',
+	'auth.switchToLogin': 'Already have an account? Back to sign in',
+	'auth.missingCredentials': 'Please enter your email and password.',
+	'auth.passwordMismatch': 'The passwords do not match.',
+	'auth.genericError': 'Unable to process the request.',
+	'auth.checkingSession': 'Checking your session...',
+	'auth.signOut': 'Sign out',
+	'auth.loginToSearch': 'Please sign in to search for places.',
+	'auth.google': 'Continue with Google',
+	'auth.or': 'or use your email',
+	'auth.reset.link': 'Forgot your password?',
+	'auth.reset.title': 'Reset your password',
+	'auth.reset.subtitle': 'Enter the email you signed up with and we will send you a link to choose a new password.',
+	'auth.reset.submit': 'Send reset link',
+	'auth.reset.sent': 'If {email} has an account, a reset link is on its way. Check your inbox and spam folder.',
+	'auth.verify.title': 'Verify your email',
+	'auth.verify.sent': 'We sent a verification link to {email}. Open it, then come back and continue.',
+	'auth.verify.continue': 'I have verified my email',
+	'auth.verify.notYet': 'Your email is not verified yet. Open the link in the email we sent, then try again.',
+	'auth.verify.resend': 'Resend the email',
+	'auth.verify.resent': 'A new verification link was sent to {email}.',
+	'auth.verify.otherAccount': 'Use another account',
+	'auth.upgrade.title': 'Create your free account',
+	'auth.upgrade.keepData': 'Your searches, translations and language from this visit move into the new account.',
+	'auth.upgrade.loginNote':
+		'Signing in switches to your existing account. Searches and translations from this guest visit are added to it.',
+	'auth.upgrade.stayGuest': 'Keep browsing as a guest',
+	'auth.error.invalidCredential': 'The email or password is incorrect.',
+	'auth.error.invalidEmail': 'Please enter a valid email address.',
+	'auth.error.emailInUse': 'An account with this email already exists. Sign in instead, or reset your password.',
+	'auth.error.weakPassword': 'The password must be at least 6 characters long.',
+	'auth.error.tooManyRequests': 'Too many attempts. Please wait a few minutes and try again.',
+	'auth.error.network': 'Unable to reach the sign-in service. Check your connection.',
+	'auth.error.userDisabled': 'This account has been disabled.',
+	'auth.error.providerDisabled': 'This sign-in method is not enabled for the app.',
+	'auth.error.popupBlocked': 'The browser blocked the Google sign-in window. Allow pop-ups and try again.',
+	'auth.error.popupClosed': 'The Google sign-in window was closed before finishing.',
+	'auth.error.differentCredential': 'This email is already registered with another sign-in method.',
+	'auth.error.recentLogin': 'For your security, sign out and sign in again before making this change.',
+
+	'profile.displayName': 'Display name',
+	'profile.saveName': 'Save name',
+	'profile.nameSaved': 'Your display name was updated.',
+	'profile.currentPassword': 'Current password',
+	'profile.newPassword': 'New password',
+	'profile.changePassword': 'Change password',
+	'profile.passwordSaved': 'Your password was changed.',
+	'profile.googleManaged': 'You sign in with Google, so your password is managed by your Google account.',
+
+	'upgrade.guest': 'Guest',
+	'upgrade.cta': 'Sign up or sign in',
+	'upgrade.reason.account': 'Create an account to save places, plan itineraries and keep your history.',
+	'upgrade.reason.save': 'Sign up to save places and find them again on any device.',
+	'upgrade.reason.itinerary': 'Sign up to plan an itinerary.',
+	'upgrade.reason.history': 'Sign up to see your search history. Searches from this visit are kept when you do.',
+	'upgrade.reason.translate': 'Sign up for unlimited translations, including place names in the results.',
+	'upgrade.reason.phrasebook':
+		'Sign up to browse your translation history and build a phrasebook. Translations from this visit are kept when you do.',
+	'upgrade.translationsLeft': {
+		one: 'Guest mode: {count} free translation left today.',
+		other: 'Guest mode: {count} free translations left today.',
+	},
+	'upgrade.quotaReached': 'Guests can translate {count} texts a day. Sign up to keep translating.',
+
+	'search.label': 'Location in Vietnam',
+	'search.placeholder': 'e.g. Ho Chi Minh City',
+	'search.submit': 'Search',
+	'search.searching': 'Searching...',
+	'search.nearMe': 'Near me',
+	'search.locating': 'Locating...',
+	'search.lookingUp': 'Looking up locations...',
+	'search.noMatch': 'No matching location found in Vietnam.',
+	'search.suggestionsFailed': 'Unable to load suggestions.',
+	'search.emptyQuery': 'Please enter a location name.',
+	'search.chooseSuggestion': 'Choose one of the suggested locations.',
+
+	'locate.unsupported': 'Your browser does not support geolocation.',
+	'locate.denied': 'Location access was denied. Allow it in your browser settings to search near you.',
+	'locate.failed': 'Unable to determine your current location.',
+
+	'tabs.results': 'Results',
+	'tabs.saved': 'My places',
+	'tabs.itinerary': 'Itinerary',
+	'tabs.history': 'History',
+	'tabs.layers': 'Layers',
+	'tabs.offline': 'Offline',
+
+	'results.loading': 'Loading data...',
+	'results.empty': 'No matching points of interest in this area.',
+	'results.noneWithin': 'No notable places found within {distance} of this location.',
+	'results.partialFailure': 'The map and weather are still available, try loading the places again.',
+	'results.retry': 'Retry loading places',
+	'results.distance': '{distance} from the search center',
+	'results.translate': 'Translate names',
+	'results.openNow': 'Open now',
+	'results.listLabel': 'Places found. Use the arrow keys to move between them and Enter to open details.',
+	'results.openNowHidden': {
+		one: '{count} place hidden because it is closed or has no opening hours.',
+		other: '{count} places hidden because they are closed or have no opening hours.',
+	},
+	'results.showOriginal': 'Hide translations',
+	'results.translating': 'Translating names and addresses...',
+	'results.translateFailed': {
+		one: '{count} text could not be translated.',
+		other: '{count} texts could not be translated.',
+	},
+
+	'poi.fallbackName': 'Point of interest',
+	'poi.otherCategory': 'Other',
+	'poi.save': '☆ Save',
+	'poi.saved': '★ Saved',
+	'poi.addToItinerary': '+ Itinerary',
+	'poi.inItinerary': '✓ In itinerary',
+	'poi.directions': 'Directions',
+	'poi.details': 'Details',
+
+	'details.close': 'Close details',
+	'details.address': 'Address',
+	'details.phone': 'Phone',
+	'details.website': 'Website',
+	'details.cuisine': 'Cuisine',
+	'details.wheelchair': 'Wheelchair',
+	'details.wheelchair.yes': 'Accessible',
+	'details.wheelchair.limited': 'Partly accessible',
+	'details.wheelchair.no': 'Not accessible',
+	'details.learnMore': 'Learn more',
+	'details.noInfo': 'OpenStreetMap has no further details for this place yet.',
+
+	'hours.title': 'Opening hours',
+	'hours.openNow': 'Open now',
+	'hours.alwaysOpen': 'Open 24/7',
+	'hours.closesAt': 'Open · closes at {time}',
+	'hours.closed': 'Closed',
+	'hours.opensAt': 'Closed · opens at {time}',
+	'hours.opensOn': 'Closed · opens {day} {time}',
+	'hours.allDay': 'All day',
+	'hours.from': 'From {time}',
+	'hours.vietnamTime': 'Times are in Vietnam time (UTC+7).',
+	'hours.unparsed': 'Shown as listed on OpenStreetMap.',
+
+	'map.searchCenter': 'Search center',
+	'map.distanceFromCenter': '{distance} from center',
+	'map.searchAroundPoint': 'Search around this point',
+	'map.fitResults': 'Fit all results',
+	'map.layer.results': 'Search results',
+	'map.layer.saved': 'My places',
+	'map.legend': 'Map legend',
+	'map.legend.tourism': 'Tourism',
+	'map.legend.amenity': 'Amenity',
+	'map.legend.historic': 'Historic',
+	'map.legend.leisure': 'Leisure',
+	'map.legend.shop': 'Shop',
+	'map.legend.other': 'Other',
+	'map.hint': 'Search for a place or click anywhere on the map to explore nearby points of interest.',
+	'map.loading': 'Loading map data...',
+
+	'filters.title': 'Filters',
+	'filters.radius': 'Radius',
+	'filters.limit': 'Maximum results',
+	'filters.resultCount': { one: '{count} result', other: '{count} results' },
+	'filters.categoryCount': { one: '{count} category', other: '{count} categories' },
+	'filters.noCategory': 'Select at least one category to search for.',
+	'filters.reset': 'Reset filters',
+	'filters.group.general': 'General',
+	'filters.group.food': 'Food & drink',
+	'filters.group.sightseeing': 'Sightseeing',
+	'filters.group.stay': 'Stay',
+	'filters.group.services': 'Services',
+	'filters.group.shopping': 'Shopping & outdoors',
+	'filters.category.tourism': 'Tourism (all)',
+	'filters.category.amenity': 'Amenities (all)',
+	'filters.category.historic': 'Historic (all)',
+	'filters.category.leisure': 'Leisure (all)',
+	'filters.category.shop': 'Shops (all)',
+	'filters.category.amenity.restaurant': 'Restaurants',
+	'filters.category.amenity.cafe': 'Cafés',
+	'filters.category.amenity.fast_food': 'Fast food',
+	'filters.category.amenity.bar': 'Bars',
+	'filters.category.tourism.attraction': 'Attractions',
+	'filters.category.tourism.museum': 'Museums',
+	'filters.category.tourism.viewpoint': 'Viewpoints',
+	'filters.category.historic.monument': 'Monuments',
+	'filters.category.amenity.place_of_worship': 'Temples & churches',
+	'filters.category.tourism.hotel': 'Hotels',
+	'filters.category.tourism.hostel': 'Hostels',
+	'filters.category.tourism.guest_house': 'Guest houses',
+	'filters.category.amenity.atm': 'ATMs',
+	'filters.category.amenity.bank': 'Banks',
+	'filters.category.amenity.pharmacy': 'Pharmacies',
+	'filters.category.amenity.hospital': 'Hospitals',
+	'filters.category.amenity.fuel': 'Fuel stations',
+	'filters.category.amenity.marketplace': 'Markets',
+	'filters.category.shop.supermarket': 'Supermarkets',
+	'filters.category.shop.convenience': 'Convenience stores',
+	'filters.category.leisure.park': 'Parks',
+
+	'saved.loading': 'Loading your places...',
+	'saved.empty': 'You have not saved any places yet.',
+	'saved.name': 'Name',
+	'saved.tags': 'Tags (comma separated)',
+	'saved.tagsPlaceholder': 'e.g. food, weekend',
+	'saved.showOnMap': 'Show on map',
+	'saved.loadFailed': 'Unable to load your saved places.',
+	'saved.toggleFailed': 'Unable to update your saved places, please try again.',
+	'saved.updateFailed': 'Unable to update this place, please try again.',
+	'saved.deleteFailed': 'Unable to delete this place, please try again.',
+
+	'itinerary.empty': 'Add places from the results or the map to start planning a walking tour.',
+	'itinerary.summary': { one: '{count} stop · {distance} in total', other: '{count} stops · {distance} in total' },
+	'itinerary.legDistance': '+{distance} from previous stop',
+	'itinerary.moveUp': 'Move {name} up',
+	'itinerary.moveDown': 'Move {name} down',
+	'itinerary.remove': 'Remove {name} from itinerary',
+	'itinerary.optimize': 'Optimize order',
+	'itinerary.clear': 'Clear itinerary',
+	'itinerary.loadFailed': 'Unable to load your itinerary.',
+	'itinerary.saveFailed': 'Unable to save your itinerary, changes are only kept on this page.',
+
+	'history.title': 'Recent searches',
+	'history.empty': 'Your recent searches will appear here.',
+	'history.rerun': 'Run this search again',
+	'history.remove': 'Remove {name} from history',
+	'history.clear': 'Clear all',
+
+	'layers.title': 'Imported layers',
+	'layers.dropHint': 'Drop GeoJSON, GPX or KML files here',
+	'layers.chooseFiles': 'Choose files',
+	'layers.empty': 'No imported layers yet.',
+	'layers.featureCount': { one: '{count} feature', other: '{count} features' },
+	'layers.zoom': 'Zoom',
+
+	'import.invalidXml': 'The file is not valid XML.',
+	'import.invalidJson': 'The file is not valid JSON.',
+	'import.noGeoJson': 'The file does not contain GeoJSON features.',
+	'import.unsupported': '{file}: unsupported file type. Use GeoJSON, GPX or KML.',
+	'import.empty': '{file}: no features found.',
+
+	'export.label': 'Export',
+
+	'directions.title': 'Directions to {name}',
+	'directions.close': 'Close directions',
+	'directions.travelMode': 'Travel mode',
+	'directions.profile.walk': 'Walk',
+	'directions.profile.bike': 'Bike',
+	'directions.profile.drive': 'Drive',
+	'directions.calculating': 'Calculating route...',
+	'directions.approximately': 'about {duration}',
+	'directions.fallback': 'Routing is unavailable, showing the straight-line distance instead.',
+	'directions.error.status': 'Routing service returned status {status}.',
+	'directions.error.noRoute': 'No route found between these points.',
+	'directions.error.notConfigured': 'Routing service is not configured. Please set VITE_ROUTING_API_BASE_URL.',
+	'directions.error.unavailable': 'Routing service is unavailable.',
+	'directions.step.onto': ' onto {road}',
+	'directions.step.depart': 'Head {direction}',
+	'directions.step.departOn': 'Head {direction} on {road}',
+	'directions.step.arrive': 'Arrive at your destination',
+	'directions.step.roundabout': 'Enter the roundabout{road}',
+	'directions.step.roundaboutExit': 'Take exit {exit} at the roundabout{road}',
+	'directions.step.uturn': 'Make a U-turn{road}',
+	'directions.step.straight': 'Continue straight{road}',
+	'directions.step.turn': 'Turn {direction}{road}',
+	'directions.step.keep': 'Keep {direction}{road}',
+	'directions.modifier.uturn': 'back',
+	'directions.modifier.sharp_right': 'sharp right',
+	'directions.modifier.right': 'right',
+	'directions.modifier.slight_right': 'slightly right',
+	'directions.modifier.straight': 'straight',
+	'directions.modifier.slight_left': 'slightly left',
+	'directions.modifier.left': 'left',
+	'directions.modifier.sharp_left': 'sharp left',
+
+	'weather.title': 'Weather',
+	'weather.temperatureUnit': 'Temperature unit',
+	'weather.windUnit': 'Wind speed unit',
+	'weather.alertTitle': 'Severe weather forecast',
+	'weather.alertFrom': '{description} from {time}',
+	'weather.alertOn': '{description} on {time}',
+	'weather.alertHours': { one: '{count} hour in the next 48 h', other: '{count} hours in the next 48 h' },
+	'weather.wind': 'Wind: {speed}, {direction}°',
+	'weather.updatedAt': 'Updated at {time}',
+	'weather.unknownTime': 'Unknown time',
+	'weather.next48h': 'Next 48 hours',
+	'weather.next7d': '7-day forecast',
+	'weather.hourlyChart': 'Hourly forecast for the next 48 hours',
+	'weather.rainChance': '{value}% rain',
+	'weather.legend.temperature': 'Temperature',
+	'weather.legend.rain': 'Rain chance',
+	'weather.legend.wind': 'Wind',
+	'weather.code.0': 'Clear sky',
+	'weather.code.1': 'Mainly clear',
+	'weather.code.2': 'Partly cloudy',
+	'weather.code.3': 'Overcast',
+	'weather.code.45': 'Fog',
+	'weather.code.48': 'Depositing rime fog',
+	'weather.code.51': 'Light drizzle',
+	'weather.code.53': 'Moderate drizzle',
+	'weather.code.55': 'Dense drizzle',
+	'weather.code.56': 'Light freezing drizzle',
+	'weather.code.57': 'Dense freezing drizzle',
+	'weather.code.61': 'Slight rain',
+	'weather.code.63': 'Moderate rain',
+	'weather.code.65': 'Heavy rain',
+	'weather.code.66': 'Light freezing rain',
+	'weather.code.67': 'Heavy freezing rain',
+	'weather.code.71': 'Slight snow fall',
+	'weather.code.73': 'Moderate snow fall',
+	'weather.code.75': 'Heavy snow fall',
+	'weather.code.77': 'Snow grains',
+	'weather.code.80': 'Rain showers: slight',
+	'weather.code.81': 'Rain showers: moderate',
+	'weather.code.82': 'Rain showers: violent',
+	'weather.code.85': 'Snow showers: slight',
+	'weather.code.86': 'Snow showers: heavy',
+	'weather.code.95': 'Thunderstorm',
+	'weather.code.96': 'Thunderstorm with slight hail',
+	'weather.code.99': 'Thunderstorm with heavy hail',
+	'weather.code.unknown': 'Weather data unavailable',
+
+	'offline.title': 'Offline use',
+	'offline.banner': {
+		one: 'You are offline. Searches use the {count} result saved on this device and the map shows downloaded tiles only.',
+		other:
+			'You are offline. Searches use the {count} results saved on this device and the map shows downloaded tiles only.',
+	},
+	'offline.savedAt': 'Saved offline at {time}',
+	'offline.filtersUnavailable': 'You are offline, so the filters cannot be applied until the connection returns.',
+	'offline.searchUnavailable': 'You are offline and this place is not among your saved searches.',
+	'offline.unsupported': 'This browser cannot store map tiles for offline use.',
+	'offline.downloadUnavailable':
+		'Downloading map areas needs a tile provider that allows offline use. Tiles you browse are still kept for offline viewing.',
+	'offline.tooLarge': 'This area is too large for the selected storage budget. Zoom in or lower the maximum zoom.',
+	'offline.tilesTitle': 'Map tiles',
+	'offline.tilesHint': 'Downloads the visible map area from zoom {zoom} to the selected maximum zoom.',
+	'offline.maxZoom': 'Max zoom',
+	'offline.budget': 'Budget',
+	'offline.estimate': 'About {count} tiles, ~{size}',
+	'offline.overBudget': 'over budget, zoom in or lower the max zoom.',
+	'offline.download': 'Download this area',
+	'offline.clearTiles': 'Clear tiles',
+	'offline.budgetReached': 'Storage budget reached after {done} of {total} tiles.',
+	'offline.downloaded': 'Saved {count} tiles ({size}) for offline use.',
+	'offline.cancelled': 'Download cancelled.',
+	'offline.cleared': 'Offline map tiles removed.',
+	'offline.storedTiles': { one: '{count} tile stored on this device.', other: '{count} tiles stored on this device.' },
+	'offline.searchesTitle': 'Saved searches',
+	'offline.searchesHint': 'Your last {count} searches, with their places and weather, stay available without a connection.',
+	'offline.searchesEmpty': 'No searches saved for offline use yet.',
+	'offline.placeCount': { one: '{count} place', other: '{count} places' },
+	'offline.clearSearches': 'Clear saved searches',
+
+	'translator.open': 'Translate',
+	'translator.title': 'Translator',
+	'translator.close': 'Close translator',
+	'translator.view.translate': 'Translate',
+	'translator.view.history': 'History',
+	'translator.view.phrasebook': 'Phrasebook',
+	'translator.sourceLanguage': 'Translate from',
+	'translator.targetLanguage': 'Translate to',
+	'translator.autoDetect': 'Detect language',
+	'translator.autoDetected': 'Detected: {language}',
+	'translator.swap': 'Swap languages',
+	'translator.language.en': 'English',
+	'translator.language.vi': 'Vietnamese',
+	'translator.inputLabel': 'Text in {language}',
+	'translator.placeholder': 'Enter your sentence here',
+	'translator.clear': 'Clear',
+	'translator.translate': 'Translate',
+	'translator.translating': 'Translating...',
+	'translator.retry': 'Try again',
+	'translator.progress': 'Translated {done} of {total} parts',
+	'translator.chunksFailed': {
+		one: '{count} part could not be translated.',
+		other: '{count} parts could not be translated.',
+	},
+	'translator.retryFailed': 'Retry failed parts',
+	'translator.retryChunk': 'Retry translating "{text}"',
+	'translator.copy': 'Copy',
+	'translator.copied': 'Copied',
+	'translator.copyFailed': 'Unable to copy, select the text and copy it manually.',
+	'translator.speech.dictate': 'Dictate in {language}',
+	'translator.speech.dictateShort': 'Speak',
+	'translator.speech.listening': 'Listening... tap to stop',
+	'translator.speech.dictationUnsupported': 'Voice input is not available in this browser. Try Chrome, Edge or Safari.',
+	'translator.speech.micDenied': 'Microphone access was blocked. Allow it in the browser settings to dictate.',
+	'translator.speech.noMicrophone': 'No microphone was found.',
+	'translator.speech.noSpeech': 'No speech was detected, try again.',
+	'translator.speech.network': 'Voice input needs an internet connection.',
+	'translator.speech.failed': 'Voice input stopped unexpectedly.',
+	'translator.speech.speak': 'Listen',
+	'translator.speech.stop': 'Stop',
+	'translator.speech.outputUnsupported': 'Reading aloud is not available in this browser.',
+	'translator.speech.noVoice': 'No {language} voice is installed on this device.',
+	'translator.loginRequired': 'You need to sign in before using the translator.',
+	'translator.emptyInput': 'Please enter some text to translate.',
+	'translator.notConfigured': 'Translation service is not configured. Please set VITE_TRANSLATION_API_BASE_URL.',
+	'translator.status': 'Translation service returned status {status}.',
+	'translator.emptyResult': 'Translation service did not return any translated text.',
+	'translator.failed': 'Unable to translate this sentence.',
+
+	'translationHistory.empty': 'Your translations will appear here.',
+	'translationHistory.search': 'Search translations',
+	'translationHistory.noMatch': 'No translations match your search.',
+	'translationHistory.remove': 'Remove "{text}" from history',
+	'translationHistory.clear': 'Clear history',
+
+	'phrasebook.empty': 'Add translations to your phrasebook to keep them handy, even offline.',
+	'phrasebook.add': 'Add to phrasebook…',
+	'phrasebook.remove': 'Remove from phrasebook',
+	'phrasebook.topicFor': 'Phrasebook topic for "{text}"',
+	'phrasebook.topic.food': 'Food',
+	'phrasebook.topic.transport': 'Transport',
+	'phrasebook.topic.emergency': 'Emergency',
+	'phrasebook.topic.other': 'Other',
+};
+
+export default en;
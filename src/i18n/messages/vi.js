@@ -0,0 +1,434 @@
+const vi = {
+	'app.title': 'Địa điểm nổi bật tại Việt Nam',
+	'app.intro':
+		'Nhập một địa danh ở Việt Nam, bấm vào bất kỳ đâu trên bản đồ hoặc dùng vị trí của bạn để khám phá các địa điểm lân cận trên nền bản đồ OpenStreetMap.',
+	'app.footer': 'Sử dụng dữ liệu OpenStreetMap, Overpass API và dịch thuật HuggingFace.',
+	'language.label': 'Ngôn ngữ',
+
+	'common.cancel': 'Hủy',
+	'common.save': 'Lưu',
+	'common.edit': 'Sửa',
+	'common.delete': 'Xóa',
+	'common.remove': 'Gỡ bỏ',
+	'common.cachedAt': 'Lưu đệm lúc {time}',
+
+	'errors.generic': 'Đã xảy ra lỗi, vui lòng thử lại.',
+	'errors.requestStatus': 'Yêu cầu thất bại với mã trạng thái {status}.',
+	'errors.placeLookup': 'Không thể tìm thấy địa điểm, vui lòng thử lại.',
+	'errors.pointLookup': 'Không thể tra cứu điểm này, vui lòng thử lại.',
+	'errors.poiFetch': 'Không thể tải các địa điểm lân cận.',
+
+	'time.minutes': '{count} phút',
+	'time.hours': '{count} giờ',
+	'time.hoursMinutes': '{hours} giờ {minutes} phút',
+
+	'auth.loginTitle': 'Đăng nhập để tiếp tục',
+	'auth.registerTitle': 'Tạo tài khoản mới',
+	'auth.subtitle': 'Bạn cần đăng nhập để sử dụng bản đồ, tìm kiếm địa điểm và dịch văn bản.',
+	'auth.email': 'Email',
+	'auth.password': 'Mật khẩu',
+	'auth.confirmPassword': 'Xác nhận mật khẩu',
+	'auth.login': 'Đăng nhập',
+	'auth.register': 'Đăng ký',
+	'auth.submitting': 'Đang xử lý...',
+	'auth.switchToRegister': 'Chưa có tài khoản? Đăng ký ngay',
+	'auth.switchToLogin': 'Đã có tài khoản? Quay lại đăng nhập',
+	'auth.missingCredentials': 'Vui lòng nhập email và mật khẩu.',
+	'auth.passwordMismatch': 'Mật khẩu xác nhận không khớp.',
+	'auth.genericError': 'Không thể xử lý yêu cầu.',
+	'auth.checkingSession': 'Đang kiểm tra phiên đăng nhập...',
+	'auth.signOut': 'Đăng xuất',
+	'auth.loginToSearch': 'Vui lòng đăng nhập để tìm kiếm địa điểm.',
+	'auth.google': 'Tiếp tục với Google',
+	'auth.or': 'hoặc dùng email',
+	'auth.reset.link': 'Quên mật khẩu?',
+	'auth.reset.title': 'Đặt lại mật khẩu',
+	'auth.reset.subtitle': 'Nhập email bạn đã dùng để đăng ký, chúng tôi sẽ gửi liên kết để đặt mật khẩu mới.',
+	'auth.reset.submit': 'Gửi liên kết đặt lại',
+	'auth.reset.sent': 'Nếu {email} có tài khoản, liên kết đặt lại đã được gửi. Hãy kiểm tra hộp thư và thư rác.',
+	'auth.verify.title': 'Xác minh email',
+	'auth.verify.sent': 'Chúng tôi đã gửi liên kết xác minh tới {email}. Mở liên kết rồi quay lại để tiếp tục.',
+	'auth.verify.continue': 'Tôi đã xác minh email',
+	'auth.verify.notYet': 'Email chưa được xác minh. Hãy mở liên kết trong email rồi thử lại.',
+	'auth.verify.resend': 'Gửi lại email',
+	'auth.verify.resent': 'Đã gửi liên kết xác minh mới tới {email}.',
+	'auth.verify.otherAccount': 'Dùng tài khoản khác',
+	'auth.upgrade.title': 'Tạo tài khoản miễn phí',
+	'auth.upgrade.keepData': 'Các lượt tìm kiếm, bản dịch và ngôn ngữ trong lần truy cập này sẽ được chuyển vào tài khoản mới.',
+	'auth.upgrade.loginNote':
+		'Đăng nhập sẽ chuyển sang tài khoản hiện có của bạn. Lượt tìm kiếm và bản dịch khi dùng với tư cách khách sẽ được gộp vào đó.',
+	'auth.upgrade.stayGuest': 'Tiếp tục dùng với tư cách khách',
+	'auth.error.invalidCredential': 'Email hoặc mật khẩu không đúng.',
+	'auth.error.invalidEmail': 'Vui lòng nhập địa chỉ email hợp lệ.',
+	'auth.error.emailInUse': 'Email này đã có tài khoản. Hãy đăng nhập hoặc đặt lại mật khẩu.',
+	'auth.error.weakPassword': 'Mật khẩu phải có ít nhất 6 ký tự.',
+	'auth.error.tooManyRequests': 'Bạn đã thử quá nhiều lần. Vui lòng đợi vài phút rồi thử lại.',
+	'auth.error.network': 'Không kết nối được dịch vụ đăng nhập. Hãy kiểm tra mạng.',
+	'auth.error.userDisabled': 'Tài khoản này đã bị vô hiệu hóa.',
+	'auth.error.providerDisabled': 'Phương thức đăng nhập này chưa được bật cho ứng dụng.',
+	'auth.error.popupBlocked': 'Trình duyệt đã chặn cửa sổ đăng nhập Google. Hãy cho phép cửa sổ bật lên rồi thử lại.',
+	'auth.error.popupClosed': 'Cửa sổ đăng nhập Google đã bị đóng trước khi hoàn tất.',
+	'auth.error.differentCredential': 'Email này đã được đăng ký bằng phương thức đăng nhập khác.',
+	'auth.error.recentLogin': 'Để bảo mật, hãy đăng xuất và đăng nhập lại trước khi thay đổi.',
+
+	'profile.displayName': 'Tên hiển thị',
+	'profile.saveName': 'Lưu tên',
+	'profile.nameSaved': 'Đã cập nhật tên hiển thị.',
+	'profile.currentPassword': 'Mật khẩu hiện tại',
+	'profile.newPassword': 'Mật khẩu mới',
+	'profile.changePassword': 'Đổi mật khẩu',
+	'profile.passwordSaved': 'Đã đổi mật khẩu.',
+	'profile.googleManaged': 'Bạn đăng nhập bằng Google nên mật khẩu do tài khoản Google quản lý.',
+
+	'upgrade.guest': 'Khách',
+	'upgrade.cta': 'Đăng ký hoặc đăng nhập',
+	'upgrade.reason.account': 'Tạo tài khoản để lưu địa điểm, lên lịch trình và giữ lại lịch sử của bạn.',
+	'upgrade.reason.save': 'Đăng ký để lưu địa điểm và xem lại trên mọi thiết bị.',
+	'upgrade.reason.itinerary': 'Đăng ký để lên lịch trình.',
+	'upgrade.reason.history': 'Đăng ký để xem lịch sử tìm kiếm. Các lượt tìm kiếm trong lần truy cập này sẽ được giữ lại.',
+	'upgrade.reason.translate': 'Đăng ký để dịch không giới hạn, kể cả tên địa điểm trong kết quả.',
+	'upgrade.reason.phrasebook':
+		'Đăng ký để xem lịch sử dịch và tạo sổ tay cụm từ. Các bản dịch trong lần truy cập này sẽ được giữ lại.',
+	'upgrade.translationsLeft': 'Chế độ khách: còn {count} lượt dịch miễn phí hôm nay.',
+	'upgrade.quotaReached': 'Khách được dịch {count} văn bản mỗi ngày. Hãy đăng ký để tiếp tục dịch.',
+
+	'search.label': 'Địa điểm tại Việt Nam',
+	'search.placeholder': 'ví dụ: Thành phố Hồ Chí Minh',
+	'search.submit': 'Tìm kiếm',
+	'search.searching': 'Đang tìm...',
+	'search.nearMe': 'Gần tôi',
+	'search.locating': 'Đang định vị...',
+	'search.lookingUp': 'Đang tìm địa điểm...',
+	'search.noMatch': 'Không tìm thấy địa điểm phù hợp tại Việt Nam.',
+	'search.suggestionsFailed': 'Không thể tải gợi ý.',
+	'search.emptyQuery': 'Vui lòng nhập tên địa điểm.',
+	'search.chooseSuggestion': 'Hãy chọn một trong các địa điểm được gợi ý.',
+
+	'locate.unsupported': 'Trình duyệt của bạn không hỗ trợ định vị.',
+	'locate.denied': 'Quyền truy cập vị trí đã bị từ chối. Hãy cho phép trong cài đặt trình duyệt để tìm quanh bạn.',
+	'locate.failed': 'Không thể xác định vị trí hiện tại của bạn.',
+
+	'tabs.results': 'Kết quả',
+	'tabs.saved': 'Địa điểm của tôi',
+	'tabs.itinerary': 'Lịch trình',
+	'tabs.history': 'Lịch sử',
+	'tabs.layers': 'Lớp bản đồ',
+	'tabs.offline': 'Ngoại tuyến',
+
+	'results.loading': 'Đang tải dữ liệu...',
+	'results.empty': 'Không có địa điểm phù hợp trong khu vực này.',
+	'results.noneWithin': 'Không tìm thấy địa điểm nổi bật nào trong bán kính {distance} quanh vị trí này.',
+	'results.partialFailure': 'Bản đồ và thời tiết vẫn khả dụng, hãy thử tải lại danh sách địa điểm.',
+	'results.retry': 'Tải lại địa điểm',
+	'results.distance': 'Cách điểm tìm kiếm {distance}',
+	'results.translate': 'Dịch tên',
+	'results.openNow': 'Đang mở cửa',
+	'results.listLabel': 'Các địa điểm tìm được. Dùng phím mũi tên để di chuyển và Enter để xem chi tiết.',
+	'results.openNowHidden': 'Đã ẩn {count} địa điểm đang đóng cửa hoặc chưa có giờ mở cửa.',
+	'results.showOriginal': 'Ẩn bản dịch',
+	'results.translating': 'Đang dịch tên và địa chỉ...',
+	'results.translateFailed': 'Không dịch được {count} mục.',
+
+	'poi.fallbackName': 'Địa điểm',
+	'poi.otherCategory': 'Khác',
+	'poi.save': '☆ Lưu',
+	'poi.saved': '★ Đã lưu',
+	'poi.addToItinerary': '+ Lịch trình',
+	'poi.inItinerary': '✓ Trong lịch trình',
+	'poi.directions': 'Chỉ đường',
+	'poi.details': 'Chi tiết',
+
+	'details.close': 'Đóng chi tiết',
+	'details.address': 'Địa chỉ',
+	'details.phone': 'Điện thoại',
+	'details.website': 'Trang web',
+	'details.cuisine': 'Ẩm thực',
+	'details.wheelchair': 'Xe lăn',
+	'details.wheelchair.yes': 'Tiếp cận được',
+	'details.wheelchair.limited': 'Tiếp cận một phần',
+	'details.wheelchair.no': 'Không tiếp cận được',
+	'details.learnMore': 'Tìm hiểu thêm',
+	'details.noInfo': 'OpenStreetMap chưa có thêm thông tin về địa điểm này.',
+
+	'hours.title': 'Giờ mở cửa',
+	'hours.openNow': 'Đang mở cửa',
+	'hours.alwaysOpen': 'Mở cửa 24/7',
+	'hours.closesAt': 'Đang mở · đóng cửa lúc {time}',
+	'hours.closed': 'Đóng cửa',
+	'hours.opensAt': 'Đang đóng · mở cửa lúc {time}',
+	'hours.opensOn': 'Đang đóng · mở cửa {day} {time}',
+	'hours.allDay': 'Cả ngày',
+	'hours.from': 'Từ {time}',
+	'hours.vietnamTime': 'Giờ theo múi giờ Việt Nam (UTC+7).',
+	'hours.unparsed': 'Hiển thị nguyên văn từ OpenStreetMap.',
+
+	'map.searchCenter': 'Điểm tìm kiếm',
+	'map.distanceFromCenter': 'Cách tâm {distance}',
+	'map.searchAroundPoint': 'Tìm quanh điểm này',
+	'map.fitResults': 'Xem tất cả kết quả',
+	'map.layer.results': 'Kết quả tìm kiếm',
+	'map.layer.saved': 'Địa điểm của tôi',
+	'map.legend': 'Chú giải bản đồ',
+	'map.legend.tourism': 'Du lịch',
+	'map.legend.amenity': 'Tiện ích',
+	'map.legend.historic': 'Di tích',
+	'map.legend.leisure': 'Giải trí',
+	'map.legend.shop': 'Cửa hàng',
+	'map.legend.other': 'Khác',
+	'map.hint': 'Tìm một địa điểm hoặc bấm vào bất kỳ đâu trên bản đồ để khám phá các địa điểm lân cận.',
+	'map.loading': 'Đang tải dữ liệu bản đồ...',
+
+	'filters.title': 'Bộ lọc',
+	'filters.radius': 'Bán kính',
+	'filters.limit': 'Số kết quả tối đa',
+	'filters.resultCount': '{count} kết quả',
+	'filters.categoryCount': '{count} danh mục',
+	'filters.noCategory': 'Hãy chọn ít nhất một danh mục để tìm kiếm.',
+	'filters.reset': 'Đặt lại bộ lọc',
+	'filters.group.general': 'Chung',
+	'filters.group.food': 'Ăn uống',
+	'filters.group.sightseeing': 'Tham quan',
+	'filters.group.stay': 'Lưu trú',
+	'filters.group.services': 'Dịch vụ',
+	'filters.group.shopping': 'Mua sắm & ngoài trời',
+	'filters.category.tourism': 'Du lịch (tất cả)',
+	'filters.category.amenity': 'Tiện ích (tất cả)',
+	'filters.category.historic': 'Di tích (tất cả)',
+	'filters.category.leisure': 'Giải trí (tất cả)',
+	'filters.category.shop': 'Cửa hàng (tất cả)',
+	'filters.category.amenity.restaurant': 'Nhà hàng',
+	'filters.category.amenity.cafe': 'Quán cà phê',
+	'filters.category.amenity.fast_food': 'Đồ ăn nhanh',
+	'filters.category.amenity.bar': 'Quán bar',
+	'filters.category.tourism.attraction': 'Điểm tham quan',
+	'filters.category.tourism.museum': 'Bảo tàng',
+	'filters.category.tourism.viewpoint': 'Điểm ngắm cảnh',
+	'filters.category.historic.monument': 'Tượng đài',
+	'filters.category.amenity.place_of_worship': 'Chùa & nhà thờ',
+	'filters.category.tourism.hotel': 'Khách sạn',
+	'filters.category.tourism.hostel': 'Nhà trọ',
+	'filters.category.tourism.guest_house': 'Nhà nghỉ',
+	'filters.category.amenity.atm': 'ATM',
+	'filters.category.amenity.bank': 'Ngân hàng',
+	'filters.category.amenity.pharmacy': 'Nhà thuốc',
+	'filters.category.amenity.hospital': 'Bệnh viện',
+	'filters.category.amenity.fuel': 'Cây xăng',
+	'filters.category.amenity.marketplace': 'Chợ',
+	'filters.category.shop.supermarket': 'Siêu thị',
+	'filters.category.shop.convenience': 'Cửa hàng tiện lợi',
+	'filters.category.leisure.park': 'Công viên',
+
+	'saved.loading': 'Đang tải địa điểm của bạn...',
+	'saved.empty': 'Bạn chưa lưu địa điểm nào.',
+	'saved.name': 'Tên',
+	'saved.tags': 'Thẻ (phân cách bằng dấu phẩy)',
+	'saved.tagsPlaceholder': 'ví dụ: ăn uống, cuối tuần',
+	'saved.showOnMap': 'Xem trên bản đồ',
+	'saved.loadFailed': 'Không thể tải các địa điểm đã lưu.',
+	'saved.toggleFailed': 'Không thể cập nhật địa điểm đã lưu, vui lòng thử lại.',
+	'saved.updateFailed': 'Không thể cập nhật địa điểm này, vui lòng thử lại.',
+	'saved.deleteFailed': 'Không thể xóa địa điểm này, vui lòng thử lại.',
+
+	'itinerary.empty': 'Thêm địa điểm từ kết quả hoặc bản đồ để bắt đầu lên lịch trình đi bộ.',
+	'itinerary.summary': '{count} điểm dừng · tổng cộng {distance}',
+	'itinerary.legDistance': '+{distance} từ điểm dừng trước',
+	'itinerary.moveUp': 'Chuyển {name} lên trên',
+	'itinerary.moveDown': 'Chuyển {name} xuống dưới',
+	'itinerary.remove': 'Gỡ {name} khỏi lịch trình',
+	'itinerary.optimize': 'Tối ưu thứ tự',
+	'itinerary.clear': 'Xóa lịch trình',
+	'itinerary.loadFailed': 'Không thể tải lịch trình của bạn.',
+	'itinerary.saveFailed': 'Không thể lưu lịch trình, thay đổi chỉ được giữ trên trang này.',
+
+	'history.title': 'Tìm kiếm gần đây',
+	'history.empty': 'Các tìm kiếm gần đây của bạn sẽ hiển thị tại đây.',
+	'history.rerun': 'Chạy lại tìm kiếm này',
+	'history.remove': 'Xóa {name} khỏi lịch sử',
+	'history.clear': 'Xóa tất cả',
+
+	'layers.title': 'Lớp đã nhập',
+	'layers.dropHint': 'Thả tệp GeoJSON, GPX hoặc KML vào đây',
+	'layers.chooseFiles': 'Chọn tệp',
+	'layers.empty': 'Chưa có lớp nào được nhập.',
+	'layers.featureCount': '{count} đối tượng',
+	'layers.zoom': 'Phóng tới',
+
+	'import.invalidXml': 'Tệp không phải XML hợp lệ.',
+	'import.invalidJson': 'Tệp không phải JSON hợp lệ.',
+	'import.noGeoJson': 'Tệp không chứa đối tượng GeoJSON nào.',
+	'import.unsupported': '{file}: định dạng không được hỗ trợ. Hãy dùng GeoJSON, GPX hoặc KML.',
+	'import.empty': '{file}: không tìm thấy đối tượng nào.',
+
+	'export.label': 'Xuất',
+
+	'directions.title': 'Chỉ đường tới {name}',
+	'directions.close': 'Đóng chỉ đường',
+	'directions.travelMode': 'Phương tiện',
+	'directions.profile.walk': 'Đi bộ',
+	'directions.profile.bike': 'Xe đạp',
+	'directions.profile.drive': 'Ô tô',
+	'directions.calculating': 'Đang tính đường đi...',
+	'directions.approximately': 'khoảng {duration}',
+	'directions.fallback': 'Không thể tìm đường, đang hiển thị khoảng cách đường chim bay.',
+	'directions.error.status': 'Dịch vụ chỉ đường trả về mã trạng thái {status}.',
+	'directions.error.noRoute': 'Không tìm thấy đường đi giữa hai điểm này.',
+	'directions.error.notConfigured': 'Chưa cấu hình dịch vụ chỉ đường. Hãy đặt VITE_ROUTING_API_BASE_URL.',
+	'directions.error.unavailable': 'Dịch vụ chỉ đường không khả dụng.',
+	'directions.step.onto': ' vào {road}',
+	'directions.step.depart': 'Đi {direction}',
+	'directions.step.departOn': 'Đi {direction} trên {road}',
+	'directions.step.arrive': 'Đến nơi',
+	'directions.step.roundabout': 'Vào vòng xuyến{road}',
+	'directions.step.roundaboutExit': 'Ra lối thứ {exit} ở vòng xuyến{road}',
+	'directions.step.uturn': 'Quay đầu{road}',
+	'directions.step.straight': 'Đi thẳng{road}',
+	'directions.step.turn': 'Rẽ {direction}{road}',
+	'directions.step.keep': 'Đi về phía {direction}{road}',
+	'directions.modifier.uturn': 'ngược lại',
+	'directions.modifier.sharp_right': 'gắt sang phải',
+	'directions.modifier.right': 'phải',
+	'directions.modifier.slight_right': 'chếch sang phải',
+	'directions.modifier.straight': 'thẳng',
+	'directions.modifier.slight_left': 'chếch sang trái',
+	'directions.modifier.left': 'trái',
+	'directions.modifier.sharp_left': 'gắt sang trái',
+
+	'weather.title': 'Thời tiết',
+	'weather.temperatureUnit': 'Đơn vị nhiệt độ',
+	'weather.windUnit': 'Đơn vị tốc độ gió',
+	'weather.alertTitle': 'Cảnh báo thời tiết xấu',
+	'weather.alertFrom': '{description} từ {time}',
+	'weather.alertOn': '{description} vào {time}',
+	'weather.alertHours': '{count} giờ trong 48 giờ tới',
+	'weather.wind': 'Gió: {speed}, hướng {direction}°',
+	'weather.updatedAt': 'Cập nhật lúc {time}',
+	'weather.unknownTime': 'Không rõ thời gian',
+	'weather.next48h': '48 giờ tới',
+	'weather.next7d': 'Dự báo 7 ngày',
+	'weather.hourlyChart': 'Dự báo theo giờ trong 48 giờ tới',
+	'weather.rainChance': '{value}% khả năng mưa',
+	'weather.legend.temperature': 'Nhiệt độ',
+	'weather.legend.rain': 'Khả năng mưa',
+	'weather.legend.wind': 'Gió',
+	'weather.code.0': 'Trời quang',
+	'weather.code.1': 'Ít mây',
+	'weather.code.2': 'Có mây rải rác',
+	'weather.code.3': 'Nhiều mây',
+	'weather.code.45': 'Sương mù',
+	'weather.code.48': 'Sương mù đóng băng',
+	'weather.code.51': 'Mưa phùn nhẹ',
+	'weather.code.53': 'Mưa phùn vừa',
+	'weather.code.55': 'Mưa phùn dày',
+	'weather.code.56': 'Mưa phùn băng nhẹ',
+	'weather.code.57': 'Mưa phùn băng dày',
+	'weather.code.61': 'Mưa nhẹ',
+	'weather.code.63': 'Mưa vừa',
+	'weather.code.65': 'Mưa to',
+	'weather.code.66': 'Mưa băng nhẹ',
+	'weather.code.67': 'Mưa băng nặng',
+	'weather.code.71': 'Tuyết rơi nhẹ',
+	'weather.code.73': 'Tuyết rơi vừa',
+	'weather.code.75': 'Tuyết rơi dày',
+	'weather.code.77': 'Hạt tuyết',
+	'weather.code.80': 'Mưa rào nhẹ',
+	'weather.code.81': 'Mưa rào vừa',
+	'weather.code.82': 'Mưa rào rất to',
+	'weather.code.85': 'Mưa tuyết nhẹ',
+	'weather.code.86': 'Mưa tuyết nặng',
+	'weather.code.95': 'Dông',
+	'weather.code.96': 'Dông kèm mưa đá nhỏ',
+	'weather.code.99': 'Dông kèm mưa đá lớn',
+	'weather.code.unknown': 'Không có dữ liệu thời tiết',
+
+	'offline.title': 'Sử dụng ngoại tuyến',
+	'offline.banner':
+		'Bạn đang ngoại tuyến. Tìm kiếm sẽ dùng {count} kết quả đã lưu trên thiết bị và bản đồ chỉ hiển thị các ô đã tải về.',
+	'offline.savedAt': 'Đã lưu ngoại tuyến lúc {time}',
+	'offline.filtersUnavailable': 'Bạn đang ngoại tuyến nên chưa thể áp dụng bộ lọc cho tới khi có kết nối.',
+	'offline.searchUnavailable': 'Bạn đang ngoại tuyến và địa điểm này không nằm trong các tìm kiếm đã lưu.',
+	'offline.unsupported': 'Trình duyệt này không thể lưu ô bản đồ để dùng ngoại tuyến.',
+	'offline.downloadUnavailable':
+		'Cần một nhà cung cấp tile cho phép dùng ngoại tuyến để tải khu vực bản đồ. Các tile bạn đã xem vẫn được giữ lại để xem khi mất mạng.',
+	'offline.tooLarge': 'Khu vực quá lớn so với dung lượng đã chọn. Hãy phóng to hoặc giảm mức zoom tối đa.',
+	'offline.tilesTitle': 'Ô bản đồ',
+	'offline.tilesHint': 'Tải khu vực bản đồ đang hiển thị từ mức zoom {zoom} tới mức zoom tối đa đã chọn.',
+	'offline.maxZoom': 'Zoom tối đa',
+	'offline.budget': 'Dung lượng',
+	'offline.estimate': 'Khoảng {count} ô, ~{size}',
+	'offline.overBudget': 'vượt dung lượng, hãy phóng to hoặc giảm mức zoom tối đa.',
+	'offline.download': 'Tải khu vực này',
+	'offline.clearTiles': 'Xóa ô bản đồ',
+	'offline.budgetReached': 'Đã đạt giới hạn dung lượng sau {done}/{total} ô.',
+	'offline.downloaded': 'Đã lưu {count} ô ({size}) để dùng ngoại tuyến.',
+	'offline.cancelled': 'Đã hủy tải xuống.',
+	'offline.cleared': 'Đã xóa ô bản đồ ngoại tuyến.',
+	'offline.storedTiles': 'Đã lưu {count} ô trên thiết bị này.',
+	'offline.searchesTitle': 'Tìm kiếm đã lưu',
+	'offline.searchesHint': '{count} lần tìm kiếm gần nhất, kèm địa điểm và thời tiết, vẫn dùng được khi không có mạng.',
+	'offline.searchesEmpty': 'Chưa có tìm kiếm nào được lưu để dùng ngoại tuyến.',
+	'offline.placeCount': '{count} địa điểm',
+	'offline.clearSearches': 'Xóa tìm kiếm đã lưu',
+
+	'translator.open': 'Dịch',
+	'translator.title': 'Công cụ dịch',
+	'translator.close': 'Đóng công cụ dịch',
+	'translator.view.translate': 'Dịch',
+	'translator.view.history': 'Lịch sử',
+	'translator.view.phrasebook': 'Sổ tay',
+	'translator.sourceLanguage': 'Dịch từ',
+	'translator.targetLanguage': 'Dịch sang',
+	'translator.autoDetect': 'Phát hiện ngôn ngữ',
+	'translator.autoDetected': 'Đã phát hiện: {language}',
+	'translator.swap': 'Đảo chiều ngôn ngữ',
+	'translator.language.en': 'Tiếng Anh',
+	'translator.language.vi': 'Tiếng Việt',
+	'translator.inputLabel': 'Văn bản {language}',
+	'translator.placeholder': 'Nhập câu cần dịch',
+	'translator.clear': 'Xóa',
+	'translator.translate': 'Dịch',
+	'translator.translating': 'Đang dịch...',
+	'translator.retry': 'Thử lại',
+	'translator.progress': 'Đã dịch {done}/{total} đoạn',
+	'translator.chunksFailed': 'Không dịch được {count} đoạn.',
+	'translator.retryFailed': 'Dịch lại các đoạn lỗi',
+	'translator.retryChunk': 'Dịch lại "{text}"',
+	'translator.copy': 'Sao chép',
+	'translator.copied': 'Đã sao chép',
+	'translator.copyFailed': 'Không thể sao chép, hãy chọn văn bản và sao chép thủ công.',
+	'translator.speech.dictate': 'Đọc bằng {language}',
+	'translator.speech.dictateShort': 'Nói',
+	'translator.speech.listening': 'Đang nghe... chạm để dừng',
+	'translator.speech.dictationUnsupported': 'Trình duyệt này không hỗ trợ nhập bằng giọng nói. Hãy thử Chrome, Edge hoặc Safari.',
+	'translator.speech.micDenied': 'Quyền dùng micro bị chặn. Hãy cho phép trong cài đặt trình duyệt để đọc.',
+	'translator.speech.noMicrophone': 'Không tìm thấy micro.',
+	'translator.speech.noSpeech': 'Không nghe thấy giọng nói, hãy thử lại.',
+	'translator.speech.network': 'Nhập bằng giọng nói cần kết nối Internet.',
+	'translator.speech.failed': 'Nhập bằng giọng nói bị dừng đột ngột.',
+	'translator.speech.speak': 'Nghe',
+	'translator.speech.stop': 'Dừng',
+	'translator.speech.outputUnsupported': 'Trình duyệt này không hỗ trợ đọc thành tiếng.',
+	'translator.speech.noVoice': 'Thiết bị chưa cài giọng đọc {language}.',
+	'translator.loginRequired': 'Bạn cần đăng nhập trước khi sử dụng công cụ dịch.',
+	'translator.emptyInput': 'Vui lòng nhập nội dung cần dịch.',
+	'translator.notConfigured': 'Chưa cấu hình dịch vụ dịch thuật. Hãy đặt VITE_TRANSLATION_API_BASE_URL.',
+	'translator.status': 'Dịch vụ dịch thuật trả về mã trạng thái {status}.',
+	'translator.emptyResult': 'Dịch vụ dịch thuật không trả về nội dung nào.',
+	'translator.failed': 'Không thể dịch câu này.',
+
+	'translationHistory.empty': 'Các bản dịch của bạn sẽ xuất hiện ở đây.',
+	'translationHistory.search': 'Tìm trong bản dịch',
+	'translationHistory.noMatch': 'Không có bản dịch nào khớp.',
+	'translationHistory.remove': 'Xóa "{text}" khỏi lịch sử',
+	'translationHistory.clear': 'Xóa lịch sử',
+
+	'phrasebook.empty': 'Thêm bản dịch vào sổ tay để dùng nhanh, kể cả khi ngoại tuyến.',
+	'phrasebook.add': 'Thêm vào sổ tay…',
+	'phrasebook.remove': 'Bỏ khỏi sổ tay',
+	'phrasebook.topicFor': 'Chủ đề sổ tay cho "{text}"',
+	'phrasebook.topic.food': 'Ăn uống',
+	'phrasebook.topic.transport': 'Đi lại',
+	'phrasebook.topic.emergency': 'Khẩn cấp',
+	'phrasebook.topic.other': 'Khác',
+};
+
+export default vi;
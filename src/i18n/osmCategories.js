@@ -0,0 +1,163 @@
+import { getLanguage } from './index.js';
+
+// Readable labels for common OSM category values, so POIs never show raw tags like `amenity: place_of_worship`.
+const CATEGORY_KEY_LABELS = {
+	tourism: { en: 'Tourism', vi: 'Du lịch' },
+	amenity: { en: 'Amenity', vi: 'Tiện ích' },
+	historic: { en: 'Historic site', vi: 'Di tích' },
+	leisure: { en: 'Leisure', vi: 'Giải trí' },
+	shop: { en: 'Shop', vi: 'Cửa hàng' },
+};
+
+const CATEGORY_VALUE_LABELS = {
+	tourism: {
+		attraction: { en: 'Attraction', vi: 'Điểm tham quan' },
+		museum: { en: 'Museum', vi: 'Bảo tàng' },
+		gallery: { en: 'Art gallery', vi: 'Phòng tranh' },
+		viewpoint: { en: 'Viewpoint', vi: 'Điểm ngắm cảnh' },
+		artwork: { en: 'Artwork', vi: 'Tác phẩm nghệ thuật' },
+		hotel: { en: 'Hotel', vi: 'Khách sạn' },
+		hostel: { en: 'Hostel', vi: 'Nhà nghỉ tập thể' },
+		guest_house: { en: 'Guest house', vi: 'Nhà khách' },
+		motel: { en: 'Motel', vi: 'Nhà nghỉ' },
+		apartment: { en: 'Apartment', vi: 'Căn hộ lưu trú' },
+		camp_site: { en: 'Campsite', vi: 'Khu cắm trại' },
+		information: { en: 'Tourist information', vi: 'Thông tin du lịch' },
+		theme_park: { en: 'Theme park', vi: 'Công viên giải trí' },
+		zoo: { en: 'Zoo', vi: 'Sở thú' },
+		picnic_site: { en: 'Picnic site', vi: 'Khu dã ngoại' },
+	},
+	amenity: {
+		restaurant: { en: 'Restaurant', vi: 'Nhà hàng' },
+		cafe: { en: 'Café', vi: 'Quán cà phê' },
+		fast_food: { en: 'Fast food', vi: 'Đồ ăn nhanh' },
+		bar: { en: 'Bar', vi: 'Quán bar' },
+		pub: { en: 'Pub', vi: 'Quán rượu' },
+		food_court: { en: 'Food court', vi: 'Khu ẩm thực' },
+		ice_cream: { en: 'Ice cream', vi: 'Kem' },
+		place_of_worship: { en: 'Place of worship', vi: 'Nơi thờ tự' },
+		atm: { en: 'ATM', vi: 'Cây ATM' },
+		bank: { en: 'Bank', vi: 'Ngân hàng' },
+		bureau_de_change: { en: 'Currency exchange', vi: 'Đổi ngoại tệ' },
+		pharmacy: { en: 'Pharmacy', vi: 'Nhà thuốc' },
+		hospital: { en: 'Hospital', vi: 'Bệnh viện' },
+		clinic: { en: 'Clinic', vi: 'Phòng khám' },
+		doctors: { en: 'Doctor', vi: 'Bác sĩ' },
+		dentist: { en: 'Dentist', vi: 'Nha khoa' },
+		fuel: { en: 'Fuel station', vi: 'Cây xăng' },
+		parking: { en: 'Parking', vi: 'Bãi đỗ xe' },
+		motorcycle_parking: { en: 'Motorbike parking', vi: 'Bãi giữ xe máy' },
+		bicycle_parking: { en: 'Bicycle parking', vi: 'Chỗ để xe đạp' },
+		bus_station: { en: 'Bus station', vi: 'Bến xe buýt' },
+		ferry_terminal: { en: 'Ferry terminal', vi: 'Bến phà' },
+		taxi: { en: 'Taxi stand', vi: 'Điểm đón taxi' },
+		marketplace: { en: 'Market', vi: 'Chợ' },
+		police: { en: 'Police', vi: 'Công an' },
+		post_office: { en: 'Post office', vi: 'Bưu điện' },
+		school: { en: 'School', vi: 'Trường học' },
+		university: { en: 'University', vi: 'Trường đại học' },
+		kindergarten: { en: 'Kindergarten', vi: 'Trường mầm non' },
+		library: { en: 'Library', vi: 'Thư viện' },
+		theatre: { en: 'Theatre', vi: 'Nhà hát' },
+		cinema: { en: 'Cinema', vi: 'Rạp chiếu phim' },
+		toilets: { en: 'Toilets', vi: 'Nhà vệ sinh' },
+		drinking_water: { en: 'Drinking water', vi: 'Nước uống' },
+		townhall: { en: 'Town hall', vi: 'Trụ sở hành chính' },
+		community_centre: { en: 'Community centre', vi: 'Nhà văn hóa' },
+		fountain: { en: 'Fountain', vi: 'Đài phun nước' },
+	},
+	historic: {
+		monument: { en: 'Monument', vi: 'Đài tưởng niệm' },
+		memorial: { en: 'Memorial', vi: 'Bia tưởng niệm' },
+		temple: { en: 'Historic temple', vi: 'Đền cổ' },
+		castle: { en: 'Citadel', vi: 'Thành cổ' },
+		ruins: { en: 'Ruins', vi: 'Phế tích' },
+		archaeological_site: { en: 'Archaeological site', vi: 'Di chỉ khảo cổ' },
+		tomb: { en: 'Tomb', vi: 'Lăng mộ' },
+		building: { en: 'Historic building', vi: 'Công trình lịch sử' },
+		city_gate: { en: 'City gate', vi: 'Cổng thành' },
+	},
+	leisure: {
+		park: { en: 'Park', vi: 'Công viên' },
+		garden: { en: 'Garden', vi: 'Vườn' },
+		playground: { en: 'Playground', vi: 'Sân chơi' },
+		sports_centre: { en: 'Sports centre', vi: 'Trung tâm thể thao' },
+		pitch: { en: 'Sports pitch', vi: 'Sân thể thao' },
+		stadium: { en: 'Stadium', vi: 'Sân vận động' },
+		swimming_pool: { en: 'Swimming pool', vi: 'Hồ bơi' },
+		fitness_centre: { en: 'Gym', vi: 'Phòng tập' },
+		water_park: { en: 'Water park', vi: 'Công viên nước' },
+		beach_resort: { en: 'Beach resort', vi: 'Khu nghỉ dưỡng biển' },
+		nature_reserve: { en: 'Nature reserve', vi: 'Khu bảo tồn thiên nhiên' },
+	},
+	shop: {
+		supermarket: { en: 'Supermarket', vi: 'Siêu thị' },
+		convenience: { en: 'Convenience store', vi: 'Cửa hàng tiện lợi' },
+		mall: { en: 'Shopping mall', vi: 'Trung tâm thương mại' },
+		clothes: { en: 'Clothes shop', vi: 'Cửa hàng quần áo' },
+		bakery: { en: 'Bakery', vi: 'Tiệm bánh' },
+		mobile_phone: { en: 'Phone shop', vi: 'Cửa hàng điện thoại' },
+		hairdresser: { en: 'Hairdresser', vi: 'Tiệm cắt tóc' },
+		beauty: { en: 'Beauty salon', vi: 'Thẩm mỹ viện' },
+		massage: { en: 'Massage', vi: 'Mát-xa' },
+		gift: { en: 'Gift shop', vi: 'Cửa hàng quà tặng' },
+		books: { en: 'Bookshop', vi: 'Hiệu sách' },
+		jewelry: { en: 'Jewellery', vi: 'Tiệm vàng bạc' },
+		motorcycle: { en: 'Motorbike shop', vi: 'Cửa hàng xe máy' },
+		bicycle: { en: 'Bicycle shop', vi: 'Cửa hàng xe đạp' },
+		tailor: { en: 'Tailor', vi: 'Tiệm may' },
+		optician: { en: 'Optician', vi: 'Cửa hàng kính mắt' },
+	},
+};
+
+const pickLanguage = (labels, language) => labels[language] || labels.en;
+
+// Unknown values fall back to the key label plus a de-underscored value, e.g. "Amenity: charging station".
+export const osmCategoryLabel = (key, value, language = getLanguage()) => {
+	const valueLabels = CATEGORY_VALUE_LABELS[key]?.[value];
+	if (valueLabels) {
+		return pickLanguage(valueLabels, language);
+	}
+	const keyLabel = CATEGORY_KEY_LABELS[key] ? pickLanguage(CATEGORY_KEY_LABELS[key], language) : key;
+	if (!value || value === 'yes') {
+		return keyLabel;
+	}
+	return `${keyLabel}: ${value.replace(/_/g, ' ')}`;
+};
+
+const CUISINE_LABELS = {
+	vietnamese: { en: 'Vietnamese', vi: 'Món Việt' },
+	noodle: { en: 'Noodles', vi: 'Món bún, mì' },
+	pho: { en: 'Phở', vi: 'Phở' },
+	rice: { en: 'Rice dishes', vi: 'Cơm' },
+	seafood: { en: 'Seafood', vi: 'Hải sản' },
+	vegetarian: { en: 'Vegetarian', vi: 'Món chay' },
+	vegan: { en: 'Vegan', vi: 'Thuần chay' },
+	coffee_shop: { en: 'Coffee', vi: 'Cà phê' },
+	tea: { en: 'Tea', vi: 'Trà' },
+	bubble_tea: { en: 'Bubble tea', vi: 'Trà sữa' },
+	barbecue: { en: 'Barbecue', vi: 'Đồ nướng' },
+	hot_pot: { en: 'Hot pot', vi: 'Lẩu' },
+	sandwich: { en: 'Sandwiches', vi: 'Bánh mì' },
+	chicken: { en: 'Chicken', vi: 'Gà' },
+	pizza: { en: 'Pizza', vi: 'Pizza' },
+	burger: { en: 'Burgers', vi: 'Bánh mì kẹp' },
+	japanese: { en: 'Japanese', vi: 'Món Nhật' },
+	korean: { en: 'Korean', vi: 'Món Hàn' },
+	chinese: { en: 'Chinese', vi: 'Món Hoa' },
+	thai: { en: 'Thai', vi: 'Món Thái' },
+	indian: { en: 'Indian', vi: 'Món Ấn' },
+	french: { en: 'French', vi: 'Món Pháp' },
+	italian: { en: 'Italian', vi: 'Món Ý' },
+	international: { en: 'International', vi: 'Món Âu Á' },
+	ice_cream: { en: 'Ice cream', vi: 'Kem' },
+	cake: { en: 'Cakes', vi: 'Bánh ngọt' },
+};
+
+// `cuisine` holds `;`-separated values such as "vietnamese;noodle".
+export const osmCuisineLabels = (value, language = getLanguage()) =>
+	value
+		.split(';')
+		.map((item) => item.trim().toLowerCase())
+		.filter(Boolean)
+		.map((item) => (CUISINE_LABELS[item] ? pickLanguage(CUISINE_LABELS[item], language) : item.replace(/_/g, ' ')));
@@ -0,0 +1,8 @@
+import { useSyncExternalStore } from 'react';
+import { getLanguage, setLanguage, subscribeLanguage, t } from './index.js';
+
+// Re-renders the calling component whenever the language changes.
+export const useI18n = () => {
+	const language = useSyncExternalStore(subscribeLanguage, getLanguage);
+	return { language, setLanguage, t };
+};
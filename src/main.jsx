@@ -1,10 +1,22 @@
 import React from 'react';
 import ReactDOM from 'react-dom/client';
 import App from './App.jsx';
+import { getLanguage } from './i18n/index.js';
+import { TILE_URL_TEMPLATE } from './services/offlineTiles.js';
 import './index.css';
 
+document.documentElement.lang = getLanguage();
+
 ReactDOM.createRoot(document.getElementById('root')).render(
 	<React.StrictMode>
 		<App />
 	</React.StrictMode>,
 );
+
+if ('serviceWorker' in navigator && import.meta.env.PROD) {
+	window.addEventListener('load', () => {
+		navigator.serviceWorker.register(`/sw.js?tiles=${encodeURIComponent(TILE_URL_TEMPLATE)}`).catch((error) => {
+			console.warn('Service worker registration failed', error);
+		});
+	});
+}
@@ -0,0 +1,168 @@
+import {
+	EmailAuthProvider,
+	GoogleAuthProvider,
+	createUserWithEmailAndPassword,
+	linkWithCredential,
+	linkWithPopup,
+	reauthenticateWithCredential,
+	sendEmailVerification,
+	sendPasswordResetEmail,
+	signInAnonymously,
+	signInWithCredential,
+	signInWithEmailAndPassword,
+	signInWithPopup,
+	updateCurrentUser,
+	updatePassword,
+	updateProfile,
+} from 'firebase/auth';
+import { auth } from '../firebaseConfig.js';
+import { getLanguage, t } from '../i18n/index.js';
+import { moveGuestSearchHistory } from './searchHistory.js';
+import { moveGuestTranslationHistory } from './translationHistory.js';
+
+const AUTH_ERROR_KEYS = {
+	'auth/invalid-credential': 'auth.error.invalidCredential',
+	'auth/invalid-login-credentials': 'auth.error.invalidCredential',
+	'auth/wrong-password': 'auth.error.invalidCredential',
+	'auth/user-not-found': 'auth.error.invalidCredential',
+	'auth/invalid-email': 'auth.error.invalidEmail',
+	'auth/missing-email': 'auth.error.invalidEmail',
+	'auth/missing-password': 'auth.missingCredentials',
+	'auth/email-already-in-use': 'auth.error.emailInUse',
+	'auth/weak-password': 'auth.error.weakPassword',
+	'auth/too-many-requests': 'auth.error.tooManyRequests',
+	'auth/network-request-failed': 'auth.error.network',
+	'auth/user-disabled': 'auth.error.userDisabled',
+	'auth/operation-not-allowed': 'auth.error.providerDisabled',
+	'auth/popup-blocked': 'auth.error.popupBlocked',
+	'auth/popup-closed-by-user': 'auth.error.popupClosed',
+	'auth/account-exists-with-different-credential': 'auth.error.differentCredential',
+	'auth/credential-already-in-use': 'auth.error.differentCredential',
+	'auth/admin-restricted-operation': 'auth.error.providerDisabled',
+	'auth/requires-recent-login': 'auth.error.recentLogin',
+};
+
+// Closing or re-opening the Google popup is the user's own choice, not something to report.
+const SILENT_ERROR_CODES = new Set(['auth/cancelled-popup-request']);
+
+export const authErrorMessage = (error) => {
+	if (SILENT_ERROR_CODES.has(error?.code)) {
+		return '';
+	}
+	const key = AUTH_ERROR_KEYS[error?.code];
+	if (!key) {
+		console.warn('Unmapped auth error', error);
+	}
+	return t(key || 'auth.genericError');
+};
+
+// Only password accounts need to confirm their email; Google already vouches for its addresses.
+export const needsEmailVerification = (user) =>
+	Boolean(user && !user.emailVerified && user.providerData.some((profile) => profile.providerId === 'password'));
+
+export const isGuest = (user) => Boolean(user?.isAnonymous);
+
+export const hasPasswordProvider = (user) =>
+	Boolean(user?.providerData.some((profile) => profile.providerId === 'password'));
+
+// Firebase localizes its emails and the Google popup from `languageCode`.
+const applyEmailLanguage = () => {
+	auth.languageCode = getLanguage();
+};
+
+// The guest left behind when someone signs in to an existing account. Signing out goes back to it
+// instead of creating one more anonymous user.
+let previousGuest = null;
+
+// Guests are anonymous Firebase users, so everything they store already sits under their own uid.
+export const startGuestSession = async () => {
+	const guest = previousGuest;
+	previousGuest = null;
+	if (guest) {
+		try {
+			await updateCurrentUser(auth, guest);
+			return;
+		} catch (error) {
+			console.warn('Unable to resume the previous guest session', error);
+		}
+	}
+	await signInAnonymously(auth);
+};
+
+const currentGuest = () => (isGuest(auth.currentUser) ? auth.currentUser : null);
+
+// Signing in to an existing account cannot keep the guest's uid, so the guest's searches and
+// translations are copied over instead of being left behind.
+const leaveGuest = (guest, user) => {
+	moveGuestSearchHistory(guest.uid, user.uid);
+	moveGuestTranslationHistory(guest.uid, user.uid);
+	previousGuest = guest;
+};
+
+export const signInWithEmail = async (email, password) => {
+	const guest = currentGuest();
+	const credential = await signInWithEmailAndPassword(auth, email, password);
+	if (guest) {
+		leaveGuest(guest, credential.user);
+	}
+	return credential;
+};
+
+// Signing up from a guest session links the new credential to the anonymous user, which keeps
+// the uid and therefore the guest's history and translations.
+export const registerWithEmail = async (email, password) => {
+	const guest = currentGuest();
+	const credential = guest
+		? await linkWithCredential(guest, EmailAuthProvider.credential(email, password))
+		: await createUserWithEmailAndPassword(auth, email, password);
+	applyEmailLanguage();
+	await sendEmailVerification(credential.user);
+	return credential;
+};
+
+export const signInWithGoogle = async () => {
+	applyEmailLanguage();
+	const provider = new GoogleAuthProvider();
+	const guest = currentGuest();
+	if (!guest) {
+		return signInWithPopup(auth, provider);
+	}
+	try {
+		return await linkWithPopup(guest, provider);
+	} catch (error) {
+		// The Google account already exists with its own data; switch to it and bring the guest data along.
+		const credential = error?.code === 'auth/credential-already-in-use' && GoogleAuthProvider.credentialFromError(error);
+		if (!credential) {
+			throw error;
+		}
+		const result = await signInWithCredential(auth, credential);
+		leaveGuest(guest, result.user);
+		return result;
+	}
+};
+
+export const sendPasswordReset = (email) => {
+	applyEmailLanguage();
+	return sendPasswordResetEmail(auth, email);
+};
+
+export const resendVerificationEmail = (user) => {
+	applyEmailLanguage();
+	return sendEmailVerification(user);
+};
+
+// Reloads the profile and forces a fresh ID token so Firestore rules see the new `email_verified` claim.
+export const refreshVerification = async (user) => {
+	await user.reload();
+	if (user.emailVerified) {
+		await user.getIdToken(true);
+	}
+	return user.emailVerified;
+};
+
+export const updateDisplayName = (user, displayName) => updateProfile(user, { displayName });
+
+export const changePassword = async (user, currentPassword, nextPassword) => {
+	await reauthenticateWithCredential(user, EmailAuthProvider.credential(user.email, currentPassword));
+	await updatePassword(user, nextPassword);
+};
@@ -0,0 +1,29 @@
+// Guests get a few translations a day before being asked to sign up. The count lives in the
+// browser only, so it is a nudge rather than an enforced limit.
+export const GUEST_TRANSLATION_LIMIT = 10;
+
+const storageKey = (uid) => `poi-map:guest-translations:${uid}`;
+
+// The local calendar day, so the allowance resets at the visitor's midnight.
+const today = () => new Date().toLocaleDateString('en-CA');
+
+const readUsage = (uid) => {
+	try {
+		const usage = JSON.parse(localStorage.getItem(storageKey(uid)) || 'null');
+		return usage?.day === today() ? usage.count : 0;
+	} catch {
+		return 0;
+	}
+};
+
+export const remainingGuestTranslations = (uid) => Math.max(GUEST_TRANSLATION_LIMIT - readUsage(uid), 0);
+
+export const recordGuestTranslation = (uid) => {
+	const count = readUsage(uid) + 1;
+	try {
+		localStorage.setItem(storageKey(uid), JSON.stringify({ day: today(), count }));
+	} catch (error) {
+		console.warn('Unable to persist the guest translation count', error);
+	}
+	return Math.max(GUEST_TRANSLATION_LIMIT - count, 0);
+};
@@ -0,0 +1,115 @@
+import { t } from '../i18n/index.js';
+import { readCachedResponse, writeCachedResponse } from './responseCache.js';
+
+export const CACHE_TTL = {
+	nominatim: 7 * 24 * 60 * 60 * 1000,
+	overpass: 60 * 60 * 1000,
+	weather: 15 * 60 * 1000,
+	translation: 30 * 24 * 60 * 60 * 1000,
+};
+
+const RETRYABLE_STATUSES = new Set([429, 502, 503, 504]);
+
+const abortError = () => new DOMException('The request was aborted.', 'AbortError');
+
+export const isAbortError = (error) => error?.name === 'AbortError';
+
+const wait = (delayMs, signal) =>
+	new Promise((resolve, reject) => {
+		if (signal?.aborted) {
+			reject(abortError());
+			return;
+		}
+		const timer = setTimeout(() => {
+			signal?.removeEventListener('abort', handleAbort);
+			resolve();
+		}, delayMs);
+		const handleAbort = () => {
+			clearTimeout(timer);
+			reject(abortError());
+		};
+		signal?.addEventListener('abort', handleAbort, { once: true });
+	});
+
+export const createRequestQueue = (minIntervalMs) => {
+	let lastStartedAt = 0;
+	let tail = Promise.resolve();
+
+	const waitForTurn = async (signal) => {
+		await wait(Math.max(0, lastStartedAt + minIntervalMs - Date.now()), signal);
+		lastStartedAt = Date.now();
+	};
+
+	return (task, { signal } = {}) => {
+		const turn = tail.then(() => waitForTurn(signal));
+		tail = turn.catch(() => undefined);
+		return turn.then(task);
+	};
+};
+
+// Nominatim's usage policy allows at most one request per second per client.
+export const nominatimQueue = createRequestQueue(1000);
+
+// Tries each mirror in turn and backs off exponentially after every full round of failures.
+const fetchWithRetry = async (urls, init, { attempts, baseDelayMs, signal }) => {
+	let lastError = null;
+
+	for (let attempt = 0; attempt < attempts; attempt += 1) {
+		const isLastAttempt = attempt === attempts - 1;
+		try {
+			const response = await fetch(urls[attempt % urls.length], { ...init, signal });
+			if (response.ok || !RETRYABLE_STATUSES.has(response.status) || isLastAttempt) {
+				return response;
+			}
+			lastError = new Error(t('errors.requestStatus', { status: response.status }));
+		} catch (error) {
+			if (isAbortError(error) || isLastAttempt) {
+				throw error;
+			}
+			lastError = error;
+		}
+
+		if ((attempt + 1) % urls.length === 0) {
+			await wait(baseDelayMs * 2 ** Math.floor(attempt / urls.length), signal);
+		}
+	}
+
+	throw lastError;
+};
+
+export const cachedFetchJson = async (
+	url,
+	{ cacheKey = String(url), ttl, init, queue, retry, errorMessage, signal } = {},
+) => {
+	const cached = await readCachedResponse(cacheKey, ttl);
+	if (cached) {
+		return { data: cached.data, cachedAt: cached.storedAt, fromCache: true };
+	}
+
+	const urls = Array.isArray(url) ? url : [url];
+	const request = () =>
+		fetchWithRetry(urls, init, {
+			attempts: retry?.attempts || urls.length,
+			baseDelayMs: retry?.baseDelayMs || 1000,
+			signal,
+		});
+	let response;
+	try {
+		response = await (queue ? queue(request, { signal }) : request());
+	} catch (error) {
+		if (isAbortError(error) || !errorMessage) {
+			throw error;
+		}
+		throw new Error(errorMessage);
+	}
+
+	if (!response.ok) {
+		const error = new Error(errorMessage || t('errors.requestStatus', { status: response.status }));
+		error.status = response.status;
+		throw error;
+	}
+
+	const data = await response.json();
+	const entry = await writeCachedResponse(cacheKey, data);
+	return { data, cachedAt: entry.storedAt, fromCache: false };
+};
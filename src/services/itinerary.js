@@ -0,0 +1,20 @@
+import { doc, onSnapshot, serverTimestamp, setDoc } from 'firebase/firestore';
+import { db } from '../firebaseConfig.js';
+
+const itineraryDoc = (uid) => doc(db, 'users', uid, 'planner', 'itinerary');
+
+export const subscribeItinerary = (uid, onChange, onError) =>
+	onSnapshot(
+		itineraryDoc(uid),
+		(snapshot) => {
+			const stops = snapshot.data()?.stops;
+			onChange(Array.isArray(stops) ? stops : []);
+		},
+		onError,
+	);
+
+export const saveItinerary = (uid, stops) =>
+	setDoc(itineraryDoc(uid), {
+		stops,
+		updatedAt: serverTimestamp(),
+	});
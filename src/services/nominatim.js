@@ -0,0 +1,70 @@
+import { getLanguage, t } from '../i18n/index.js';
+import { CACHE_TTL, cachedFetchJson, nominatimQueue } from './http.js';
+
+const NOMINATIM_BASE_URL = 'https://nominatim.openstreetmap.org';
+const NOMINATIM_EMAIL = import.meta.env.VITE_NOMINATIM_EMAIL || '';
+
+const nominatimFetch = (path, params, { signal, errorMessage }) => {
+	// The language is a query parameter rather than a header so it is part of the cache key.
+	const localizedParams = { ...params, 'accept-language': getLanguage() };
+	const query = new URLSearchParams({ format: 'json', addressdetails: '1', ...localizedParams });
+	if (NOMINATIM_EMAIL) {
+		query.set('email', NOMINATIM_EMAIL);
+	}
+	return cachedFetchJson(`${NOMINATIM_BASE_URL}/${path}?${query}`, {
+		cacheKey: `nominatim:${path}?${new URLSearchParams(localizedParams)}`,
+		ttl: CACHE_TTL.nominatim,
+		queue: nominatimQueue,
+		errorMessage,
+		signal,
+	});
+};
+
+const pickFirst = (source, keys) => {
+	const key = keys.find((field) => source[field]);
+	return key ? source[key] : '';
+};
+
+export const describeAddress = (address = {}) => {
+	const district = pickFirst(address, ['city_district', 'district', 'county', 'suburb', 'town', 'village']);
+	const province = pickFirst(address, ['state', 'province', 'city', 'region']);
+	return [district, province].filter((part, index, parts) => part && parts.indexOf(part) === index).join(', ');
+};
+
+const toCandidate = (item) => {
+	const latitude = parseFloat(item.lat);
+	const longitude = parseFloat(item.lon);
+	if (Number.isNaN(latitude) || Number.isNaN(longitude)) {
+		return null;
+	}
+	const displayName = item.display_name || '';
+	return {
+		id: item.place_id ?? `${item.osm_type}-${item.osm_id}`,
+		name: item.name || displayName.split(',')[0].trim(),
+		label: displayName,
+		area: describeAddress(item.address),
+		lat: latitude,
+		lon: longitude,
+	};
+};
+
+export const searchPlaces = async (query, { limit = 6, signal } = {}) => {
+	const { data } = await nominatimFetch(
+		'search',
+		{ limit: String(limit), countrycodes: 'vn', q: query },
+		{ signal, errorMessage: t('errors.placeLookup') },
+	);
+	return Array.isArray(data) ? data.map(toCandidate).filter(Boolean) : [];
+};
+
+export const reverseGeocode = async (latitude, longitude, { signal } = {}) => {
+	const { data } = await nominatimFetch(
+		'reverse',
+		{ zoom: '18', lat: latitude.toFixed(6), lon: longitude.toFixed(6) },
+		{ signal, errorMessage: t('errors.pointLookup') },
+	);
+	if (!data || data.error) {
+		return null;
+	}
+	return toCandidate(data);
+};
@@ -0,0 +1,50 @@
+import { toHistoryEntryId } from './searchHistory.js';
+
+const storageKey = (uid) => `poi-map:offline-searches:${uid}`;
+export const OFFLINE_SEARCH_LIMIT = 10;
+
+const readSnapshots = (uid) => {
+	try {
+		const parsed = JSON.parse(localStorage.getItem(storageKey(uid)) || '[]');
+		return Array.isArray(parsed) ? parsed : [];
+	} catch {
+		return [];
+	}
+};
+
+const writeSnapshots = (uid, snapshots) => {
+	// Drop the oldest snapshots until the list fits in the remaining storage quota.
+	for (let count = Math.min(snapshots.length, OFFLINE_SEARCH_LIMIT); count > 0; count -= 1) {
+		try {
+			localStorage.setItem(storageKey(uid), JSON.stringify(snapshots.slice(0, count)));
+			return snapshots.slice(0, count);
+		} catch (error) {
+			console.warn('Offline search storage is full, dropping the oldest snapshot', error);
+		}
+	}
+	return [];
+};
+
+export const listOfflineSearches = (uid) => readSnapshots(uid);
+
+export const saveOfflineSearch = (uid, { place, filters, pois, weather }) => {
+	const snapshot = {
+		id: toHistoryEntryId(place.lat, place.lon),
+		place,
+		filters,
+		pois,
+		weather,
+		savedAt: Date.now(),
+	};
+	return writeSnapshots(uid, [snapshot, ...readSnapshots(uid).filter((item) => item.id !== snapshot.id)]);
+};
+
+export const findOfflineSearch = (uid, lat, lon) => {
+	const id = toHistoryEntryId(lat, lon);
+	return readSnapshots(uid).find((item) => item.id === id) || null;
+};
+
+export const clearOfflineSearches = (uid) => {
+	localStorage.removeItem(storageKey(uid));
+	return [];
+};
@@ -0,0 +1,139 @@
+import { t } from '../i18n/index.js';
+
+// Must match TILE_CACHE and BROWSED_TILE_CACHE in public/sw.js, which serves these tiles cache-first.
+const TILE_CACHE = 'poi-map-tiles-v1';
+const BROWSED_TILE_CACHE = 'poi-map-browsed-tiles-v1';
+
+// The public OSM tile server forbids bulk and offline prefetching, so it is only used for browsing. Area
+// downloads need VITE_TILE_URL_TEMPLATE pointing at a provider whose terms allow them, plus
+// VITE_TILE_BULK_DOWNLOAD=true to confirm it.
+const OSM_TILE_URL_TEMPLATE = 'https://tile.openstreetmap.org/{z}/{x}/{y}.png';
+const OSM_TILE_HOST_PATTERN = /^https?:\/\/([^/]+\.)?tile\.openstreetmap\.org\//i;
+
+export const TILE_URL_TEMPLATE = import.meta.env.VITE_TILE_URL_TEMPLATE || OSM_TILE_URL_TEMPLATE;
+export const TILE_ATTRIBUTION = import.meta.env.VITE_TILE_ATTRIBUTION || '&copy; OpenStreetMap contributors';
+export const TILE_ZOOM_RANGE = { min: 10, max: 18 };
+export const TILE_BUDGET_OPTIONS_MB = [10, 25, 50, 100];
+
+// Average size of an OSM raster tile, used to estimate a download before starting it.
+const ESTIMATED_TILE_BYTES = 20 * 1024;
+const DOWNLOAD_CONCURRENCY = 2;
+
+const lonToTileX = (lon, zoom) => Math.floor(((lon + 180) / 360) * 2 ** zoom);
+
+const latToTileY = (lat, zoom) => {
+	const radians = (lat * Math.PI) / 180;
+	return Math.floor(((1 - Math.log(Math.tan(radians) + 1 / Math.cos(radians)) / Math.PI) / 2) * 2 ** zoom);
+};
+
+const toTileUrl = ({ z, x, y }) =>
+	TILE_URL_TEMPLATE.replace('{s}', 'a').replace('{r}', '').replace('{z}', z).replace('{x}', x).replace('{y}', y);
+
+export const isOfflineTilesSupported = () => typeof window !== 'undefined' && 'caches' in window;
+
+export const isTileDownloadAllowed = () =>
+	import.meta.env.VITE_TILE_BULK_DOWNLOAD === 'true' && !OSM_TILE_HOST_PATTERN.test(TILE_URL_TEMPLATE);
+
+const tileRanges = ({ south, west, north, east }, minZoom, maxZoom) => {
+	const ranges = [];
+	for (let z = minZoom; z <= maxZoom; z += 1) {
+		ranges.push({
+			z,
+			xStart: lonToTileX(west, z),
+			xEnd: lonToTileX(east, z),
+			yStart: latToTileY(north, z),
+			yEnd: latToTileY(south, z),
+		});
+	}
+	return ranges;
+};
+
+// Counted from the ranges, so estimating a country-wide view does not build millions of tiles.
+const countTiles = (bounds, minZoom, maxZoom) =>
+	tileRanges(bounds, minZoom, maxZoom).reduce(
+		(total, { xStart, xEnd, yStart, yEnd }) => total + (xEnd - xStart + 1) * (yEnd - yStart + 1),
+		0,
+	);
+
+export const listTiles = (bounds, minZoom, maxZoom) => {
+	const tiles = [];
+	tileRanges(bounds, minZoom, maxZoom).forEach(({ z, xStart, xEnd, yStart, yEnd }) => {
+		for (let x = xStart; x <= xEnd; x += 1) {
+			for (let y = yStart; y <= yEnd; y += 1) {
+				tiles.push({ z, x, y });
+			}
+		}
+	});
+	return tiles;
+};
+
+export const estimateTileDownload = (bounds, minZoom, maxZoom) => {
+	const count = countTiles(bounds, minZoom, maxZoom);
+	return { count, bytes: count * ESTIMATED_TILE_BYTES };
+};
+
+// Tiles already cached are skipped; the download stops once `budgetBytes` of new data is stored.
+export const downloadTiles = async (bounds, { minZoom, maxZoom, budgetBytes, signal, onProgress }) => {
+	if (!isOfflineTilesSupported()) {
+		throw new Error(t('offline.unsupported'));
+	}
+	if (!isTileDownloadAllowed()) {
+		throw new Error(t('offline.downloadUnavailable'));
+	}
+
+	if (countTiles(bounds, minZoom, maxZoom) * ESTIMATED_TILE_BYTES > budgetBytes) {
+		throw new Error(t('offline.tooLarge'));
+	}
+
+	const tiles = listTiles(bounds, minZoom, maxZoom);
+
+	const cache = await caches.open(TILE_CACHE);
+	const progress = { done: 0, total: tiles.length, bytes: 0, failed: 0 };
+	let nextIndex = 0;
+
+	const worker = async () => {
+		while (nextIndex < tiles.length && progress.bytes < budgetBytes) {
+			if (signal?.aborted) {
+				throw new DOMException('Tile download cancelled.', 'AbortError');
+			}
+			const url = toTileUrl(tiles[nextIndex]);
+			nextIndex += 1;
+
+			if (!(await cache.match(url))) {
+				try {
+					const response = await fetch(url, { signal });
+					if (!response.ok) {
+						throw new Error(`Tile server returned status ${response.status}.`);
+					}
+					const blob = await response.clone().blob();
+					await cache.put(url, response);
+					progress.bytes += blob.size;
+				} catch (error) {
+					if (error.name === 'AbortError') {
+						throw error;
+					}
+					progress.failed += 1;
+				}
+			}
+			progress.done += 1;
+			onProgress?.({ ...progress });
+		}
+	};
+
+	await Promise.all(Array.from({ length: DOWNLOAD_CONCURRENCY }, worker));
+	return { ...progress, truncated: progress.done < progress.total };
+};
+
+export const getOfflineTileCount = async () => {
+	if (!isOfflineTilesSupported()) {
+		return 0;
+	}
+	const cache = await caches.open(TILE_CACHE);
+	return (await cache.keys()).length;
+};
+
+export const clearOfflineTiles = async () => {
+	if (isOfflineTilesSupported()) {
+		await Promise.all([caches.delete(TILE_CACHE), caches.delete(BROWSED_TILE_CACHE)]);
+	}
+};
@@ -0,0 +1,131 @@
+import { t } from '../i18n/index.js';
+import { toPoi } from '../utils/poi.js';
+import { CACHE_TTL, cachedFetchJson } from './http.js';
+
+const DEFAULT_OVERPASS_ENDPOINTS = [
+	'https://overpass-api.de/api/interpreter',
+	'https://overpass.kumi.systems/api/interpreter',
+	'https://overpass.private.coffee/api/interpreter',
+];
+
+const OVERPASS_ENDPOINTS = (import.meta.env.VITE_OVERPASS_ENDPOINTS || '')
+	.split(',')
+	.map((endpoint) => endpoint.trim())
+	.filter(Boolean);
+
+const OVERPASS_MIRRORS = OVERPASS_ENDPOINTS.length > 0 ? OVERPASS_ENDPOINTS : DEFAULT_OVERPASS_ENDPOINTS;
+const OVERPASS_RETRY = { attempts: OVERPASS_MIRRORS.length * 2, baseDelayMs: 1500 };
+
+export const RADIUS_OPTIONS = [500, 1000, 2000, 3000, 5000, 10000];
+export const RESULT_LIMIT_OPTIONS = [5, 10, 20, 50, 100];
+
+export const POI_CATEGORY_GROUPS = [
+	{
+		labelKey: 'filters.group.general',
+		options: [
+			{ key: 'tourism', labelKey: 'filters.category.tourism' },
+			{ key: 'amenity', labelKey: 'filters.category.amenity' },
+			{ key: 'historic', labelKey: 'filters.category.historic' },
+			{ key: 'leisure', labelKey: 'filters.category.leisure' },
+			{ key: 'shop', labelKey: 'filters.category.shop' },
+		],
+	},
+	{
+		labelKey: 'filters.group.food',
+		options: [
+			{ key: 'amenity', value: 'restaurant', labelKey: 'filters.category.amenity.restaurant' },
+			{ key: 'amenity', value: 'cafe', labelKey: 'filters.category.amenity.cafe' },
+			{ key: 'amenity', value: 'fast_food', labelKey: 'filters.category.amenity.fast_food' },
+			{ key: 'amenity', value: 'bar', labelKey: 'filters.category.amenity.bar' },
+		],
+	},
+	{
+		labelKey: 'filters.group.sightseeing',
+		options: [
+			{ key: 'tourism', value: 'attraction', labelKey: 'filters.category.tourism.attraction' },
+			{ key: 'tourism', value: 'museum', labelKey: 'filters.category.tourism.museum' },
+			{ key: 'tourism', value: 'viewpoint', labelKey: 'filters.category.tourism.viewpoint' },
+			{ key: 'historic', value: 'monument', labelKey: 'filters.category.historic.monument' },
+			{ key: 'amenity', value: 'place_of_worship', labelKey: 'filters.category.amenity.place_of_worship' },
+		],
+	},
+	{
+		labelKey: 'filters.group.stay',
+		options: [
+			{ key: 'tourism', value: 'hotel', labelKey: 'filters.category.tourism.hotel' },
+			{ key: 'tourism', value: 'hostel', labelKey: 'filters.category.tourism.hostel' },
+			{ key: 'tourism', value: 'guest_house', labelKey: 'filters.category.tourism.guest_house' },
+		],
+	},
+	{
+		labelKey: 'filters.group.services',
+		options: [
+			{ key: 'amenity', value: 'atm', labelKey: 'filters.category.amenity.atm' },
+			{ key: 'amenity', value: 'bank', labelKey: 'filters.category.amenity.bank' },
+			{ key: 'amenity', value: 'pharmacy', labelKey: 'filters.category.amenity.pharmacy' },
+			{ key: 'amenity', value: 'hospital', labelKey: 'filters.category.amenity.hospital' },
+			{ key: 'amenity', value: 'fuel', labelKey: 'filters.category.amenity.fuel' },
+		],
+	},
+	{
+		labelKey: 'filters.group.shopping',
+		options: [
+			{ key: 'amenity', value: 'marketplace', labelKey: 'filters.category.amenity.marketplace' },
+			{ key: 'shop', value: 'supermarket', labelKey: 'filters.category.shop.supermarket' },
+			{ key: 'shop', value: 'convenience', labelKey: 'filters.category.shop.convenience' },
+			{ key: 'leisure', value: 'park', labelKey: 'filters.category.leisure.park' },
+		],
+	},
+];
+
+export const categoryId = ({ key, value }) => `${key}=${value || '*'}`;
+
+export const DEFAULT_POI_FILTERS = {
+	radius: 2000,
+	limit: 5,
+	categories: ['tourism=*', 'amenity=*', 'historic=*', 'leisure=*'],
+};
+
+const toTagSelector = (id) => {
+	const [key, value] = id.split('=');
+	return !value || value === '*' ? `["${key}"]` : `["${key}"="${value}"]`;
+};
+
+export const buildOverpassQuery = ({ lat, lon }, { radius, categories }) => {
+	const statements = categories
+		.map((id) => `\tnwr(around:${radius}, ${lat}, ${lon})${toTagSelector(id)};`)
+		.join('\n');
+
+	return `[out:json][timeout:25];\n(\n${statements}\n);\nout center;`;
+};
+
+export const fetchNearbyPois = async (origin, filters, { signal } = {}) => {
+	if (!filters.categories.length) {
+		throw new Error(t('filters.noCategory'));
+	}
+
+	const query = buildOverpassQuery(origin, filters);
+	const { data, cachedAt, fromCache } = await cachedFetchJson(OVERPASS_MIRRORS, {
+		cacheKey: `overpass:${query}`,
+		ttl: CACHE_TTL.overpass,
+		retry: OVERPASS_RETRY,
+		init: {
+			method: 'POST',
+			headers: {
+				'Content-Type': 'text/plain;charset=UTF-8',
+			},
+			body: query,
+		},
+		errorMessage: t('errors.poiFetch'),
+		signal,
+	});
+	const elements = Array.isArray(data.elements) ? data.elements : [];
+
+	const pois = elements
+		.map((element) => toPoi(element, origin))
+		.filter(Boolean)
+		.sort((a, b) => a.distance - b.distance)
+		.slice(0, filters.limit);
+
+	return { pois, cachedAt, fromCache };
+};
@@ -0,0 +1,15 @@
+import { doc, onSnapshot, setDoc } from 'firebase/firestore';
+import { db } from '../firebaseConfig.js';
+
+const preferencesDoc = (uid) => doc(db, 'users', uid, 'settings', 'preferences');
+
+export const subscribePreferences = (uid, onChange) =>
+	onSnapshot(
+		preferencesDoc(uid),
+		(snapshot) => onChange(snapshot.data() || {}),
+		(error) => {
+			console.warn('Preferences sync unavailable', error);
+		},
+	);
+
+export const savePreferences = (uid, changes) => setDoc(preferencesDoc(uid), changes, { merge: true });
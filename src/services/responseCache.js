@@ -0,0 +1,147 @@
+const DB_NAME = 'poi-map-cache';
+const STORE_NAME = 'responses';
+const MAX_CACHE_BYTES = 8 * 1024 * 1024;
+const MAX_MEMORY_BYTES = 2 * 1024 * 1024;
+
+// Map keeps insertion order, so re-inserting on each hit makes the first key the least recently used.
+const memoryCache = new Map();
+let memoryBytes = 0;
+let databasePromise = null;
+// Size of the IndexedDB store, measured once per session and then kept up to date on each write.
+let storedBytes = null;
+let measuringPromise = null;
+
+const openDatabase = () => {
+	if (typeof indexedDB === 'undefined') {
+		return Promise.resolve(null);
+	}
+	if (!databasePromise) {
+		databasePromise = new Promise((resolve) => {
+			const request = indexedDB.open(DB_NAME, 1);
+			request.onupgradeneeded = () => {
+				const store = request.result.createObjectStore(STORE_NAME, { keyPath: 'key' });
+				store.createIndex('storedAt', 'storedAt');
+			};
+			request.onsuccess = () => resolve(request.result);
+			request.onerror = () => {
+				console.warn('IndexedDB unavailable, caching responses in memory only', request.error);
+				resolve(null);
+			};
+		});
+	}
+	return databasePromise;
+};
+
+const runTransaction = async (mode, action) => {
+	const database = await openDatabase();
+	if (!database) {
+		return null;
+	}
+	return new Promise((resolve, reject) => {
+		const transaction = database.transaction(STORE_NAME, mode);
+		const request = action(transaction.objectStore(STORE_NAME));
+		transaction.oncomplete = () => resolve(request?.result ?? null);
+		transaction.onerror = () => reject(transaction.error);
+		transaction.onabort = () => reject(transaction.error);
+	});
+};
+
+const rememberEntry = (entry) => {
+	const previous = memoryCache.get(entry.key);
+	if (previous) {
+		memoryCache.delete(entry.key);
+		memoryBytes -= previous.size;
+	}
+	memoryCache.set(entry.key, entry);
+	memoryBytes += entry.size;
+	for (const [key, oldest] of memoryCache) {
+		if (memoryBytes <= MAX_MEMORY_BYTES) {
+			break;
+		}
+		memoryCache.delete(key);
+		memoryBytes -= oldest.size;
+	}
+};
+
+const measureStoredBytes = async () => {
+	if (storedBytes !== null) {
+		return;
+	}
+	if (!measuringPromise) {
+		measuringPromise = runTransaction('readonly', (store) => store.getAll())
+			.then((entries) => {
+				storedBytes = (entries || []).reduce((sum, entry) => sum + entry.size, 0);
+			})
+			.finally(() => {
+				measuringPromise = null;
+			});
+	}
+	await measuringPromise;
+};
+
+// Walks the storedAt index oldest first and deletes until the store fits again.
+const pruneCache = () =>
+	runTransaction('readwrite', (store) => {
+		const request = store.index('storedAt').openCursor();
+		request.onsuccess = () => {
+			const cursor = request.result;
+			if (!cursor || storedBytes <= MAX_CACHE_BYTES) {
+				return;
+			}
+			storedBytes -= cursor.value.size;
+			cursor.delete();
+			cursor.continue();
+		};
+	});
+
+const persistEntry = async (entry) => {
+	if (!(await openDatabase())) {
+		return;
+	}
+	await measureStoredBytes();
+	let previousSize = 0;
+	await runTransaction('readwrite', (store) => {
+		const request = store.get(entry.key);
+		request.onsuccess = () => {
+			previousSize = request.result?.size || 0;
+			store.put(entry);
+		};
+	});
+	storedBytes += entry.size - previousSize;
+	if (storedBytes > MAX_CACHE_BYTES) {
+		await pruneCache();
+	}
+};
+
+// `ttlMs` is required: an entry with no expiry would be served forever.
+export const readCachedResponse = async (key, ttlMs) => {
+	if (!Number.isFinite(ttlMs)) {
+		throw new TypeError(`readCachedResponse needs a ttlMs for ${key}`);
+	}
+	let entry = memoryCache.get(key);
+	if (!entry) {
+		try {
+			entry = await runTransaction('readonly', (store) => store.get(key));
+		} catch (error) {
+			console.warn('Unable to read cached response', error);
+		}
+	}
+	if (!entry || Date.now() - entry.storedAt > ttlMs) {
+		return null;
+	}
+	rememberEntry(entry);
+	return entry;
+};
+
+export const writeCachedResponse = async (key, data) => {
+	const entry = { key, data, storedAt: Date.now(), size: JSON.stringify(data).length };
+	rememberEntry(entry);
+	try {
+		await persistEntry(entry);
+	} catch (error) {
+		// The running total may no longer match the store; measure it again on the next write.
+		storedBytes = null;
+		console.warn('Unable to persist cached response', error);
+	}
+	return entry;
+};
@@ -0,0 +1,112 @@
+import { t } from '../i18n/index.js';
+import { haversineDistance } from '../utils/geo.js';
+import { normalizeBaseUrl } from '../utils/url.js';
+
+const ROUTING_API_BASE_URL = normalizeBaseUrl(import.meta.env.VITE_ROUTING_API_BASE_URL);
+
+export const ROUTING_PROFILES = [
+	{ id: 'walk', labelKey: 'directions.profile.walk', profile: 'foot', speedKmh: 5 },
+	{ id: 'bike', labelKey: 'directions.profile.bike', profile: 'bike', speedKmh: 15 },
+	{ id: 'drive', labelKey: 'directions.profile.drive', profile: 'car', speedKmh: 30 },
+];
+
+export const isRoutingConfigured = () => Boolean(ROUTING_API_BASE_URL);
+
+const findProfile = (profileId) => ROUTING_PROFILES.find((item) => item.id === profileId) || ROUTING_PROFILES[0];
+
+const MODIFIERS = ['uturn', 'sharp right', 'right', 'slight right', 'straight', 'slight left', 'left', 'sharp left'];
+
+const describeModifier = (modifier) =>
+	MODIFIERS.includes(modifier) ? t(`directions.modifier.${modifier.replace(' ', '_')}`) : modifier;
+
+// Steps keep the raw OSRM maneuver, so instructions are worded in the current UI language when rendered.
+export const describeStep = ({ maneuver = {}, name }) => {
+	const { type, modifier, exit } = maneuver;
+	const road = name ? t('directions.step.onto', { road: name }) : '';
+
+	if (type === 'depart') {
+		return name
+			? t('directions.step.departOn', { direction: describeModifier(modifier || 'straight'), road: name })
+			: t('directions.step.depart', { direction: describeModifier(modifier || 'straight') });
+	}
+	if (type === 'arrive') {
+		return t('directions.step.arrive');
+	}
+	if (type === 'roundabout' || type === 'rotary') {
+		return exit ? t('directions.step.roundaboutExit', { exit, road }) : t('directions.step.roundabout', { road });
+	}
+	if (modifier === 'uturn') {
+		return t('directions.step.uturn', { road });
+	}
+	if (!modifier || modifier === 'straight') {
+		return t('directions.step.straight', { road });
+	}
+	return t(type === 'turn' || type === 'end of road' ? 'directions.step.turn' : 'directions.step.keep', {
+		direction: describeModifier(modifier),
+		road,
+	});
+};
+
+export const straightLineRoute = (from, to, profileId, reason) => {
+	const distance = haversineDistance(from.lat, from.lon, to.lat, to.lon);
+	return {
+		source: 'straight',
+		reason,
+		distance,
+		duration: distance / ((findProfile(profileId).speedKmh * 1000) / 3600),
+		geometry: [
+			[from.lat, from.lon],
+			[to.lat, to.lon],
+		],
+		steps: [],
+	};
+};
+
+const requestRoute = async (from, to, profile, signal) => {
+	const coordinates = `${from.lon},${from.lat};${to.lon},${to.lat}`;
+	const url = `${ROUTING_API_BASE_URL}/route/v1/${profile.profile}/${coordinates}?overview=full&geometries=geojson&steps=true`;
+	const response = await fetch(url, { signal });
+
+	if (!response.ok) {
+		throw new Error(t('directions.error.status', { status: response.status }));
+	}
+
+	const data = await response.json();
+	const route = data?.code === 'Ok' ? data.routes?.[0] : null;
+	if (!route) {
+		throw new Error(data?.message || t('directions.error.noRoute'));
+	}
+
+	return {
+		source: 'osrm',
+		distance: route.distance,
+		duration: route.duration,
+		geometry: (route.geometry?.coordinates || []).map(([lon, lat]) => [lat, lon]),
+		steps: (route.legs || []).flatMap((leg) =>
+			(leg.steps || []).map((step) => ({
+				maneuver: {
+					type: step.maneuver?.type,
+					modifier: step.maneuver?.modifier,
+					exit: step.maneuver?.exit,
+				},
+				name: step.name || '',
+				distance: step.distance,
+			})),
+		),
+	};
+};
+
+export const fetchRoute = async (from, to, profileId, { signal } = {}) => {
+	if (!isRoutingConfigured()) {
+		return straightLineRoute(from, to, profileId, t('directions.error.notConfigured'));
+	}
+
+	try {
+		return await requestRoute(from, to, findProfile(profileId), signal);
+	} catch (error) {
+		if (error.name === 'AbortError') {
+			throw error;
+		}
+		return straightLineRoute(from, to, profileId, error.message || t('directions.error.unavailable'));
+	}
+};
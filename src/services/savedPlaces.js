@@ -0,0 +1,48 @@
+import {
+	collection,
+	deleteDoc,
+	doc,
+	onSnapshot,
+	orderBy,
+	query,
+	serverTimestamp,
+	setDoc,
+	updateDoc,
+} from 'firebase/firestore';
+import { db } from '../firebaseConfig.js';
+
+const savedPlacesCollection = (uid) => collection(db, 'users', uid, 'savedPlaces');
+
+export const toSavedPlaceId = (poiId) => String(poiId).replace(/\//g, '_');
+
+export const subscribeSavedPlaces = (uid, onChange, onError) =>
+	onSnapshot(
+		query(savedPlacesCollection(uid), orderBy('createdAt', 'desc')),
+		(snapshot) => {
+			onChange(snapshot.docs.map((entry) => ({ id: entry.id, ...entry.data() })));
+		},
+		onError,
+	);
+
+export const savePlace = (uid, poi) =>
+	setDoc(doc(savedPlacesCollection(uid), toSavedPlaceId(poi.id)), {
+		poiId: poi.id,
+		name: poi.name,
+		customName: '',
+		tags: [],
+		category: poi.category,
+		categoryKey: poi.categoryKey || 'other',
+		categoryValue: poi.categoryValue || null,
+		lat: poi.lat,
+		lon: poi.lon,
+		address: poi.address || null,
+		createdAt: serverTimestamp(),
+	});
+
+export const updateSavedPlace = (uid, placeId, changes) =>
+	updateDoc(doc(savedPlacesCollection(uid), placeId), {
+		...changes,
+		updatedAt: serverTimestamp(),
+	});
+
+export const deleteSavedPlace = (uid, placeId) => deleteDoc(doc(savedPlacesCollection(uid), placeId));
@@ -0,0 +1,167 @@
+import {
+	collection,
+	deleteDoc,
+	doc,
+	getDocs,
+	limit,
+	onSnapshot,
+	orderBy,
+	query,
+	setDoc,
+	writeBatch,
+} from 'firebase/firestore';
+import { db } from '../firebaseConfig.js';
+
+const HISTORY_LIMIT = 20;
+
+const historyCollection = (uid) => collection(db, 'users', uid, 'searchHistory');
+const storageKey = (uid) => `poi-map:search-history:${uid}`;
+// Ids written locally that Firestore has not confirmed yet, whether still queued offline or rejected.
+const pendingKey = (uid) => `poi-map:search-history-pending:${uid}`;
+
+const readLocalHistory = (uid) => {
+	try {
+		const parsed = JSON.parse(localStorage.getItem(storageKey(uid)) || '[]');
+		return Array.isArray(parsed) ? parsed : [];
+	} catch {
+		return [];
+	}
+};
+
+const writeLocalHistory = (uid, entries) => {
+	try {
+		localStorage.setItem(storageKey(uid), JSON.stringify(entries.slice(0, HISTORY_LIMIT)));
+	} catch (error) {
+		console.warn('Unable to persist search history locally', error);
+	}
+};
+
+const readPendingIds = (uid) => {
+	try {
+		const parsed = JSON.parse(localStorage.getItem(pendingKey(uid)) || '[]');
+		return new Set(Array.isArray(parsed) ? parsed : []);
+	} catch {
+		return new Set();
+	}
+};
+
+const updatePendingIds = (uid, update) => {
+	const ids = readPendingIds(uid);
+	update(ids);
+	try {
+		localStorage.setItem(pendingKey(uid), JSON.stringify([...ids]));
+	} catch (error) {
+		console.warn('Unable to persist pending search history changes', error);
+	}
+};
+
+const byNewest = (a, b) => b.searchedAt - a.searchedAt;
+
+// One entry per searched point, so repeating a search refreshes its timestamp instead of duplicating it.
+export const toHistoryEntryId = (lat, lon) => `${lat.toFixed(5)}_${lon.toFixed(5)}`;
+
+export const subscribeSearchHistory = (uid, onChange) => {
+	onChange(readLocalHistory(uid));
+
+	return onSnapshot(
+		query(historyCollection(uid), orderBy('searchedAt', 'desc'), limit(HISTORY_LIMIT)),
+		(snapshot) => {
+			// Offline snapshots come from an empty memory cache; keep the local history until the server answers.
+			if (snapshot.metadata.fromCache) {
+				return;
+			}
+			// Searches whose write has not reached the server yet are kept on top of the server list.
+			const pendingIds = readPendingIds(uid);
+			const unsynced = readLocalHistory(uid).filter((item) => pendingIds.has(item.id));
+			const unsyncedIds = new Set(unsynced.map((item) => item.id));
+			const entries = [
+				...unsynced,
+				...snapshot.docs
+					.map((entry) => ({ id: entry.id, ...entry.data() }))
+					.filter((entry) => !unsyncedIds.has(entry.id)),
+			]
+				.sort(byNewest)
+				.slice(0, HISTORY_LIMIT);
+			writeLocalHistory(uid, entries);
+			onChange(entries);
+		},
+		(error) => {
+			console.warn('Search history sync unavailable, using local copy', error);
+		},
+	);
+};
+
+// Firestore writes only resolve once the server acknowledges them, so lists are returned straight away
+// and the writes finish in the background, as in translationHistory.js.
+const syncInBackground = (write, message) => {
+	write().catch((error) => console.warn(message, error));
+};
+
+export const addSearchHistoryEntry = (uid, { query: searchQuery, label, lat, lon, filters }) => {
+	const entry = {
+		id: toHistoryEntryId(lat, lon),
+		query: searchQuery || '',
+		label,
+		lat,
+		lon,
+		filters,
+		searchedAt: Date.now(),
+	};
+	const localEntries = [entry, ...readLocalHistory(uid).filter((item) => item.id !== entry.id)];
+	writeLocalHistory(uid, localEntries);
+	updatePendingIds(uid, (ids) => ids.add(entry.id));
+
+	syncInBackground(async () => {
+		const { id, ...data } = entry;
+		await setDoc(doc(historyCollection(uid), id), data);
+		updatePendingIds(uid, (ids) => ids.delete(id));
+	}, 'Unable to sync search history entry');
+
+	return localEntries.slice(0, HISTORY_LIMIT);
+};
+
+// Used when a guest signs in to an existing account: the guest's searches join that account's history.
+export const moveGuestSearchHistory = (guestUid, uid) => {
+	const guestEntries = readLocalHistory(guestUid);
+	if (guestEntries.length === 0) {
+		return;
+	}
+	const guestIds = new Set(guestEntries.map((entry) => entry.id));
+	const merged = [...guestEntries, ...readLocalHistory(uid).filter((item) => !guestIds.has(item.id))].sort(byNewest);
+	writeLocalHistory(uid, merged);
+	updatePendingIds(uid, (ids) => guestIds.forEach((id) => ids.add(id)));
+
+	syncInBackground(async () => {
+		const batch = writeBatch(db);
+		guestEntries.forEach(({ id, ...data }) => batch.set(doc(historyCollection(uid), id), data));
+		await batch.commit();
+		updatePendingIds(uid, (ids) => guestIds.forEach((id) => ids.delete(id)));
+	}, 'Unable to sync guest search history');
+};
+
+export const deleteSearchHistoryEntry = (uid, entryId) => {
+	const localEntries = readLocalHistory(uid).filter((item) => item.id !== entryId);
+	writeLocalHistory(uid, localEntries);
+	updatePendingIds(uid, (ids) => ids.delete(entryId));
+
+	syncInBackground(
+		() => deleteDoc(doc(historyCollection(uid), entryId)),
+		'Unable to sync search history deletion',
+	);
+
+	return localEntries;
+};
+
+export const clearSearchHistory = (uid) => {
+	writeLocalHistory(uid, []);
+	updatePendingIds(uid, (ids) => ids.clear());
+
+	syncInBackground(async () => {
+		const snapshot = await getDocs(historyCollection(uid));
+		const batch = writeBatch(db);
+		snapshot.docs.forEach((entry) => batch.delete(entry.ref));
+		await batch.commit();
+	}, 'Unable to sync clearing search history');
+
+	return [];
+};
@@ -0,0 +1,80 @@
+import { getLocale } from '../i18n/index.js';
+
+const getRecognitionClass = () =>
+	typeof window === 'undefined' ? null : window.SpeechRecognition || window.webkitSpeechRecognition || null;
+
+const getSynthesis = () => (typeof window === 'undefined' ? null : window.speechSynthesis || null);
+
+export const isDictationSupported = () => Boolean(getRecognitionClass());
+
+export const isSpeechOutputSupported = () => Boolean(getSynthesis() && window.SpeechSynthesisUtterance);
+
+// Voices load asynchronously in Chrome, so callers subscribe and re-check when the list changes.
+export const subscribeVoices = (onChange) => {
+	const synthesis = getSynthesis();
+	if (!synthesis) {
+		onChange([]);
+		return () => {};
+	}
+	const update = () => onChange(synthesis.getVoices());
+	update();
+	synthesis.addEventListener('voiceschanged', update);
+	return () => synthesis.removeEventListener('voiceschanged', update);
+};
+
+export const findVoice = (voices, language) => {
+	const matching = voices.filter((voice) => voice.lang?.toLowerCase().replace('_', '-').startsWith(language));
+	return matching.find((voice) => voice.lang === getLocale(language)) || matching[0] || null;
+};
+
+const idleDictation = { stop: () => {}, abort: () => {} };
+
+// Streams interim and final transcripts until the speaker goes quiet; `stop` keeps what was heard, `abort` drops it.
+// Every failure reports `onError` and then `onEnd`, so callers can always leave their listening state.
+export const startDictation = (language, { onTranscript, onEnd, onError }) => {
+	const fail = (code) => {
+		onError?.(code);
+		onEnd?.();
+		return idleDictation;
+	};
+
+	const Recognition = getRecognitionClass();
+	if (!Recognition) {
+		return fail('unsupported');
+	}
+
+	const recognition = new Recognition();
+	recognition.lang = getLocale(language);
+	recognition.interimResults = true;
+	recognition.continuous = false;
+	recognition.onresult = (event) => {
+		const transcript = Array.from(event.results)
+			.map((result) => result[0]?.transcript || '')
+			.join('');
+		onTranscript?.(transcript.trim());
+	};
+	recognition.onerror = (event) => onError?.(event.error);
+	recognition.onend = () => onEnd?.();
+	try {
+		recognition.start();
+	} catch (error) {
+		// start() throws InvalidStateError when a recognition is already running, and fires no events then.
+		console.warn('Unable to start dictation', error);
+		return fail('start-failed');
+	}
+
+	return { stop: () => recognition.stop(), abort: () => recognition.abort() };
+};
+
+export const speakText = (text, voice, { onEnd } = {}) => {
+	const synthesis = getSynthesis();
+	synthesis.cancel();
+	const utterance = new window.SpeechSynthesisUtterance(text);
+	utterance.voice = voice;
+	utterance.lang = voice.lang;
+	utterance.onend = () => onEnd?.();
+	utterance.onerror = () => onEnd?.();
+	synthesis.speak(utterance);
+
+	return () => synthesis.cancel();
+};
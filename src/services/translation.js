@@ -0,0 +1,130 @@
+import { t } from '../i18n/index.js';
+import { detectTextLanguage } from '../utils/language.js';
+import { normalizeBaseUrl } from '../utils/url.js';
+import { CACHE_TTL, isAbortError } from './http.js';
+import { readCachedResponse, writeCachedResponse } from './responseCache.js';
+
+const TRANSLATION_API_BASE_URL = normalizeBaseUrl(import.meta.env.VITE_TRANSLATION_API_BASE_URL);
+const TRANSLATION_ENDPOINT = TRANSLATION_API_BASE_URL ? `${TRANSLATION_API_BASE_URL}/translate` : '';
+
+export const TRANSLATION_LANGUAGES = ['en', 'vi'];
+
+// Parallel requests per batch; the backend proxies a rate-limited HuggingFace endpoint.
+const BATCH_CONCURRENCY = 3;
+
+export const isTranslationConfigured = () => Boolean(TRANSLATION_ENDPOINT);
+
+export const otherLanguage = (language) => (language === 'vi' ? 'en' : 'vi');
+
+const readErrorDetail = async (response) => {
+	const errorText = await response.text();
+	try {
+		const parsed = JSON.parse(errorText || '{}');
+		if (typeof parsed?.detail === 'string') {
+			return parsed.detail;
+		}
+		if (typeof parsed?.error === 'string') {
+			return parsed.error;
+		}
+	} catch {
+		/* ignore malformed payloads */
+	}
+	return '';
+};
+
+export const translateText = async (text, { source, target, signal } = {}) => {
+	if (!isTranslationConfigured()) {
+		throw new Error(t('translator.notConfigured'));
+	}
+
+	const response = await fetch(TRANSLATION_ENDPOINT, {
+		method: 'POST',
+		headers: {
+			'Content-Type': 'application/json',
+			Accept: 'application/json',
+		},
+		body: JSON.stringify({
+			text,
+			source_lang: source,
+			target_lang: target,
+		}),
+		signal,
+	});
+
+	if (!response.ok) {
+		const detail = await readErrorDetail(response);
+		throw new Error(detail || t('translator.status', { status: response.status }));
+	}
+
+	const data = await response.json();
+	const translatedText = typeof data?.translated_text === 'string' ? data.translated_text.trim() : '';
+	if (!translatedText) {
+		throw new Error(t('translator.emptyResult'));
+	}
+
+	return { translatedText, modelId: data.model_id || '' };
+};
+
+// Caches the full response so repeated phrases and retried chunks keep their model id.
+const translateCached = async (text, { source, target, signal }) => {
+	const cacheKey = `translate:${source}>${target}:${text}`;
+	const cached = await readCachedResponse(cacheKey, CACHE_TTL.translation);
+	if (cached?.data?.translatedText) {
+		return cached.data;
+	}
+	const response = await translateText(text, { source, target, signal });
+	await writeCachedResponse(cacheKey, response);
+	return response;
+};
+
+// Runs `task` over `items` with at most BATCH_CONCURRENCY in flight; an abort stops every worker.
+const runBatch = async (items, task) => {
+	let cursor = 0;
+	const worker = async () => {
+		while (cursor < items.length) {
+			const index = cursor;
+			cursor += 1;
+			await task(items[index], index);
+		}
+	};
+	await Promise.all(Array.from({ length: Math.min(BATCH_CONCURRENCY, items.length) }, worker));
+};
+
+// Translates short texts such as POI names into `target`, skipping ones already in that language.
+// Individual failures are counted instead of thrown so one bad name does not hide the rest.
+export const translateTexts = async (texts, { target, signal } = {}) => {
+	const pending = [...new Set(texts.map((text) => text?.trim()).filter(Boolean))].filter(
+		(text) => detectTextLanguage(text) !== target,
+	);
+	const translations = {};
+	let failed = 0;
+
+	await runBatch(pending, async (text) => {
+		try {
+			const { translatedText } = await translateCached(text, { source: otherLanguage(target), target, signal });
+			translations[text] = translatedText;
+		} catch (error) {
+			if (isAbortError(error)) {
+				throw error;
+			}
+			failed += 1;
+		}
+	});
+	return { translations, failed };
+};
+
+// Translates the chunks of a long text, reporting each one as it settles so callers can show progress
+// and retry failed chunks on their own.
+export const translateChunks = async (chunks, { source, target, signal, onChunk }) => {
+	await runBatch(chunks, async (chunk, index) => {
+		try {
+			const response = await translateCached(chunk, { source, target, signal });
+			onChunk?.(index, { status: 'done', ...response });
+		} catch (error) {
+			if (isAbortError(error)) {
+				throw error;
+			}
+			onChunk?.(index, { status: 'failed', error: error.message || t('translator.failed') });
+		}
+	});
+};
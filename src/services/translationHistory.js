@@ -0,0 +1,194 @@
+import {
+	collection,
+	deleteDoc,
+	doc,
+	onSnapshot,
+	orderBy,
+	query,
+	setDoc,
+	writeBatch,
+} from 'firebase/firestore';
+import { db } from '../firebaseConfig.js';
+
+const HISTORY_LIMIT = 100;
+
+export const PHRASEBOOK_TOPICS = [
+	{ id: 'food', labelKey: 'phrasebook.topic.food' },
+	{ id: 'transport', labelKey: 'phrasebook.topic.transport' },
+	{ id: 'emergency', labelKey: 'phrasebook.topic.emergency' },
+	{ id: 'other', labelKey: 'phrasebook.topic.other' },
+];
+
+const translationsCollection = (uid) => collection(db, 'users', uid, 'translations');
+const storageKey = (uid) => `poi-map:translations:${uid}`;
+
+const readLocalEntries = (uid) => {
+	try {
+		const parsed = JSON.parse(localStorage.getItem(storageKey(uid)) || '[]');
+		return Array.isArray(parsed) ? parsed : [];
+	} catch {
+		return [];
+	}
+};
+
+const writeLocalEntries = (uid, entries) => {
+	try {
+		localStorage.setItem(storageKey(uid), JSON.stringify(entries));
+	} catch (error) {
+		console.warn('Unable to persist translation history locally', error);
+	}
+};
+
+const byNewest = (a, b) => b.translatedAt - a.translatedAt;
+
+// Starred entries belong to the phrasebook and are never trimmed; only plain history is capped.
+const splitOverflow = (entries) => {
+	const kept = [];
+	const dropped = [];
+	let plainCount = 0;
+	[...entries].sort(byNewest).forEach((entry) => {
+		if (entry.starred || plainCount < HISTORY_LIMIT) {
+			plainCount += entry.starred ? 0 : 1;
+			kept.push(entry);
+		} else {
+			dropped.push(entry);
+		}
+	});
+	return { kept, dropped };
+};
+
+// One entry per text and direction, so translating the same phrase again refreshes it instead of duplicating it.
+export const toTranslationEntryId = (sourceText, source, target) => {
+	let hash = 0;
+	for (let index = 0; index < sourceText.length; index += 1) {
+		hash = (hash * 31 + sourceText.charCodeAt(index)) >>> 0;
+	}
+	return `${source}-${target}_${hash.toString(36)}_${sourceText.length}`;
+};
+
+export const subscribeTranslationHistory = (uid, onChange) => {
+	onChange(readLocalEntries(uid));
+
+	return onSnapshot(
+		query(translationsCollection(uid), orderBy('translatedAt', 'desc')),
+		(snapshot) => {
+			// Offline snapshots come from an empty memory cache; keep the local phrasebook until the server answers.
+			if (snapshot.metadata.fromCache) {
+				return;
+			}
+			const entries = snapshot.docs.map((entry) => ({ id: entry.id, ...entry.data() }));
+			writeLocalEntries(uid, entries);
+			onChange(entries);
+		},
+		(error) => {
+			console.warn('Translation history sync unavailable, using local copy', error);
+		},
+	);
+};
+
+// Firestore writes only resolve once the server acknowledges them, which never happens offline.
+// The local list is returned straight away and the write is left to finish in the background.
+const syncInBackground = (write, message) => {
+	write().catch((error) => console.warn(message, error));
+};
+
+export const addTranslationHistoryEntry = (uid, { sourceText, translatedText, source, target, modelId }) => {
+	const id = toTranslationEntryId(sourceText, source, target);
+	const localEntries = readLocalEntries(uid);
+	const previous = localEntries.find((item) => item.id === id);
+	const data = {
+		sourceText,
+		translatedText,
+		source,
+		target,
+		modelId: modelId || '',
+		translatedAt: Date.now(),
+	};
+	const entry = { starred: false, topic: null, ...previous, ...data, id };
+	const { kept, dropped } = splitOverflow([entry, ...localEntries.filter((item) => item.id !== id)]);
+	writeLocalEntries(uid, kept);
+
+	syncInBackground(async () => {
+		// Merge so a re-translation keeps the star and topic the entry already had.
+		await setDoc(doc(translationsCollection(uid), id), previous ? data : { ...data, starred: false, topic: null }, {
+			merge: true,
+		});
+		if (dropped.length > 0) {
+			const batch = writeBatch(db);
+			dropped.forEach((item) => batch.delete(doc(translationsCollection(uid), item.id)));
+			await batch.commit();
+		}
+	}, 'Unable to sync translation history entry');
+
+	return kept;
+};
+
+// Used when a guest signs in to an existing account. Star and topic are only written when set, so a
+// phrase the account already keeps in its phrasebook stays there.
+export const moveGuestTranslationHistory = (guestUid, uid) => {
+	const guestEntries = readLocalEntries(guestUid);
+	if (guestEntries.length === 0) {
+		return;
+	}
+	const localEntries = readLocalEntries(uid);
+	const merged = guestEntries.map((entry) => {
+		const previous = localEntries.find((item) => item.id === entry.id);
+		return previous?.starred && !entry.starred ? { ...entry, starred: true, topic: previous.topic } : entry;
+	});
+	const guestIds = new Set(guestEntries.map((entry) => entry.id));
+	const { kept, dropped } = splitOverflow([...merged, ...localEntries.filter((item) => !guestIds.has(item.id))]);
+	writeLocalEntries(uid, kept);
+
+	syncInBackground(async () => {
+		const batch = writeBatch(db);
+		guestEntries.forEach(({ id, starred, topic, ...data }) => {
+			batch.set(doc(translationsCollection(uid), id), starred ? { ...data, starred, topic } : data, { merge: true });
+		});
+		dropped.forEach((item) => batch.delete(doc(translationsCollection(uid), item.id)));
+		await batch.commit();
+	}, 'Unable to sync guest translation history');
+};
+
+export const setPhrasebookTopic = (uid, entryId, topic) => {
+	const changes = { starred: Boolean(topic), topic: topic || null };
+	const localEntries = readLocalEntries(uid).map((item) => (item.id === entryId ? { ...item, ...changes } : item));
+	writeLocalEntries(uid, localEntries);
+
+	// Write the whole entry so a phrase saved while offline still reaches Firestore complete.
+	const { id, ...data } = localEntries.find((item) => item.id === entryId) || { id: entryId, ...changes };
+	syncInBackground(
+		() => setDoc(doc(translationsCollection(uid), id), data, { merge: true }),
+		'Unable to sync phrasebook change',
+	);
+
+	return localEntries;
+};
+
+export const deleteTranslationHistoryEntry = (uid, entryId) => {
+	const localEntries = readLocalEntries(uid).filter((item) => item.id !== entryId);
+	writeLocalEntries(uid, localEntries);
+
+	syncInBackground(
+		() => deleteDoc(doc(translationsCollection(uid), entryId)),
+		'Unable to sync translation history deletion',
+	);
+
+	return localEntries;
+};
+
+// Clearing history leaves the phrasebook alone.
+export const clearTranslationHistory = (uid) => {
+	const localEntries = readLocalEntries(uid);
+	const starred = localEntries.filter((item) => item.starred);
+	writeLocalEntries(uid, starred);
+
+	syncInBackground(async () => {
+		const batch = writeBatch(db);
+		localEntries
+			.filter((item) => !item.starred)
+			.forEach((item) => batch.delete(doc(translationsCollection(uid), item.id)));
+		await batch.commit();
+	}, 'Unable to sync clearing translation history');
+
+	return starred;
+};
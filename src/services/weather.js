@@ -0,0 +1,101 @@
+import { t } from '../i18n/index.js';
+import { CACHE_TTL, cachedFetchJson } from './http.js';
+
+const WEATHER_ENDPOINT = 'https://api.open-meteo.com/v1/forecast';
+
+const KNOWN_WEATHER_CODES = [
+	0, 1, 2, 3, 45, 48, 51, 53, 55, 56, 57, 61, 63, 65, 66, 67, 71, 73, 75, 77, 80, 81, 82, 85, 86, 95, 96, 99,
+];
+
+export const describeWeatherCode = (code) =>
+	KNOWN_WEATHER_CODES.includes(code) ? t(`weather.code.${code}`) : t('weather.code.unknown');
+
+const WEATHER_ICONS = [
+	{ codes: [0], icon: '☀️' },
+	{ codes: [1], icon: '🌤️' },
+	{ codes: [2], icon: '⛅' },
+	{ codes: [3], icon: '☁️' },
+	{ codes: [45, 48], icon: '🌫️' },
+	{ codes: [51, 53, 55, 56, 57], icon: '🌦️' },
+	{ codes: [61, 63, 66, 80, 81], icon: '🌧️' },
+	{ codes: [65, 67, 82], icon: '⛈️' },
+	{ codes: [71, 73, 75, 77, 85, 86], icon: '🌨️' },
+	{ codes: [95, 96, 97, 98, 99], icon: '🌩️' },
+];
+
+export const getWeatherIcon = (code) => WEATHER_ICONS.find((entry) => entry.codes.includes(code))?.icon || '❔';
+
+// Moderate/heavy rain, violent showers and every thunderstorm code.
+export const SEVERE_WEATHER_CODES = [63, 65, 82, 95, 96, 97, 98, 99];
+
+const HOURLY_FIELDS = 'temperature_2m,precipitation_probability,windspeed_10m,weathercode';
+const DAILY_FIELDS = 'weathercode,temperature_2m_max,temperature_2m_min,precipitation_probability_max,windspeed_10m_max';
+const FORECAST_HOURS = 48;
+const FORECAST_DAYS = 7;
+
+const toSeries = (block, mapper) =>
+	(block?.time || []).map((time, index) => mapper(time, (field) => block[field]?.[index] ?? null));
+
+// The first hourly slot is the hour of the current observation, so the chart starts at "now".
+const toHourlyForecast = (hourly, currentTime) =>
+	toSeries(hourly, (time, value) => ({
+		time,
+		temperature: value('temperature_2m'),
+		precipitationProbability: value('precipitation_probability'),
+		windSpeed: value('windspeed_10m'),
+		code: value('weathercode'),
+	}))
+		.filter((hour) => !currentTime || hour.time >= currentTime.slice(0, 13))
+		.slice(0, FORECAST_HOURS);
+
+const toDailyForecast = (daily) =>
+	toSeries(daily, (date, value) => ({
+		date,
+		code: value('weathercode'),
+		temperatureMax: value('temperature_2m_max'),
+		temperatureMin: value('temperature_2m_min'),
+		precipitationProbability: value('precipitation_probability_max'),
+		windSpeed: value('windspeed_10m_max'),
+	}));
+
+export const findWeatherAlerts = ({ hourly = [], daily = [] }) => {
+	const severeHours = hourly.filter((hour) => SEVERE_WEATHER_CODES.includes(hour.code));
+	const severeDays = daily.filter((day) => SEVERE_WEATHER_CODES.includes(day.code));
+	return [
+		...(severeHours.length > 0
+			? [{ scope: 'hourly', code: severeHours[0].code, time: severeHours[0].time, count: severeHours.length }]
+			: []),
+		...severeDays.map((day) => ({ scope: 'daily', code: day.code, time: day.date, count: 1 })),
+	];
+};
+
+export const fetchWeather = async (latitude, longitude, { signal } = {}) => {
+	const url =
+		`${WEATHER_ENDPOINT}?latitude=${latitude}&longitude=${longitude}&current_weather=true` +
+		`&hourly=${HOURLY_FIELDS}&daily=${DAILY_FIELDS}&forecast_days=${FORECAST_DAYS}&timezone=auto`;
+
+	try {
+		const { data, cachedAt, fromCache } = await cachedFetchJson(url, { ttl: CACHE_TTL.weather, signal });
+		if (!data?.current_weather) {
+			return null;
+		}
+		const { temperature, windspeed, winddirection, weathercode, time: observationTime } = data.current_weather;
+		return {
+			temperature,
+			windSpeed: windspeed,
+			windDirection: winddirection,
+			code: weathercode,
+			observationTime,
+			hourly: toHourlyForecast(data.hourly, observationTime),
+			daily: toDailyForecast(data.daily),
+			cachedAt,
+			fromCache,
+		};
+	} catch (error) {
+		if (error.name === 'AbortError') {
+			throw error;
+		}
+		console.warn('Weather data unavailable', error);
+		return null;
+	}
+};
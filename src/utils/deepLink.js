@@ -0,0 +1,78 @@
+import {
+	DEFAULT_POI_FILTERS,
+	POI_CATEGORY_GROUPS,
+	RADIUS_OPTIONS,
+	RESULT_LIMIT_OPTIONS,
+	categoryId,
+} from '../services/overpass.js';
+
+// The search, map view, filters and selected POI live in the query string so a view can be shared:
+// ?q=Hồ Gươm&lat=21.02880&lon=105.85230&map=16/21.02900/105.85200&radius=1000&limit=20&cat=amenity=cafe&poi=node/123
+const COORDINATE_DIGITS = 5;
+const KNOWN_CATEGORIES = new Set(POI_CATEGORY_GROUPS.flatMap((group) => group.options.map(categoryId)));
+
+const readNumber = (value, min, max) => {
+	const number = Number.parseFloat(value);
+	return Number.isFinite(number) && number >= min && number <= max ? number : null;
+};
+
+const readFilters = (params) => {
+	if (!['radius', 'limit', 'cat'].some((name) => params.has(name))) {
+		return null;
+	}
+	const radius = Number(params.get('radius'));
+	const limit = Number(params.get('limit'));
+	const categories = (params.get('cat') || '').split(',').filter((id) => KNOWN_CATEGORIES.has(id));
+	return {
+		radius: RADIUS_OPTIONS.includes(radius) ? radius : DEFAULT_POI_FILTERS.radius,
+		limit: RESULT_LIMIT_OPTIONS.includes(limit) ? limit : DEFAULT_POI_FILTERS.limit,
+		categories: categories.length > 0 ? categories : DEFAULT_POI_FILTERS.categories,
+	};
+};
+
+const readView = (value) => {
+	const [zoom, lat, lon] = (value || '').split('/');
+	const view = { zoom: readNumber(zoom, 1, 19), lat: readNumber(lat, -90, 90), lon: readNumber(lon, -180, 180) };
+	return Object.values(view).every((part) => part !== null) ? view : null;
+};
+
+// Returns null when the URL holds no search, so plain visits start empty as before.
+export const readDeepLink = (search = window.location.search) => {
+	const params = new URLSearchParams(search);
+	const lat = readNumber(params.get('lat'), -90, 90);
+	const lon = readNumber(params.get('lon'), -180, 180);
+	if (lat === null || lon === null) {
+		return null;
+	}
+	const query = (params.get('q') || '').trim();
+	return {
+		place: { query, label: query || `${lat.toFixed(COORDINATE_DIGITS)}, ${lon.toFixed(COORDINATE_DIGITS)}`, lat, lon },
+		filters: readFilters(params),
+		isOpenNowOnly: params.get('open') === '1',
+		view: readView(params.get('map')),
+		poiId: params.get('poi') || null,
+	};
+};
+
+export const buildDeepLink = ({ place, filters, isOpenNowOnly, view, poiId }) => {
+	const params = new URLSearchParams();
+	params.set('q', place.label || place.query || '');
+	params.set('lat', place.lat.toFixed(COORDINATE_DIGITS));
+	params.set('lon', place.lon.toFixed(COORDINATE_DIGITS));
+	if (view) {
+		params.set(
+			'map',
+			`${Math.round(view.zoom)}/${view.center.lat.toFixed(COORDINATE_DIGITS)}/${view.center.lon.toFixed(COORDINATE_DIGITS)}`,
+		);
+	}
+	params.set('radius', String(filters.radius));
+	params.set('limit', String(filters.limit));
+	params.set('cat', filters.categories.join(','));
+	if (isOpenNowOnly) {
+		params.set('open', '1');
+	}
+	if (poiId) {
+		params.set('poi', poiId);
+	}
+	return `?${params.toString()}`;
+};
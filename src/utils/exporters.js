@@ -0,0 +1,157 @@
+const EXPORT_CREATOR = 'Vietnam POI Explorer';
+
+const escapeXml = (value) =>
+	String(value ?? '')
+		.replace(/&/g, '&amp;')
+		.replace(/</g, '&lt;')
+		.replace(/>/g, '&gt;')
+		.replace(/"/g, '&quot;')
+		.replace(/'/g, '&apos;');
+
+// Names and tags come from OSM, so text that a spreadsheet would run as a formula is prefixed with '.
+// Numbers are left alone: a negative coordinate is not a formula.
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const escapeCsv = (value) => {
+	const raw = value === null || value === undefined ? '' : String(value);
+	const text = typeof value === 'string' && FORMULA_PREFIX.test(raw) ? `'${raw}` : raw;
+	return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toRecords = (center, pois) => [
+	{
+		type: 'center',
+		id: null,
+		name: center.label,
+		category: 'Search center',
+		lat: center.lat,
+		lon: center.lon,
+		distance: 0,
+		address: null,
+		tags: {},
+	},
+	...pois.map((poi) => ({ type: 'poi', ...poi, tags: poi.tags || {} })),
+];
+
+export const toGeoJson = (center, pois) =>
+	JSON.stringify(
+		{
+			type: 'FeatureCollection',
+			features: toRecords(center, pois).map((record) => ({
+				type: 'Feature',
+				id: record.id ?? undefined,
+				geometry: { type: 'Point', coordinates: [record.lon, record.lat] },
+				properties: {
+					role: record.type,
+					name: record.name,
+					category: record.category,
+					distance_m: Math.round(record.distance),
+					address: record.address,
+					tags: record.tags,
+				},
+			})),
+		},
+		null,
+		2,
+	);
+
+export const toCsv = (center, pois) => {
+	const header = ['type', 'name', 'category', 'lat', 'lon', 'distance_m', 'address', 'osm_id', 'tags'];
+	const rows = toRecords(center, pois).map((record) =>
+		[
+			record.type,
+			record.name,
+			record.category,
+			record.lat,
+			record.lon,
+			Math.round(record.distance),
+			record.address,
+			record.id,
+			JSON.stringify(record.tags),
+		]
+			.map(escapeCsv)
+			.join(','),
+	);
+	return `\uFEFF${[header.join(','), ...rows].join('\r\n')}`;
+};
+
+export const toGpx = (center, pois) => {
+	const waypoints = toRecords(center, pois)
+		.map((record) => {
+			const tags = Object.entries(record.tags)
+				.map(([key, value]) => `\n\t\t\t<osm:tag k="${escapeXml(key)}" v="${escapeXml(value)}" />`)
+				.join('');
+			return [
+				`\t<wpt lat="${record.lat}" lon="${record.lon}">`,
+				`\t\t<name>${escapeXml(record.name)}</name>`,
+				`\t\t<desc>${escapeXml(record.address || record.category)}</desc>`,
+				`\t\t<type>${escapeXml(record.category)}</type>`,
+				tags ? `\t\t<extensions>${tags}\n\t\t</extensions>` : null,
+				'\t</wpt>',
+			]
+				.filter(Boolean)
+				.join('\n');
+		})
+		.join('\n');
+
+	return `<?xml version="1.0" encoding="UTF-8"?>
+<gpx version="1.1" creator="${EXPORT_CREATOR}" xmlns="http://www.topografix.com/GPX/1/1" xmlns:osm="https://www.openstreetmap.org/">
+	<metadata>
+		<name>${escapeXml(center.label)}</name>
+		<time>${new Date().toISOString()}</time>
+	</metadata>
+${waypoints}
+</gpx>
+`;
+};
+
+export const toKml = (center, pois) => {
+	const placemarks = toRecords(center, pois)
+		.map((record) => {
+			const data = Object.entries({
+				category: record.category,
+				distance_m: Math.round(record.distance),
+				address: record.address || '',
+				osm_id: record.id || '',
+				...Object.fromEntries(Object.entries(record.tags).map(([key, value]) => [`tag:${key}`, value])),
+			})
+				.map(([key, value]) => `\n\t\t\t\t<Data name="${escapeXml(key)}"><value>${escapeXml(value)}</value></Data>`)
+				.join('');
+			return `\t\t<Placemark>
+			<name>${escapeXml(record.name)}</name>
+			<description>${escapeXml(record.address || record.category)}</description>
+			<ExtendedData>${data}
+			</ExtendedData>
+			<Point><coordinates>${record.lon},${record.lat},0</coordinates></Point>
+		</Placemark>`;
+		})
+		.join('\n');
+
+	return `<?xml version="1.0" encoding="UTF-8"?>
+<kml xmlns="http://www.opengis.net/kml/2.2">
+	<Document>
+		<name>${escapeXml(center.label)}</name>
+${placemarks}
+	</Document>
+</kml>
+`;
+};
+
+export const EXPORT_FORMATS = [
+	{ id: 'geojson', label: 'GeoJSON', extension: 'geojson', mimeType: 'application/geo+json', serialize: toGeoJson },
+	{ id: 'csv', label: 'CSV', extension: 'csv', mimeType: 'text/csv;charset=utf-8', serialize: toCsv },
+	{ id: 'gpx', label: 'GPX', extension: 'gpx', mimeType: 'application/gpx+xml', serialize: toGpx },
+	{ id: 'kml', label: 'KML', extension: 'kml', mimeType: 'application/vnd.google-earth.kml+xml', serialize: toKml },
+];
+
+export const downloadFile = (content, filename, mimeType) => {
+	const blob = new Blob([content], { type: mimeType });
+	const url = URL.createObjectURL(blob);
+	const link = document.createElement('a');
+	link.href = url;
+	link.download = filename;
+	document.body.appendChild(link);
+	link.click();
+	link.remove();
+	setTimeout(() => URL.revokeObjectURL(url), 0);
+};
@@ -0,0 +1,289 @@
+import { t } from '../i18n/index.js';
+
+const SUPPORTED_EXTENSIONS = ['geojson', 'json', 'gpx', 'kml'];
+
+const byTag = (node, tagName) => Array.from(node.getElementsByTagNameNS('*', tagName));
+
+const childText = (node, tagName) => {
+	const child = Array.from(node.children).find((element) => element.localName === tagName);
+	return child?.textContent?.trim() || '';
+};
+
+const toFeature = (geometry, properties = {}) => ({ type: 'Feature', geometry, properties });
+
+const parseXml = (text) => {
+	const xml = new DOMParser().parseFromString(text, 'application/xml');
+	if (xml.getElementsByTagName('parsererror').length > 0) {
+		throw new Error(t('import.invalidXml'));
+	}
+	return xml;
+};
+
+const isPosition = (position) => Array.isArray(position) && position.length >= 2 && position.every(Number.isFinite);
+
+// Nodes without a usable lat/lon are dropped rather than turned into NaN markers.
+const gpxPoint = (node) => [parseFloat(node.getAttribute('lon')), parseFloat(node.getAttribute('lat'))];
+
+const gpxPoints = (nodes) => nodes.map(gpxPoint).filter(isPosition);
+
+const parseGpx = (text) => {
+	const xml = parseXml(text);
+	const features = [];
+
+	byTag(xml, 'wpt').forEach((waypoint) => {
+		const position = gpxPoint(waypoint);
+		if (!isPosition(position)) {
+			return;
+		}
+		features.push(
+			toFeature(
+				{ type: 'Point', coordinates: position },
+				{ name: childText(waypoint, 'name'), description: childText(waypoint, 'desc') },
+			),
+		);
+	});
+
+	byTag(xml, 'trk').forEach((track) => {
+		const segments = byTag(track, 'trkseg')
+			.map((segment) => gpxPoints(byTag(segment, 'trkpt')))
+			.filter((segment) => segment.length > 1);
+		if (segments.length > 0) {
+			features.push(
+				toFeature({ type: 'MultiLineString', coordinates: segments }, { name: childText(track, 'name') }),
+			);
+		}
+	});
+
+	byTag(xml, 'rte').forEach((route) => {
+		const points = gpxPoints(byTag(route, 'rtept'));
+		if (points.length > 1) {
+			features.push(toFeature({ type: 'LineString', coordinates: points }, { name: childText(route, 'name') }));
+		}
+	});
+
+	return { type: 'FeatureCollection', features };
+};
+
+// A missing <coordinates> element reads as no positions, so the Placemark is skipped below.
+const kmlCoordinates = (node) =>
+	(node?.textContent || '')
+		.trim()
+		.split(/\s+/)
+		.filter(Boolean)
+		.map((tuple) => tuple.split(',').slice(0, 2).map(Number))
+		.filter(isPosition);
+
+const kmlGeometry = (node) => {
+	switch (node.localName) {
+		case 'Point': {
+			const [position] = kmlCoordinates(byTag(node, 'coordinates')[0]);
+			return position ? { type: 'Point', coordinates: position } : null;
+		}
+		case 'LineString': {
+			const positions = kmlCoordinates(byTag(node, 'coordinates')[0]);
+			return positions.length > 1 ? { type: 'LineString', coordinates: positions } : null;
+		}
+		case 'Polygon': {
+			const [outer] = byTag(node, 'outerBoundaryIs').map((boundary) => kmlCoordinates(byTag(boundary, 'coordinates')[0]));
+			if (!outer || outer.length < 4) {
+				return null;
+			}
+			const inner = byTag(node, 'innerBoundaryIs')
+				.map((boundary) => kmlCoordinates(byTag(boundary, 'coordinates')[0]))
+				.filter((ring) => ring.length >= 4);
+			return { type: 'Polygon', coordinates: [outer, ...inner] };
+		}
+		case 'MultiGeometry': {
+			const geometries = Array.from(node.children).map(kmlGeometry).filter(Boolean);
+			return geometries.length > 0 ? { type: 'GeometryCollection', geometries } : null;
+		}
+		default:
+			return null;
+	}
+};
+
+const parseKml = (text) => {
+	const xml = parseXml(text);
+	const geometryTags = ['Point', 'LineString', 'Polygon', 'MultiGeometry'];
+
+	const features = byTag(xml, 'Placemark')
+		.map((placemark) => {
+			const geometryNode = Array.from(placemark.children).find((child) => geometryTags.includes(child.localName));
+			const geometry = geometryNode ? kmlGeometry(geometryNode) : null;
+			if (!geometry) {
+				return null;
+			}
+			const data = Object.fromEntries(
+				byTag(placemark, 'Data').map((entry) => [entry.getAttribute('name'), childText(entry, 'value')]),
+			);
+			return toFeature(geometry, {
+				...data,
+				name: childText(placemark, 'name'),
+				description: childText(placemark, 'description'),
+			});
+		})
+		.filter(Boolean);
+
+	return { type: 'FeatureCollection', features };
+};
+
+const positionList = (positions, minLength) => {
+	const valid = Array.isArray(positions) ? positions.filter(isPosition) : [];
+	return valid.length >= minLength ? valid : null;
+};
+
+const lineList = (lines, minLength) =>
+	Array.isArray(lines) ? lines.map((line) => positionList(line, minLength)).filter(Boolean) : [];
+
+const polygonRings = (rings) => {
+	const [outer, ...inner] = Array.isArray(rings) ? rings : [];
+	const outerRing = positionList(outer, 4);
+	return outerRing ? [outerRing, ...lineList(inner, 4)] : null;
+};
+
+// Leaflet throws on unknown geometry types and NaN positions while rendering, so GeoJSON gets the same
+// clean-up as GPX and KML: bad positions are dropped and geometries left with too few become null.
+const cleanGeometry = (geometry) => {
+	switch (geometry?.type) {
+		case 'Point':
+			return isPosition(geometry.coordinates) ? { type: 'Point', coordinates: geometry.coordinates } : null;
+		case 'MultiPoint': {
+			const coordinates = positionList(geometry.coordinates, 1);
+			return coordinates && { type: 'MultiPoint', coordinates };
+		}
+		case 'LineString': {
+			const coordinates = positionList(geometry.coordinates, 2);
+			return coordinates && { type: 'LineString', coordinates };
+		}
+		case 'MultiLineString': {
+			const coordinates = lineList(geometry.coordinates, 2);
+			return coordinates.length > 0 ? { type: 'MultiLineString', coordinates } : null;
+		}
+		case 'Polygon': {
+			const coordinates = polygonRings(geometry.coordinates);
+			return coordinates && { type: 'Polygon', coordinates };
+		}
+		case 'MultiPolygon': {
+			const coordinates = Array.isArray(geometry.coordinates)
+				? geometry.coordinates.map(polygonRings).filter(Boolean)
+				: [];
+			return coordinates.length > 0 ? { type: 'MultiPolygon', coordinates } : null;
+		}
+		case 'GeometryCollection': {
+			const geometries = Array.isArray(geometry.geometries)
+				? geometry.geometries.map(cleanGeometry).filter(Boolean)
+				: [];
+			return geometries.length > 0 ? { type: 'GeometryCollection', geometries } : null;
+		}
+		default:
+			return null;
+	}
+};
+
+const cleanFeatures = (features) =>
+	features
+		.map((feature) => {
+			const geometry = cleanGeometry(feature?.geometry);
+			// GeoJSON allows `"properties": null`.
+			return geometry && toFeature(geometry, feature.properties || {});
+		})
+		.filter(Boolean);
+
+const parseGeoJson = (text) => {
+	let data;
+	try {
+		data = JSON.parse(text);
+	} catch {
+		throw new Error(t('import.invalidJson'));
+	}
+
+	if (data?.type === 'FeatureCollection' && Array.isArray(data.features)) {
+		return { type: 'FeatureCollection', features: cleanFeatures(data.features) };
+	}
+	if (data?.type === 'Feature') {
+		return { type: 'FeatureCollection', features: cleanFeatures([data]) };
+	}
+	if (typeof data?.type === 'string' && (data.coordinates || data.geometries)) {
+		return { type: 'FeatureCollection', features: cleanFeatures([toFeature(data)]) };
+	}
+	throw new Error(t('import.noGeoJson'));
+};
+
+export const parseGeoFile = async (file) => {
+	const extension = file.name.split('.').pop().toLowerCase();
+	if (!SUPPORTED_EXTENSIONS.includes(extension)) {
+		throw new Error(t('import.unsupported', { file: file.name }));
+	}
+
+	const text = await file.text();
+	const parsers = { geojson: parseGeoJson, json: parseGeoJson, gpx: parseGpx, kml: parseKml };
+	const data = parsers[extension](text);
+
+	if (data.features.length === 0) {
+		throw new Error(t('import.empty', { file: file.name }));
+	}
+
+	return { name: file.name.replace(/\.[^.]+$/, ''), data };
+};
+
+const collectPositions = (geometry, positions = []) => {
+	if (!geometry) {
+		return positions;
+	}
+	if (geometry.type === 'GeometryCollection') {
+		geometry.geometries.forEach((child) => collectPositions(child, positions));
+		return positions;
+	}
+	const walk = (coordinates) => {
+		if (typeof coordinates[0] === 'number') {
+			positions.push(coordinates);
+		} else {
+			coordinates.forEach(walk);
+		}
+	};
+	walk(geometry.coordinates || []);
+	return positions;
+};
+
+export const getFeatureBounds = (features) => {
+	const positions = features.flatMap((feature) => collectPositions(feature.geometry));
+	if (positions.length === 0) {
+		return null;
+	}
+	return positions.reduce(
+		([[south, west], [north, east]], [lon, lat]) => [
+			[Math.min(south, lat), Math.min(west, lon)],
+			[Math.max(north, lat), Math.max(east, lon)],
+		],
+		[
+			[Infinity, Infinity],
+			[-Infinity, -Infinity],
+		],
+	);
+};
+
+export const extractPoints = (features) =>
+	features.flatMap((feature, featureIndex) => {
+		const geometry = feature?.geometry;
+		// GeoJSON allows `"properties": null`.
+		const properties = feature?.properties || {};
+		let points = [];
+		if (geometry?.type === 'Point') {
+			points = [geometry.coordinates];
+		} else if (geometry?.type === 'MultiPoint') {
+			points = geometry.coordinates;
+		}
+		return points
+			.map((position, pointIndex) => ({ position, pointIndex }))
+			.filter(({ position }) => isPosition(position))
+			.map(({ position: [lon, lat], pointIndex }) => ({
+				id: `${featureIndex}-${pointIndex}`,
+				lat,
+				lon,
+				name: properties.name || properties.title || '',
+				description: properties.description || properties.desc || '',
+			}));
+	});
+
+export const withoutPoints = (features) =>
+	features.filter((feature) => feature.geometry && !['Point', 'MultiPoint'].includes(feature.geometry.type));
@@ -0,0 +1,66 @@
+import { haversineDistance } from './geo.js';
+
+const distanceBetween = (from, to) => haversineDistance(from.lat, from.lon, to.lat, to.lon);
+
+export const toItineraryStop = ({ id, name, category, categoryKey, lat, lon, address }) => ({
+	id,
+	name,
+	category: category || '',
+	categoryKey: categoryKey || 'other',
+	lat,
+	lon,
+	address: address || null,
+});
+
+export const computeLegs = (stops) =>
+	stops.slice(1).map((stop, index) => ({
+		from: stops[index],
+		to: stop,
+		distance: distanceBetween(stops[index], stop),
+	}));
+
+export const totalDistance = (stops) => computeLegs(stops).reduce((sum, leg) => sum + leg.distance, 0);
+
+const nearestNeighbourOrder = (stops) => {
+	const remaining = stops.slice(1);
+	const route = [stops[0]];
+
+	while (remaining.length > 0) {
+		const last = route[route.length - 1];
+		let nearestIndex = 0;
+		remaining.forEach((stop, index) => {
+			if (distanceBetween(last, stop) < distanceBetween(last, remaining[nearestIndex])) {
+				nearestIndex = index;
+			}
+		});
+		route.push(remaining.splice(nearestIndex, 1)[0]);
+	}
+
+	return route;
+};
+
+const twoOpt = (initialRoute) => {
+	const route = [...initialRoute];
+	let improved = true;
+
+	while (improved) {
+		improved = false;
+		for (let i = 1; i < route.length - 1; i += 1) {
+			for (let k = i + 1; k < route.length; k += 1) {
+				const before = route[i - 1];
+				const after = route[k + 1];
+				const currentCost = distanceBetween(before, route[i]) + (after ? distanceBetween(route[k], after) : 0);
+				const swappedCost = distanceBetween(before, route[k]) + (after ? distanceBetween(route[i], after) : 0);
+				if (swappedCost + 1e-6 < currentCost) {
+					route.splice(i, k - i + 1, ...route.slice(i, k + 1).reverse());
+					improved = true;
+				}
+			}
+		}
+	}
+
+	return route;
+};
+
+// The first stop stays fixed as the starting point; the walk ends wherever is shortest.
+export const optimizeStopOrder = (stops) => (stops.length < 3 ? stops : twoOpt(nearestNeighbourOrder(stops)));
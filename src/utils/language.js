@@ -0,0 +1,13 @@
+// Letters and tone marks that only occur in Vietnamese among the languages we translate between.
+const VIETNAMESE_CHARACTERS =
+	/[ăâđêôơưáàảãạấầẩẫậắằẳẵặéèẻẽẹếềểễệíìỉĩịóòỏõọốồổỗộớờởỡợúùủũụứừửữựýỳỷỹỵ]/i;
+
+export const detectTextLanguage = (text) => (VIETNAMESE_CHARACTERS.test(text) ? 'vi' : 'en');
+
+// Lowercase and strip tone marks so "pho" matches "Phở" when searching.
+export const foldText = (text) =>
+	String(text || '')
+		.normalize('NFD')
+		.replace(/[\u0300-\u036f]/g, '')
+		.replace(/đ/gi, 'd')
+		.toLowerCase();
@@ -0,0 +1,177 @@
+import { formatDate } from '../i18n/index.js';
+
+// Parses the everyday subset of the OSM `opening_hours` syntax ("Mo-Fr 07:00-22:00; Su off", "24/7", ...)
+// into a Monday-first week of time ranges. Anything outside it (months, sunrise, week numbers, holiday
+// times) returns null so the raw tag can be shown instead of a wrong table.
+const MINUTES_PER_DAY = 24 * 60;
+const DAY_CODES = ['mo', 'tu', 'we', 'th', 'fr', 'sa', 'su'];
+const HOLIDAY_CODES = ['ph', 'sh'];
+const ALL_DAYS = [0, 1, 2, 3, 4, 5, 6];
+const ALL_DAY_RANGE = { start: 0, end: MINUTES_PER_DAY, openEnd: false };
+
+// Vietnam has no daylight saving time, so a fixed UTC+7 offset is exact.
+const VIETNAM_UTC_OFFSET_MS = 7 * 60 * 60 * 1000;
+
+const parseClock = (value) => {
+	const match = /^(\d{1,2}):(\d{2})$/.exec(value || '');
+	if (!match) {
+		return null;
+	}
+	const hours = Number(match[1]);
+	const minutes = Number(match[2]);
+	// OSM allows hours up to 48 for ranges that run into the next day.
+	return hours <= 48 && minutes < 60 ? hours * 60 + minutes : null;
+};
+
+// "Mo-Fr,Su" -> [0, 1, 2, 3, 4, 6]. Ranges wrap, so "Fr-Mo" covers Friday to Monday.
+// Public and school holidays are dropped because we cannot tell when they fall.
+const parseDays = (selector) => {
+	const days = new Set();
+	const parts = selector.split(',').filter((part) => !HOLIDAY_CODES.includes(part));
+	for (const part of parts) {
+		const [from, to = from] = part.split('-');
+		const start = DAY_CODES.indexOf(from);
+		const end = DAY_CODES.indexOf(to);
+		if (start < 0 || end < 0) {
+			return null;
+		}
+		for (let day = start; ; day = (day + 1) % 7) {
+			days.add(day);
+			if (day === end) {
+				break;
+			}
+		}
+	}
+	return [...days];
+};
+
+// "08:00-12:00,13:30-02:00" -> ranges in minutes; an end before the start runs past midnight.
+// "18:00+" means open-ended and is kept until midnight.
+const parseTimes = (selector) => {
+	const ranges = [];
+	for (const part of selector.split(',')) {
+		const openEnd = part.endsWith('+');
+		const [from, to] = (openEnd ? part.slice(0, -1) : part).split('-');
+		const start = parseClock(from);
+		let end = to === undefined && openEnd ? MINUTES_PER_DAY : parseClock(to);
+		if (start === null || end === null) {
+			return null;
+		}
+		if (end <= start) {
+			end += MINUTES_PER_DAY;
+		}
+		ranges.push({ start, end, openEnd });
+	}
+	return ranges.sort((a, b) => a.start - b.start);
+};
+
+const isDaySelector = (token) => /^(mo|tu|we|th|fr|sa|su|ph|sh)([-,]|$)/.test(token);
+
+// Returns `{ days, ranges }`, `{ skip: true }` for holiday-only rules, or null when unsupported.
+const parseRule = (rule) => {
+	const normalized = rule
+		.replace(/"[^"]*"/g, ' ')
+		.replace(/\s*([,-])\s*/g, '$1')
+		.trim()
+		.toLowerCase();
+	if (!normalized) {
+		return { skip: true };
+	}
+	if (normalized === '24/7') {
+		return { days: ALL_DAYS, ranges: [ALL_DAY_RANGE] };
+	}
+
+	const tokens = normalized.split(/\s+/);
+	let isClosed = false;
+	if (['off', 'closed'].includes(tokens[tokens.length - 1])) {
+		isClosed = true;
+		tokens.pop();
+	} else if (tokens[tokens.length - 1] === 'open') {
+		tokens.pop();
+	}
+
+	let days = ALL_DAYS;
+	if (tokens.length > 0 && isDaySelector(tokens[0])) {
+		days = parseDays(tokens.shift());
+		if (!days) {
+			return null;
+		}
+		if (days.length === 0) {
+			return { skip: true };
+		}
+	}
+	if (tokens.length > 1) {
+		return null;
+	}
+	if (isClosed) {
+		return tokens.length === 0 ? { days, ranges: [] } : null;
+	}
+	// A day selector on its own means open all day.
+	const ranges = tokens.length === 0 ? [ALL_DAY_RANGE] : parseTimes(tokens[0]);
+	return ranges ? { days, ranges } : null;
+};
+
+export const parseOpeningHours = (value) => {
+	if (typeof value !== 'string' || !value.trim()) {
+		return null;
+	}
+	const week = ALL_DAYS.map(() => []);
+	// Later rules replace earlier ones for the days they name, as in the OSM specification.
+	for (const rule of value.split(/;|\|\|/)) {
+		const parsed = parseRule(rule);
+		if (!parsed) {
+			return null;
+		}
+		if (!parsed.skip) {
+			parsed.days.forEach((day) => {
+				week[day] = parsed.ranges;
+			});
+		}
+	}
+	const isAlwaysOpen = week.every((ranges) => ranges.some((range) => range.start === 0 && range.end >= MINUTES_PER_DAY));
+	return { week, isAlwaysOpen };
+};
+
+const toVietnamTime = (timestamp) => {
+	const shifted = new Date(timestamp + VIETNAM_UTC_OFFSET_MS);
+	return { day: (shifted.getUTCDay() + 6) % 7, minutes: shifted.getUTCHours() * 60 + shifted.getUTCMinutes() };
+};
+
+export const vietnamWeekday = (timestamp = Date.now()) => toVietnamTime(timestamp).day;
+
+// `closesAt`/`opensAt` are minutes after midnight; `opensDay` is only set when the next opening is on another day.
+export const getOpeningStatus = (schedule, timestamp = Date.now()) => {
+	if (!schedule) {
+		return null;
+	}
+	if (schedule.isAlwaysOpen) {
+		return { isOpen: true, closesAt: null };
+	}
+	const { day, minutes } = toVietnamTime(timestamp);
+	const spill = schedule.week[(day + 6) % 7]
+		.filter((range) => range.end > MINUTES_PER_DAY)
+		.map((range) => ({ ...range, start: 0, end: range.end - MINUTES_PER_DAY }));
+	const current = [...spill, ...schedule.week[day]].find((range) => range.start <= minutes && minutes < range.end);
+	if (current) {
+		return { isOpen: true, closesAt: current.openEnd ? null : current.end % MINUTES_PER_DAY };
+	}
+	for (let offset = 0; offset < 7; offset += 1) {
+		const nextDay = (day + offset) % 7;
+		const next = schedule.week[nextDay].find((range) => offset > 0 || range.start > minutes);
+		if (next) {
+			return { isOpen: false, opensAt: next.start, opensDay: offset === 0 ? null : nextDay };
+		}
+	}
+	// Ranges earlier today are next week's first opening.
+	const [first] = schedule.week[day];
+	return first ? { isOpen: false, opensAt: first.start, opensDay: day } : { isOpen: false, opensAt: null };
+};
+
+export const formatClock = (minutes) => {
+	const clock = minutes > MINUTES_PER_DAY ? minutes - MINUTES_PER_DAY : minutes;
+	return `${String(Math.floor(clock / 60)).padStart(2, '0')}:${String(clock % 60).padStart(2, '0')}`;
+};
+
+// 1 January 2024 was a Monday, so day indexes map straight onto that week.
+export const weekdayName = (day, weekday = 'long') =>
+	formatDate(Date.UTC(2024, 0, 1 + day), { weekday, timeZone: 'UTC' });
@@ -0,0 +1,100 @@
+import { getLanguage, t } from '../i18n/index.js';
+import { osmCategoryLabel } from '../i18n/osmCategories.js';
+import { haversineDistance } from './geo.js';
+
+// Prefers the name in the UI language, then the local name, then any other translated name.
+export const buildPoiLabel = (tags = {}, language = getLanguage()) => {
+	const otherLanguage = language === 'vi' ? 'en' : 'vi';
+	const name = tags[`name:${language}`] || tags.name || tags[`name:${otherLanguage}`];
+	if (name) {
+		return name;
+	}
+	const tag = pickCategoryTag(tags);
+	return tag ? osmCategoryLabel(tag.key, tag.value, language) : t('poi.fallbackName');
+};
+
+export const CATEGORY_KEYS = ['tourism', 'amenity', 'historic', 'leisure', 'shop'];
+
+export const pickCategoryTag = (tags = {}) => {
+	const key = CATEGORY_KEYS.find((field) => tags[field]);
+	return key ? { key, value: tags[key] } : null;
+};
+
+export const buildCategory = (tags = {}, language = getLanguage()) => {
+	const tag = pickCategoryTag(tags);
+	return tag ? osmCategoryLabel(tag.key, tag.value, language) : t('poi.otherCategory');
+};
+
+// Saved places store the label from when they were saved; relabel them from the stored tag in the current language.
+export const savedCategoryLabel = (place) =>
+	place.categoryValue ? osmCategoryLabel(place.categoryKey, place.categoryValue) : place.category;
+
+// POIs keep their raw tags, so labels can follow the UI language without fetching them again.
+export const localizePoi = (poi, language = getLanguage()) => ({
+	...poi,
+	name: buildPoiLabel(poi.tags, language),
+	category: buildCategory(poi.tags, language),
+});
+
+// Vietnamese addresses read from the house number outwards: "12 Lê Lợi, Bến Nghé, Quận 1, Hồ Chí Minh".
+const ADDRESS_AREA_KEYS = [
+	'addr:hamlet',
+	'addr:quarter',
+	'addr:subdistrict',
+	'addr:suburb',
+	'addr:district',
+	'addr:city',
+	'addr:province',
+];
+
+export const buildFullAddress = (tags = {}) => {
+	if (tags['addr:full']) {
+		return tags['addr:full'];
+	}
+	const street = [tags['addr:housenumber'], tags['addr:street']].filter(Boolean).join(' ');
+	const parts = [street, ...ADDRESS_AREA_KEYS.map((key) => tags[key])].filter(Boolean);
+	return parts.length > 0 ? [...new Set(parts)].join(', ') : null;
+};
+
+export const splitTagValues = (value) =>
+	(value || '')
+		.split(';')
+		.map((item) => item.trim())
+		.filter(Boolean);
+
+export const toWebsiteUrl = (value) => (/^https?:\/\//i.test(value) ? value : `https://${value}`);
+
+// `wikipedia` is "<language>:<article title>", e.g. "vi:Chợ Bến Thành".
+export const toWikipediaUrl = (value) => {
+	const match = /^([a-z-]{2,12}):(.+)$/.exec(value || '');
+	return match
+		? `https://${match[1]}.wikipedia.org/wiki/${encodeURIComponent(match[2].trim().replace(/ /g, '_'))}`
+		: null;
+};
+
+export const toWikidataUrl = (value) => (/^Q\d+$/.test(value || '') ? `https://www.wikidata.org/wiki/${value}` : null);
+
+export const toPoi = (element, origin) => {
+	const { tags = {}, id, type, lat: nodeLat, lon: nodeLon, center } = element;
+	const resultLat = typeof nodeLat === 'number' ? nodeLat : center?.lat;
+	const resultLon = typeof nodeLon === 'number' ? nodeLon : center?.lon;
+
+	if (typeof resultLat !== 'number' || typeof resultLon !== 'number') {
+		return null;
+	}
+
+	const categoryTag = pickCategoryTag(tags);
+
+	return {
+		id: type ? `${type}/${id}` : id,
+		name: buildPoiLabel(tags),
+		category: buildCategory(tags),
+		categoryKey: categoryTag?.key || 'other',
+		categoryValue: categoryTag?.value || null,
+		lat: resultLat,
+		lon: resultLon,
+		distance: haversineDistance(origin.lat, origin.lon, resultLat, resultLon),
+		address: tags['addr:street'] || tags['addr:full'] || null,
+		tags,
+	};
+};
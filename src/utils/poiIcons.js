@@ -0,0 +1,84 @@
+import L from 'leaflet';
+
+export const CATEGORY_STYLES = {
+	tourism: { labelKey: 'map.legend.tourism', color: '#7c3aed', glyph: '📷' },
+	amenity: { labelKey: 'map.legend.amenity', color: '#2563eb', glyph: '📍' },
+	historic: { labelKey: 'map.legend.historic', color: '#92400e', glyph: '🏛' },
+	leisure: { labelKey: 'map.legend.leisure', color: '#16a34a', glyph: '🌳' },
+	shop: { labelKey: 'map.legend.shop', color: '#ea580c', glyph: '🛍' },
+	other: { labelKey: 'map.legend.other', color: '#64748b', glyph: '•' },
+};
+
+const VALUE_GLYPHS = {
+	restaurant: '🍜',
+	cafe: '☕',
+	fast_food: '🍔',
+	bar: '🍺',
+	pub: '🍺',
+	place_of_worship: '⛩',
+	atm: '🏧',
+	bank: '🏦',
+	pharmacy: '💊',
+	hospital: '🏥',
+	clinic: '🏥',
+	school: '🏫',
+	university: '🎓',
+	fuel: '⛽',
+	parking: '🅿',
+	marketplace: '🧺',
+	museum: '🖼',
+	hotel: '🏨',
+	hostel: '🛏',
+	guest_house: '🛏',
+	viewpoint: '🔭',
+	attraction: '⭐',
+	monument: '🗿',
+	memorial: '🕯',
+	park: '🌳',
+	playground: '🛝',
+	supermarket: '🛒',
+	convenience: '🏪',
+};
+
+const iconCache = new Map();
+
+export const getCategoryStyle = (categoryKey) => CATEGORY_STYLES[categoryKey] || CATEGORY_STYLES.other;
+
+// The active variant marks the result that is hovered or selected in the sidebar list.
+export const getPoiIcon = ({ categoryKey, categoryValue }, isActive = false) => {
+	const style = getCategoryStyle(categoryKey);
+	const glyph = VALUE_GLYPHS[categoryValue] || style.glyph;
+	const cacheKey = `${categoryKey}:${glyph}${isActive ? ':active' : ''}`;
+
+	if (!iconCache.has(cacheKey)) {
+		iconCache.set(
+			cacheKey,
+			L.divIcon({
+				className: isActive ? 'poi-marker poi-marker--active' : 'poi-marker',
+				html: `<span class="poi-marker__pin" style="background:${style.color}"><span class="poi-marker__glyph">${glyph}</span></span>`,
+				iconSize: [32, 32],
+				iconAnchor: [16, 32],
+				popupAnchor: [0, -28],
+			}),
+		);
+	}
+
+	return iconCache.get(cacheKey);
+};
+
+export const getSavedPlaceIcon = () => {
+	if (!iconCache.has('saved')) {
+		iconCache.set(
+			'saved',
+			L.divIcon({
+				className: 'poi-marker',
+				html: '<span class="poi-marker__pin poi-marker__pin--saved"><span class="poi-marker__glyph">★</span></span>',
+				iconSize: [32, 32],
+				iconAnchor: [16, 32],
+				popupAnchor: [0, -28],
+			}),
+		);
+	}
+
+	return iconCache.get('saved');
+};
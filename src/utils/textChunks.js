@@ -0,0 +1,85 @@
+// Translation models garble long inputs, so text is sent a few sentences at a time.
+export const MAX_CHUNK_LENGTH = 300;
+
+// Sentence ends are punctuation followed by whitespace, so prices like "50.000đ" stay whole.
+const SENTENCE_BOUNDARY = /(?<=[.!?…。]["'”’)\]]*)\s+/;
+
+// Sentences longer than the limit are cut at a late comma, otherwise at the last space that fits.
+// Each part carries the `joiner` that separated it from the previous one: a space, or nothing when
+// a run without spaces (a URL, a long token) had to be cut mid-word.
+const splitLongSentence = (sentence, maxLength) => {
+	const parts = [];
+	let rest = sentence;
+	let joiner = ' ';
+	while (rest.length > maxLength) {
+		const head = rest.slice(0, maxLength);
+		const comma = head.lastIndexOf(', ');
+		const cut = comma > maxLength / 2 ? comma + 1 : head.lastIndexOf(' ');
+		const end = cut > 0 ? cut : maxLength;
+		parts.push({ text: rest.slice(0, end).trim(), joiner });
+		joiner = cut > 0 ? ' ' : '';
+		rest = rest.slice(end).trim();
+	}
+	if (rest) {
+		parts.push({ text: rest, joiner });
+	}
+	return parts;
+};
+
+// Returns chunks to translate interleaved with the whitespace between them, so joining
+// the translated chunks with the same gaps keeps the original line breaks and indentation.
+export const splitForTranslation = (text, maxLength = MAX_CHUNK_LENGTH) => {
+	const segments = [];
+	const pushGap = (gap) => {
+		const previous = segments[segments.length - 1];
+		if (previous?.isGap) {
+			previous.text += gap;
+		} else {
+			segments.push({ text: gap, isGap: true });
+		}
+	};
+
+	text.split(/(\n+)/).forEach((line) => {
+		if (!line) {
+			return;
+		}
+		const body = line.trim();
+		if (!body) {
+			pushGap(line);
+			return;
+		}
+		const indent = line.match(/^\s*/)[0];
+		if (indent) {
+			pushGap(indent);
+		}
+
+		let current = '';
+		body
+			.split(SENTENCE_BOUNDARY)
+			.flatMap((sentence) => splitLongSentence(sentence, maxLength))
+			.forEach(({ text: part, joiner }) => {
+				if (current && current.length + joiner.length + part.length > maxLength) {
+					segments.push({ text: current, isGap: false });
+					if (joiner) {
+						pushGap(joiner);
+					}
+					current = part;
+				} else {
+					current = current ? `${current}${joiner}${part}` : part;
+				}
+			});
+		if (current) {
+			segments.push({ text: current, isGap: false });
+		}
+		const trailing = line.slice(indent.length + body.length);
+		if (trailing) {
+			pushGap(trailing);
+		}
+	});
+
+	return segments;
+};
+
+// Failed or pending chunks fall back to their source text.
+export const joinTranslatedSegments = (segments) =>
+	segments.map((segment) => (segment.isGap ? segment.text : segment.translatedText || segment.text)).join('');
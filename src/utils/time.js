@@ -0,0 +1,11 @@
+import { t } from '../i18n/index.js';
+
+export const formatDuration = (seconds) => {
+	const totalMinutes = Math.max(1, Math.round(seconds / 60));
+	if (totalMinutes < 60) {
+		return t('time.minutes', { count: totalMinutes });
+	}
+	const hours = Math.floor(totalMinutes / 60);
+	const minutes = totalMinutes % 60;
+	return minutes ? t('time.hoursMinutes', { hours, minutes }) : t('time.hours', { count: hours });
+};
@@ -0,0 +1,26 @@
+import { formatNumber } from '../i18n/index.js';
+
+export const TEMPERATURE_UNITS = [
+	{ id: 'c', label: '°C' },
+	{ id: 'f', label: '°F' },
+];
+
+export const WIND_SPEED_UNITS = [
+	{ id: 'kmh', label: 'km/h' },
+	{ id: 'ms', label: 'm/s' },
+];
+
+export const DEFAULT_WEATHER_UNITS = { temperature: 'c', windSpeed: 'kmh' };
+
+export const convertTemperature = (celsius, unit) => (unit === 'f' ? (celsius * 9) / 5 + 32 : celsius);
+
+export const convertWindSpeed = (kmh, unit) => (unit === 'ms' ? kmh / 3.6 : kmh);
+
+const formatFixed = (value, digits) =>
+	formatNumber(value, { minimumFractionDigits: digits, maximumFractionDigits: digits });
+
+export const formatTemperature = (celsius, unit, digits = 0) =>
+	celsius == null ? '–' : `${formatFixed(convertTemperature(celsius, unit), digits)}°${unit === 'f' ? 'F' : 'C'}`;
+
+export const formatWindSpeed = (kmh, unit, digits = 0) =>
+	kmh == null ? '–' : `${formatFixed(convertWindSpeed(kmh, unit), digits)} ${unit === 'ms' ? 'm/s' : 'km/h'}`;
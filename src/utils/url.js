@@ -0,0 +1,6 @@
+export const normalizeBaseUrl = (rawUrl) => {
+	if (typeof rawUrl !== 'string') {
+		return '';
+	}
+	return rawUrl.endsWith('/') ? rawUrl.slice(0, -1) : rawUrl;
+};